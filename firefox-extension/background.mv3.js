@@ -0,0 +1,186 @@
+// MV3 service worker (Chrome / Chromium) - the shared AnalysisEngine with a declarativeNetRequest interceptor:
+//  - blocking webRequest is not available: a redirect rule sends every http(s) top-level navigation to
+//    ui/blocking.html (target URL in the fragment), which asks us to start the check ('startCheck');
+//    whitelisted hosts and approved tabs are let through by higher-priority allow rules
+//  - the worker can be suspended at any time, so the engine's per-tab state is kept in storage.session
+importScripts(
+  'utils/browser-shim.js',
+  'lib/crypto-js.min.js',
+  'utils/crypto-utils.js',
+  'utils/bloom-filter.js',
+  'utils/binary-hash-store.js',
+  'utils/hash-db.js',
+  'utils/ip-utils.js',
+  'utils/ip-db.js',
+  'utils/domain-db.js',
+  'utils/db-updater.js',
+  'lib/acorn.min.js',
+  'utils/script-source.js',
+  'utils/feature-extractor.js',
+  'utils/normalized-hash.js',
+  'utils/fuzzy-hash.js',
+  'utils/similarity-db.js',
+  'utils/scorer.js',
+  'utils/ml-dataset.js',
+  'utils/scan-history.js',
+  'utils/analysis-engine.js'
+);
+
+// declarativeNetRequest rule ids / priorities (dynamic: redirect + whitelist, session: approvals)
+const RULE_IDS = { redirect: 1, whitelistBase: 100 };
+const RULE_PRIORITY = { redirect: 1, whitelist: 2, approved: 3 };
+const MAX_CHECKED_SCRIPTS = 200;
+
+// Engine state persisted to storage.session (Maps as entry lists)
+const STATE_KEY = 'mv3State';
+let nextRuleId = 1000;
+let _stateSaveTimer = null;
+
+function saveState() {
+  if (_stateSaveTimer) return;
+  _stateSaveTimer = setTimeout(() => {
+    _stateSaveTimer = null;
+    browser.storage.session.set({
+      [STATE_KEY]: {
+        pendingChecks: Array.from(AnalysisEngine.pendingChecks.entries()),
+        approvedTabs: Array.from(AnalysisEngine.approvedTabs.entries()),
+        blockedTargets: Array.from(AnalysisEngine.blockedTargets.entries()),
+        tabScripts: Array.from(AnalysisEngine.tabScripts.entries()),
+        checkedScripts: Array.from(AnalysisEngine.checkedScripts.entries()).slice(-MAX_CHECKED_SCRIPTS),
+        nextRuleId
+      }
+    }).catch(e => console.warn('[Malware Checker MV3] session state save failed', e));
+  }, 200);
+}
+
+async function restoreState() {
+  const stored = (await browser.storage.session.get(STATE_KEY))[STATE_KEY];
+  if (!stored) return;
+  // Checks that were running when the worker stopped are resumed on the next checkStatus
+  for (const [tabId, pending] of stored.pendingChecks || []) AnalysisEngine.pendingChecks.set(tabId, { ...pending, restored: true });
+  for (const [tabId, approval] of stored.approvedTabs || []) AnalysisEngine.approvedTabs.set(tabId, approval);
+  for (const [tabId, url] of stored.blockedTargets || []) AnalysisEngine.blockedTargets.set(tabId, url);
+  for (const [tabId, list] of stored.tabScripts || []) AnalysisEngine.tabScripts.set(tabId, list);
+  for (const [url, data] of stored.checkedScripts || []) AnalysisEngine.checkedScripts.set(url, data);
+  nextRuleId = stored.nextRuleId || nextRuleId;
+}
+
+// Allow rule for one whitelist entry: '*.example.com' covers subdomains, 'example.com' only that host
+function whitelistRule(entry, id) {
+  const pattern = String(entry).trim().toLowerCase();
+  const wildcard = pattern.startsWith('*.');
+  const domain = wildcard ? pattern.slice(2) : pattern;
+  if (!/^[a-z0-9.-]+$/.test(domain)) return null;
+  const condition = wildcard
+    ? { requestDomains: [domain], resourceTypes: ['main_frame'] }
+    : { regexFilter: `^https?://${domain.replace(/\./g, '\\.')}(:\\d+)?(/|$)`, resourceTypes: ['main_frame'] };
+  return { id, priority: RULE_PRIORITY.whitelist, condition, action: { type: 'allow' } };
+}
+
+const declarativeNetRequestInterceptor = {
+  name: 'declarativeNetRequest',
+
+  // Rules are (re)written by settingsChanged once the preferences are loaded
+  install() {},
+
+  settingsChanged(engine) {
+    this.syncRules(engine).catch(e => console.error(engine.logPrefix, 'rule update failed', e));
+  },
+
+  // Replace the dynamic rules: the interstitial redirect (while enabled) and one allow rule per whitelist entry
+  async syncRules(engine) {
+    const existing = await browser.declarativeNetRequest.getDynamicRules();
+    const addRules = [];
+    if (engine.isEnabled) {
+      addRules.push({
+        id: RULE_IDS.redirect,
+        priority: RULE_PRIORITY.redirect,
+        condition: { regexFilter: '^https?://.*', resourceTypes: ['main_frame'] },
+        action: { type: 'redirect', redirect: { regexSubstitution: browser.runtime.getURL('ui/blocking.html') + '#\\0' } }
+      });
+      engine.whitelist.forEach((entry, i) => {
+        const rule = whitelistRule(entry, RULE_IDS.whitelistBase + i);
+        if (rule) addRules.push(rule);
+      });
+    }
+    await browser.declarativeNetRequest.updateDynamicRules({ removeRuleIds: existing.map(r => r.id), addRules });
+  },
+
+  // Let the tab's next navigation to url through (session rule, removed after the approval TTL)
+  async approve(engine, tabId, url) {
+    const previous = engine.approvedTabs.get(tabId);
+    const ruleId = nextRuleId++;
+    // urlFilter has no escape for its own wildcards ('*', '^', '|'): match up to the first of them
+    const target = url.split('#')[0];
+    const literal = target.split(/[*^|]/)[0];
+    await browser.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: previous && previous.ruleId ? [previous.ruleId] : [],
+      addRules: [{
+        id: ruleId,
+        priority: RULE_PRIORITY.approved,
+        condition: { tabIds: [tabId], resourceTypes: ['main_frame'], urlFilter: '|' + literal + (literal === target ? '|' : '') },
+        action: { type: 'allow' }
+      }]
+    });
+    engine.approvedTabs.set(tabId, { url, timestamp: Date.now(), ruleId });
+    engine.stateChanged();
+    setTimeout(() => this.expireApprovals(engine).catch(() => {}), engine.config.approvalTtlMs + 100);
+  },
+
+  // Drop approvals past their TTL (and all of tabId's); session rules without an approval are removed too
+  async expireApprovals(engine, tabId) {
+    const keep = new Set();
+    for (const [id, approval] of engine.approvedTabs) {
+      if (id === tabId || Date.now() - approval.timestamp > engine.config.approvalTtlMs) engine.approvedTabs.delete(id);
+      else keep.add(approval.ruleId);
+    }
+    engine.stateChanged();
+    const rules = await browser.declarativeNetRequest.getSessionRules();
+    const removeRuleIds = rules.map(r => r.id).filter(id => !keep.has(id));
+    if (removeRuleIds.length) await browser.declarativeNetRequest.updateSessionRules({ removeRuleIds });
+  },
+
+  tabRemoved(engine, tabId) {
+    this.expireApprovals(engine, tabId).catch(() => {});
+  },
+
+  handleMessage(engine, message, sender, sendResponse) {
+    // Sent by the blocking page after the redirect rule brought the tab there
+    if (message.action === 'startCheck') {
+      // The redirect rule only matches http(s) navigations
+      if (!/^https?:\/\//i.test(String(message.url))) {
+        sendResponse({ success: false, error: 'Not an http(s) URL' });
+        return true;
+      }
+      const existing = engine.pendingChecks.get(message.tabId);
+      if (!existing || existing.url !== message.url) {
+        engine.tabScripts.delete(message.tabId);
+        engine.beginCheck(message.tabId, message.url);
+      }
+      sendResponse({ success: true });
+      return true;
+    }
+
+    // The worker was restarted mid-check: pick the check up again (finished results are kept)
+    if (message.action === 'checkStatus') {
+      const pending = engine.pendingChecks.get(message.tabId);
+      if (pending && pending.restored) {
+        delete pending.restored;
+        engine.resumeCheck(message.tabId, pending);
+      }
+    }
+    return false;
+  }
+};
+
+// Alarm events can wake the worker: register before the first await
+DBUpdater.listenForAlarms();
+
+AnalysisEngine.onStateChange = saveState;
+AnalysisEngine.start({
+  interceptor: declarativeNetRequestInterceptor,
+  logPrefix: '[Malware Checker MV3]',
+  ready: restoreState()
+    .then(() => declarativeNetRequestInterceptor.expireApprovals(AnalysisEngine))
+    .catch(e => console.warn('[Malware Checker MV3] session state not restored', e))
+});
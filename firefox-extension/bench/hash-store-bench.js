@@ -0,0 +1,139 @@
+// Benchmark: Set-of-strings shards vs sorted binary shards + Bloom prefilter (HashDB lookup paths)
+//
+// Usage (from firefox-extension/):  node --expose-gc bench/hash-store-bench.js [lookups]
+//
+// Loads every packaged shard in SHA256/shards and reports, for both layouts:
+//   - memory retained with all shards resident
+//   - build time (text -> in-memory structure)
+//   - cold load of one shard (text parse vs binary copy, as read back from IndexedDB)
+//   - lookup latency for hits and misses
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BinaryHashStore = require('../utils/binary-hash-store.js');
+const BloomFilter = require('../utils/bloom-filter.js');
+
+const SHARD_DIR = path.join(__dirname, '..', 'SHA256', 'shards');
+const LOOKUPS = Number(process.argv[2]) || 200000;
+
+if (typeof global.gc !== 'function') {
+  console.error('Run with --expose-gc for meaningful memory numbers');
+  process.exit(1);
+}
+
+function memory() {
+  global.gc();
+  const m = process.memoryUsage();
+  return m.heapUsed + m.arrayBuffers;
+}
+
+function mb(bytes) {
+  return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+// Same parsing as the old HashDB.loadShard
+function parseSet(text) {
+  const set = new Set();
+  for (let l of text.split(/\r?\n/)) {
+    if (!l) continue;
+    l = l.trim().toLowerCase();
+    if (/^[a-f0-9]{64}$/.test(l)) set.add(l);
+  }
+  return set;
+}
+
+const files = fs.readdirSync(SHARD_DIR).filter(f => /^[0-9a-f]{2}\.txt$/.test(f)).sort();
+const texts = files.map(f => [f.slice(0, 2), fs.readFileSync(path.join(SHARD_DIR, f), 'utf8')]);
+
+// Sample hits from the shards and random misses
+const hits = [];
+const misses = [];
+for (let i = 0; i < LOOKUPS; i++) {
+  const [, text] = texts[i % texts.length];
+  const lines = text.split('\n');
+  hits.push(lines[(i * 7919) % (lines.length - 1)]);
+  misses.push(crypto.randomBytes(32).toString('hex'));
+}
+
+// --- Set of strings --------------------------------------------------------
+let before = memory();
+const setBuild = time(() => {
+  const shards = {};
+  for (const [prefix, text] of texts) shards[prefix] = parseSet(text);
+  return shards;
+});
+const setShards = setBuild.result;
+const setMemory = memory() - before;
+const total = Object.values(setShards).reduce((n, s) => n + s.size, 0);
+
+const setHit = time(() => hits.filter(h => setShards[h.slice(0, 2)].has(h)).length);
+const setMiss = time(() => misses.filter(h => setShards[h.slice(0, 2)].has(h)).length);
+
+// --- Binary shards + Bloom filter -------------------------------------------
+before = memory();
+const binBuild = time(() => {
+  const shards = {};
+  for (const [prefix, text] of texts) shards[prefix] = BinaryHashStore.fromText(text, prefix);
+  return shards;
+});
+const binShards = binBuild.result;
+const binMemory = memory() - before;
+
+before = memory();
+const bloomBuild = time(() => {
+  const filter = BloomFilter.create(1000000, 0.01);
+  for (const data of Object.values(binShards)) {
+    for (let off = 0; off < data.length; off += BinaryHashStore.ENTRY_SIZE) BloomFilter.add(filter, data, off);
+  }
+  return filter;
+});
+const bloom = bloomBuild.result;
+const bloomMemory = memory() - before;
+
+function binLookup(hex) {
+  const key = BinaryHashStore.hexToBytes(hex);
+  if (!BloomFilter.mightContain(bloom, key)) return false;
+  return BinaryHashStore.contains(binShards[hex.slice(0, 2)], key);
+}
+const binHit = time(() => hits.filter(binLookup).length);
+const binMiss = time(() => misses.filter(binLookup).length);
+const bloomPass = misses.filter(h => BloomFilter.mightContain(bloom, BinaryHashStore.hexToBytes(h))).length;
+
+// --- Cold load of one shard ----------------------------------------------------
+const [coldPrefix, coldText] = texts[0];
+const stored = binShards[coldPrefix].buffer.slice(0);
+const coldSet = time(() => parseSet(coldText));
+const coldBin = time(() => new Uint8Array(stored.slice(0)));
+
+if (setHit.result !== hits.length || binHit.result !== hits.length || setMiss.result !== binMiss.result) {
+  console.error('Result mismatch between layouts');
+  process.exit(1);
+}
+
+const perLookup = (t) => (t.ms * 1000 / LOOKUPS).toFixed(2) + ' µs';
+console.log(`Hashes: ${total} in ${texts.length} shards, ${LOOKUPS} lookups each for hits / misses\n`);
+console.table({
+  'Set<string>': {
+    'memory (all shards)': mb(setMemory),
+    'build': setBuild.ms.toFixed(0) + ' ms',
+    'cold shard load': coldSet.ms.toFixed(2) + ' ms',
+    'lookup hit': perLookup(setHit),
+    'lookup miss': perLookup(setMiss)
+  },
+  'binary + Bloom': {
+    'memory (all shards)': `${mb(binMemory)} + ${mb(bloomMemory)} filter`,
+    'build': `${binBuild.ms.toFixed(0)} + ${bloomBuild.ms.toFixed(0)} ms`,
+    'cold shard load': coldBin.ms.toFixed(2) + ' ms',
+    'lookup hit': perLookup(binHit),
+    'lookup miss': perLookup(binMiss)
+  }
+});
+console.log(`Bloom filter: m=${bloom.m} bits, k=${bloom.k}, ` +
+  `false positives ${bloomPass}/${LOOKUPS} (${(bloomPass / LOOKUPS * 100).toFixed(2)}%) - ` +
+  'misses that pass it still need the shard, all others skip loading it');
@@ -0,0 +1,29 @@
+// Page-world hooks - runs in the page context so code compiled with new Function can be observed.
+// The body is posted to the content script (script-monitor.js), which forwards it to the background analyzer.
+// Function always compiles its body in the global scope, so the wrapper does not change what the code sees.
+// eval is left alone: any wrapper turns a direct eval into an indirect one (global scope) and breaks pages
+// that eval code using local variables.
+(function () {
+  const SOURCE = 'js-malware-checker-page';
+  const MAX_CODE_LENGTH = 1024 * 1024;
+
+  function report(kind, code) {
+    try {
+      if (typeof code !== 'string' || !code.trim()) return;
+      window.postMessage({ source: SOURCE, kind, code: code.slice(0, MAX_CODE_LENGTH) }, '*');
+    } catch (e) {
+      // never break the page because of reporting
+    }
+  }
+
+  const NativeFunction = window.Function;
+  function HookedFunction(...args) {
+    // Last argument is the function body
+    report('function', args.length ? String(args[args.length - 1]) : '');
+    return NativeFunction.apply(this, args);
+  }
+  HookedFunction.prototype = NativeFunction.prototype;
+  window.Function = HookedFunction;
+  // (function () {}).constructor is the usual way around a replaced global
+  Object.defineProperty(NativeFunction.prototype, 'constructor', { value: HookedFunction, writable: true, configurable: true });
+})();
@@ -0,0 +1,79 @@
+// Content script - reports the page's <script> elements to the background analyzer from document_start on:
+// parser-inserted ones, scripts inserted by loaders while the page is still parsing and scripts added
+// later (lazy-loaded chunks), plus code compiled with new Function (content/page-hooks.js). The background
+// skips scripts it already checked with the page.
+(function () {
+  const PAGE_SOURCE = 'js-malware-checker-page';
+  const MAX_CONTENT_LENGTH = 1024 * 1024;
+  const MAX_SEEN = 500;
+  const JS_TYPES = ['', 'text/javascript', 'application/javascript', 'application/x-javascript',
+    'text/ecmascript', 'application/ecmascript', 'module'];
+
+  // Avoid reporting the same script twice from this page
+  const seen = new Set();
+
+  function report(kind, data) {
+    const key = kind + ':' + (data.url || data.content);
+    if (seen.has(key) || seen.size >= MAX_SEEN) return;
+    seen.add(key);
+
+    browser.runtime.sendMessage({
+      action: 'reportDynamicScript',
+      kind,
+      url: data.url || null,
+      content: data.content || null,
+      pageUrl: location.href
+    }).catch(err => console.debug('[Script Monitor] report failed', err));
+  }
+
+  function handleScript(el) {
+    if (el.dataset && el.dataset.jsMalwareChecker) return; // our own page hooks
+
+    if (el.src) {
+      report('src', { url: el.src });
+      return;
+    }
+
+    const type = (el.getAttribute('type') || '').trim().toLowerCase();
+    const content = el.textContent || '';
+    if (!JS_TYPES.includes(type) || !content.trim()) return;
+    report('inline', { content: content.slice(0, MAX_CONTENT_LENGTH) });
+  }
+
+  // Inject the new Function hook into the page world (manifest.chrome.json runs it as a MAIN world
+  // content script instead)
+  function injectPageHooks() {
+    if (browser.runtime.getManifest().manifest_version >= 3) return;
+    try {
+      const s = document.createElement('script');
+      s.src = browser.runtime.getURL('content/page-hooks.js');
+      s.dataset.jsMalwareChecker = 'hooks';
+      s.onload = () => s.remove();
+      (document.head || document.documentElement).appendChild(s);
+    } catch (e) {
+      console.debug('[Script Monitor] failed to inject page hooks', e);
+    }
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window) return;
+    const data = event.data;
+    if (!data || data.source !== PAGE_SOURCE || typeof data.code !== 'string') return;
+    report('function', { content: data.code });
+  });
+
+  // Observe the document itself: at document_start the root element may not exist yet
+  const observer = new MutationObserver(mutations => {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeName === 'SCRIPT') handleScript(node);
+        else if (node.querySelectorAll) node.querySelectorAll('script').forEach(handleScript);
+      }
+    }
+  });
+  observer.observe(document, { childList: true, subtree: true });
+  // Scripts already in the document when the content script starts
+  document.querySelectorAll('script').forEach(handleScript);
+
+  injectPageHooks();
+})();
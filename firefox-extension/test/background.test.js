@@ -0,0 +1,102 @@
+// Background page tests: the manifest's background scripts driven through the mocked webRequest and
+// runtime.onMessage listeners, the way the browser and the blocking page do (from firefox-extension/):
+//   node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, EXT_BASE, backgroundSandbox: loadBackground, sendMessage, waitFor, plain, sha256, fixture } = require('./helpers/harness');
+
+const manifestScripts = () => JSON.parse(fixture('manifest.json')).background.scripts;
+
+const bad = 'eval(atob(location.hash.slice(1))); /* known bad sample */';
+const sites = {
+  'https://site.example.test/': '<script src="/app.js"></script>',
+  'https://site.example.test/app.js': bad,
+  'https://clean.example.test/': '<script>document.title = "ok";</script>'
+};
+
+// Test sites and stored preferences; resolves once the stored whitelist is applied
+const backgroundSandbox = (options = {}) => loadBackground({
+  sites,
+  storage: { whitelist: ['*.trusted.example.test'], customHashes: [{ hash: sha256(bad), type: 'SHA256', description: 'test sample' }] },
+  until: engine => engine.whitelist.length > 0,
+  ...options
+});
+
+test('background.js registers the redirect interceptor and the message listener', async () => {
+  const { browser, engine } = await backgroundSandbox();
+  assert.equal(engine.interceptor, engine.interceptors.redirect);
+  assert.equal(browser.runtime.onMessage.listeners.length, 1);
+  assert.equal(browser.webRequest.onBeforeRequest.listeners.length, 1);
+});
+
+test('manifest.safari.json loads background.compat.js with the tabs.update fallback interceptor', async () => {
+  const manifest = JSON.parse(fixture('manifest.safari.json'));
+  assert.deepEqual(manifest.background.scripts.slice(0, -1), manifestScripts().slice(0, -1), 'same shared scripts');
+  const { browser, engine } = await backgroundSandbox({ files: manifest.background.scripts });
+  assert.equal(engine.interceptor, engine.interceptors.tabsUpdate);
+  assert.equal(browser.webRequest.onBeforeRequest.listeners.length, 1);
+});
+
+test('every manifest icon is a packaged PNG', () => {
+  for (const name of ['manifest.json', 'manifest.chrome.json', 'manifest.safari.json']) {
+    const manifest = JSON.parse(fixture(name));
+    const action = manifest.action || manifest.browser_action;
+    for (const icon of [...Object.values(manifest.icons), ...Object.values(action.default_icon)]) {
+      assert.match(icon, /\.png$/, `${name}: ${icon}`);
+      assert.equal(fs.readFileSync(path.join(ROOT, icon)).subarray(1, 4).toString(), 'PNG', `${name}: ${icon}`);
+    }
+  }
+});
+
+test('checkStatus follows a blocked navigation from checking to a malware verdict', async () => {
+  const { navigate, status } = await backgroundSandbox();
+
+  assert.deepEqual(plain(await status(11)), { status: 'no_check' });
+  const res = await navigate(11, 'https://site.example.test/');
+  assert.equal(res.redirectUrl.split('?')[0], EXT_BASE + 'ui/blocking.html');
+  assert.equal((await status(11)).status, 'checking');
+
+  await waitFor(async () => (await status(11)).status === 'complete');
+  const done = await status(11);
+  assert.equal(done.hasMalware, true);
+  assert.deepEqual(plain(done.scripts.map(s => [s.url, s.status])), [['https://site.example.test/app.js', 'malware']]);
+});
+
+test('approveTab from the blocking page lets the navigation through once, for that tab only', async () => {
+  const { navigate, status, engine, browser } = await backgroundSandbox();
+  const url = 'https://clean.example.test/';
+
+  await navigate(12, url);
+  await waitFor(async () => (await status(12)).status === 'complete');
+  assert.equal((await status(12)).hasMalware, false);
+
+  assert.deepEqual(plain(await sendMessage(browser, { action: 'approveTab', tabId: 12, url })), { success: true });
+  assert.deepEqual(plain(await navigate(12, url)), {});
+  assert.ok((await navigate(13, url)).redirectUrl, 'other tabs are still checked');
+
+  engine.approvedTabs.get(12).timestamp -= engine.config.approvalTtlMs;
+  assert.ok((await navigate(12, url)).redirectUrl, 'approval expired');
+});
+
+test('closing a tab drops its check and approval', async () => {
+  const { navigate, status, engine, browser } = await backgroundSandbox();
+
+  await navigate(14, 'https://clean.example.test/');
+  await sendMessage(browser, { action: 'approveTab', tabId: 14, url: 'https://clean.example.test/' });
+  browser.tabs.onRemoved.listeners.forEach(fn => fn(14));
+
+  assert.deepEqual(plain(await status(14)), { status: 'no_check' });
+  assert.equal(engine.approvedTabs.has(14), false);
+});
+
+test('whitelisted and disabled navigations are not intercepted', async () => {
+  const { navigate, status, browser } = await backgroundSandbox();
+
+  assert.deepEqual(plain(await navigate(15, 'https://www.trusted.example.test/')), {});
+  assert.deepEqual(plain(await status(15)), { status: 'no_check' });
+
+  browser.storage.onChanged.listeners.forEach(fn => fn({ isEnabled: { newValue: false } }, 'local'));
+  assert.deepEqual(plain(await navigate(15, 'https://site.example.test/')), {});
+});
@@ -0,0 +1,105 @@
+// tools/build-db.js against a scratch copy of the packaged layout (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildDb } = require('../tools/build-db');
+
+const HEADER = 'IP,Target C2,OpenPorts,Score(Inbound/Outbound),Country,Scan Time';
+const h = (prefix, fill) => prefix + fill.repeat(62);
+
+// SHA256/ with one shard and two raw lists, IP/ with one daily file (CRLF, like the packaged feed)
+function scratchTree() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-db-test-'));
+  const put = (rel, text) => {
+    fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+    fs.writeFileSync(path.join(root, rel), text);
+  };
+  put('SHA256/shards/00.txt', h('00', '1') + '\n');
+  put('SHA256/index.json', '[\n  "list_a.txt",\n  "list_b.txt"\n]\n');
+  put('SHA256/list_a.txt', [h('AB', 'C'), h('ab', 'c'), h('00', '2'), 'd41d8cd98f00b204e9800998ecf8427e'].join('\r\n'));
+  put('SHA256/list_b.txt', ['# comment', h('ff', '0'), 'zz-not-a-hash'].join('\n') + '\n');
+  put('SHA256/normalized.txt', h('ee', 'e') + '\n');
+  put('IP/2025-11-01.csv', [HEADER, '203.0.113.7,c2_mythic,80,Critical/Critical,us,2025-10-30 11:11:35', ''].join('\r\n'));
+  // Not a daily file: only YYYY-MM-DD.csv is listed, a sample of a day would count its rows twice
+  put('IP/2025-11-01_sample.csv', [HEADER, '203.0.113.7,c2_mythic,80,Critical/Critical,us,2025-10-30 11:11:35', ''].join('\r\n'));
+  put('IP/index.json', '[]\n');
+  const read = rel => fs.readFileSync(path.join(root, rel), 'utf8');
+  return { root, put, read, cleanup: () => fs.rmSync(root, { recursive: true, force: true }) };
+}
+
+test('build-db shards the raw lists, keeps existing shards and regenerates both indexes', () => {
+  const tree = scratchTree();
+  try {
+    const report = buildDb({ root: tree.root });
+
+    assert.equal(tree.read('SHA256/shards/00.txt'), `${h('00', '1')}\n${h('00', '2')}\n`);
+    assert.equal(tree.read('SHA256/shards/ab.txt'), h('ab', 'c') + '\n');
+    assert.equal(tree.read('SHA256/shards/ff.txt'), h('ff', '0') + '\n');
+    assert.equal(tree.read('SHA256/shards/ee.txt'), '', 'normalized.txt is not a raw hash list');
+    assert.equal(fs.readdirSync(path.join(tree.root, 'SHA256/shards')).length, 256);
+
+    assert.deepEqual(JSON.parse(tree.read('SHA256/index.json')), ['list_a.txt'], 'only lists with MD5 / SHA-1 lines; SHA-256 is in the shards');
+    assert.deepEqual(JSON.parse(tree.read('IP/index.json')), ['2025-11-01.csv']);
+
+    assert.deepEqual(report.sha256.added, [h('00', '2'), h('ab', 'c'), h('ff', '0')]);
+    assert.deepEqual(report.sha256.removed, []);
+    assert.deepEqual(report.sha256.listCounts, { md5: 1, sha1: 0, sha256: 4 });
+    assert.deepEqual(report.invalid.map(x => `${x.file}:${x.line}`), [path.join('SHA256', 'list_b.txt') + ':3']);
+    assert.deepEqual(report.ip.added, ['203.0.113.7']);
+    assert.equal(report.ip.previous, 0);
+    assert.ok(tree.read('IP/2025-11-01.csv').includes('\r\n'), 'an unchanged daily file keeps its bytes');
+
+    const again = buildDb({ root: tree.root });
+    assert.deepEqual(again.written, [], 'a second run changes nothing');
+    assert.deepEqual(again.sha256.added, []);
+    assert.deepEqual(again.ip.added, []);
+  } finally {
+    tree.cleanup();
+  }
+});
+
+test('build-db merges new daily IP files, drops duplicate and invalid rows and reports the changes', () => {
+  const tree = scratchTree();
+  try {
+    buildDb({ root: tree.root });
+    const incoming = path.join(tree.root, 'incoming');
+    tree.put('incoming/2025-11-01.csv', [HEADER, '198.51.100.9,c2_havoc,443,High/High,de,2025-10-31 08:00:00'].join('\n'));
+    tree.put('incoming/2025-11-02.csv', [
+      HEADER,
+      '2001:DB8::1,c2_sliver,443,High/High,nl,2025-11-01 09:00:00',
+      '2001:DB8::1,c2_sliver,443,High/High,nl,2025-11-01 09:00:00',
+      '192.0.2.0/24,c2_havoc,80,Medium/Medium,us,2025-11-01 10:00:00',
+      '999.1.1.1,c2,80,Low/Low,us,2025-11-01 10:00:00',
+      '203.0.113.8,short row'
+    ].join('\n'));
+
+    const report = buildDb({ root: tree.root, ip: [incoming] });
+    assert.deepEqual(JSON.parse(tree.read('IP/index.json')), ['2025-11-01.csv', '2025-11-02.csv']);
+    assert.deepEqual(report.ip.added, ['192.0.2.0/24', '198.51.100.9', '2001:db8::1']);
+    assert.deepEqual(report.invalid.filter(x => x.file.startsWith('incoming')).map(x => x.line), [5, 6]);
+    assert.equal(tree.read('IP/2025-11-01.csv').trim().split('\n').length, 3, 'same-day rows are merged');
+    assert.equal(tree.read('IP/2025-11-02.csv').trim().split('\n').length, 3, 'duplicate and invalid rows dropped');
+
+    const replaced = buildDb({ root: tree.root, ip: [path.join(incoming, '2025-11-02.csv')], replace: true, sha256: [] });
+    assert.deepEqual(JSON.parse(tree.read('IP/index.json')), ['2025-11-02.csv']);
+    assert.equal(fs.existsSync(path.join(tree.root, 'IP/2025-11-01.csv')), false);
+    assert.deepEqual(replaced.ip.removed, ['198.51.100.9', '203.0.113.7']);
+    assert.deepEqual(replaced.sha256.removed, [h('00', '1')], '--replace drops shard hashes not in the lists');
+  } finally {
+    tree.cleanup();
+  }
+});
+
+test('build-db --dry-run reports without writing', () => {
+  const tree = scratchTree();
+  try {
+    const report = buildDb({ root: tree.root, dryRun: true });
+    assert.ok(report.written.includes(path.join('SHA256', 'index.json')));
+    assert.equal(tree.read('SHA256/index.json'), '[\n  "list_a.txt",\n  "list_b.txt"\n]\n');
+    assert.equal(fs.existsSync(path.join(tree.root, 'SHA256/shards/ff.txt')), false);
+  } finally {
+    tree.cleanup();
+  }
+});
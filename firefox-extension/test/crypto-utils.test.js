@@ -0,0 +1,48 @@
+// CryptoUtils tests, checked against Node's crypto (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { cryptoSandbox, plain } = require('./helpers/harness');
+
+const digest = (algorithm, data, encoding = 'hex') => crypto.createHash(algorithm).update(data).digest(encoding);
+const expected = data => ({ md5: digest('md5', data), sha1: digest('sha1', data), sha256: digest('sha256', data) });
+
+test('calculateHashes matches Node crypto for ASCII, UTF-8 and empty strings', async () => {
+  const { CryptoUtils } = cryptoSandbox();
+  for (const text of ['', 'abc', 'console.log("xin chào 👋");\n']) {
+    assert.deepEqual(plain(await CryptoUtils.calculateHashes(text)), expected(Buffer.from(text, 'utf8')), JSON.stringify(text));
+  }
+});
+
+test('calculateHashes accepts typed arrays, partial views, ArrayBuffers and Blobs', async () => {
+  const { CryptoUtils } = cryptoSandbox();
+  const bytes = crypto.randomBytes(1031);
+
+  assert.deepEqual(plain(await CryptoUtils.calculateHashes(new Uint8Array(bytes))), expected(bytes));
+  // A view over part of a larger buffer hashes only the viewed bytes
+  assert.deepEqual(plain(await CryptoUtils.calculateHashes(bytes.subarray(5, 100))), expected(bytes.subarray(5, 100)));
+
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+  assert.deepEqual(plain(await CryptoUtils.calculateHashes(buffer)), expected(bytes));
+
+  assert.deepEqual(plain(await CryptoUtils.calculateHashes(new Blob([bytes]))), expected(bytes));
+});
+
+test('output formats: hexUpper and base64', async () => {
+  const { CryptoUtils } = cryptoSandbox();
+  const data = 'malware sample';
+
+  const hashes = plain(await CryptoUtils.calculateHashes(data, { md5: 'hexUpper', sha1: 'base64', sha256: 'base64' }));
+  assert.deepEqual(hashes, {
+    md5: digest('md5', data).toUpperCase(),
+    sha1: digest('sha1', data, 'base64'),
+    sha256: digest('sha256', data, 'base64')
+  });
+  assert.equal(await CryptoUtils.calculateMD5(data, { format: 'base64' }), digest('md5', data, 'base64'));
+  assert.equal(await CryptoUtils.calculateSHA256Hex(data), digest('sha256', data));
+});
+
+test('null input gives null hashes', async () => {
+  const { CryptoUtils } = cryptoSandbox();
+  assert.deepEqual(plain(await CryptoUtils.calculateHashes(null)), { md5: null, sha1: null, sha256: null });
+});
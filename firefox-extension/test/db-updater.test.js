@@ -0,0 +1,164 @@
+// DBUpdater tests: checksum and signature checks against a mocked feed (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { updaterSandbox, plain, sha256 } = require('./helpers/harness');
+
+const FEED = 'https://feed.test/db';
+
+// Test signing key in place of the bundled public key; sign() returns the base64 r||s signature
+async function testKey() {
+  const { subtle } = globalThis.crypto;
+  const pair = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+  const sign = async text => Buffer.from(await subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, pair.privateKey, Buffer.from(text))).toString('base64');
+  return { publicKey: pair.publicKey, sign };
+}
+
+// Signed JSON document and its .sig, as sites entries
+async function signed(key, url, value) {
+  const text = JSON.stringify(value);
+  return { [url]: text, [url + '.sig']: await key.sign(text) };
+}
+
+test('downloadAndVerify returns the text and its sha256 when the checksum matches', async () => {
+  const body = 'line one\nline two\n';
+  const { DBUpdater } = updaterSandbox({ sites: { [`${FEED}/ip.csv`]: body } });
+
+  const result = await DBUpdater.downloadAndVerify(`${FEED}/ip.csv`, sha256(body));
+  assert.deepEqual(plain(result), { text: body, sha256: sha256(body) });
+
+  // Upper-case checksums from hand-written metadata are accepted too
+  assert.equal((await DBUpdater.downloadAndVerify(`${FEED}/ip.csv`, sha256(body).toUpperCase())).text, body);
+});
+
+test('downloadAndVerify rejects a checksum mismatch and HTTP errors', async () => {
+  const { DBUpdater } = updaterSandbox({ sites: { [`${FEED}/ip.csv`]: 'tampered\n', [`${FEED}/gone.csv`]: { status: 503 } } });
+  const expected = sha256('original\n');
+
+  await assert.rejects(
+    DBUpdater.downloadAndVerify(`${FEED}/ip.csv`, expected),
+    { message: `Checksum mismatch: expected ${expected}, got ${sha256('tampered\n')}` }
+  );
+  await assert.rejects(DBUpdater.downloadAndVerify(`${FEED}/gone.csv`, expected), { message: 'Download failed: 503' });
+  await assert.rejects(DBUpdater.downloadAndVerify(`${FEED}/missing.csv`), { message: 'Download failed: 404' });
+});
+
+test('fetchSignedJson accepts a valid signature and rejects missing or tampered ones', async () => {
+  const key = await testKey();
+  const url = `${FEED}/ip/metadata.json`;
+  const sites = await signed(key, url, { version: 3 });
+  sites[`${FEED}/unsigned.json`] = '{"version":3}';
+  sites[`${FEED}/tampered.json`] = '{"version":4}';
+  sites[`${FEED}/tampered.json.sig`] = sites[url + '.sig'];
+  const { DBUpdater } = updaterSandbox({ sites });
+  DBUpdater._publicKey = key.publicKey;
+
+  assert.deepEqual(plain(await DBUpdater.fetchSignedJson(url, 'ip metadata')), { version: 3 });
+  await assert.rejects(DBUpdater.fetchSignedJson(`${FEED}/unsigned.json`, 'ip metadata'), /signature missing \(404\)/);
+  await assert.rejects(DBUpdater.fetchSignedJson(`${FEED}/tampered.json`, 'ip metadata'), { message: 'Signature verification failed for ip metadata' });
+});
+
+test('the bundled public key rejects documents signed with another key', async () => {
+  const key = await testKey();
+  const url = `${FEED}/ip/metadata.json`;
+  const { DBUpdater } = updaterSandbox({ sites: await signed(key, url, { version: 1 }) });
+
+  await assert.rejects(DBUpdater.fetchSignedJson(url, 'ip metadata'), /^Error: Signature verification failed/);
+  assert.ok(DBUpdater._publicKey, 'bundled key was imported');
+});
+
+test('checkAndUpdateAll caches verified feeds and records per-feed failures', async () => {
+  const key = await testKey();
+  const csv = 'IP,Target C2\n198.51.100.23,c2_sliver\n';
+  const sites = {
+    [`${FEED}/ip.csv`]: csv,
+    [`${FEED}/domains.txt`]: 'evil.example\n',
+    ...await signed(key, `${FEED}/ip/metadata.json`, { version: 2, url: `${FEED}/ip.csv`, sha256: sha256(csv) }),
+    ...await signed(key, `${FEED}/domain/metadata.json`, { version: 2, url: `${FEED}/domains.txt`, sha256: sha256('other\n') }),
+    [`${FEED}/sha256/metadata.json`]: '{"version":9}',
+    [`${FEED}/sha256/metadata.json.sig`]: await key.sign('{"version":8}')
+  };
+  const { DBUpdater, local } = updaterSandbox({ sites, storage: { dbUpdaterConfig: { baseUrl: FEED + '/' } } });
+  DBUpdater._publicKey = key.publicKey;
+  await DBUpdater.loadConfig();
+
+  const results = plain(await DBUpdater.checkAndUpdateAll());
+  assert.deepEqual(results.ip, { updated: true, version: 2 });
+  assert.equal(local.ip_remote_text, csv);
+  assert.equal(results.sha256.rejected, true);
+  assert.equal(local.sha256_remote_metadata, undefined);
+  assert.match(results.domain.error, /^Checksum mismatch/);
+  assert.equal(results.domain.rejected, false);
+  assert.equal(local.domain_remote_text, undefined);
+  assert.deepEqual(plain(local.db_update_status.results), results);
+
+  // Unchanged metadata is not downloaded again
+  assert.deepEqual(plain((await DBUpdater.checkAndUpdateAll()).ip), { updated: false, version: 2 });
+});
+
+test('checkAndUpdateAll rejects metadata that is not newer than the installed version', async () => {
+  const key = await testKey();
+  const csv = 'IP,Target C2\n198.51.100.23,c2_sliver\n';
+  const installed = { version: 5, url: `${FEED}/ip.csv`, sha256: sha256(csv) };
+  const sites = {
+    [`${FEED}/ip.csv`]: csv,
+    [`${FEED}/old.csv`]: 'IP,Target C2\n',
+    ...await signed(key, `${FEED}/ip/metadata.json`, { version: 4, url: `${FEED}/old.csv`, sha256: sha256('IP,Target C2\n') }),
+    ...await signed(key, `${FEED}/domain/metadata.json`, { version: 5, url: `${FEED}/old.csv`, sha256: sha256('IP,Target C2\n') }),
+    ...await signed(key, `${FEED}/sha256/metadata.json`, { ...installed })
+  };
+  const storage = {
+    dbUpdaterConfig: { baseUrl: FEED + '/' },
+    ip_remote_metadata: installed,
+    ip_remote_text: csv,
+    domain_remote_metadata: installed,
+    sha256_remote_metadata: installed
+  };
+  const { DBUpdater, local, fetchLog } = updaterSandbox({ sites, storage });
+  DBUpdater._publicKey = key.publicKey;
+  await DBUpdater.loadConfig();
+
+  const results = plain(await DBUpdater.checkAndUpdateAll());
+  // Rollback to an older signed version
+  assert.equal(results.ip.rejected, true);
+  assert.match(results.ip.error, /version 4 is not newer than the installed version 5/);
+  assert.equal(local.ip_remote_text, csv);
+  // Replay of the installed version number with other content
+  assert.equal(results.domain.rejected, true);
+  assert.deepEqual(plain(local.domain_remote_metadata), installed);
+  // The installed version itself is simply up to date
+  assert.deepEqual(results.sha256, { updated: false, version: 5 });
+  assert.ok(!fetchLog.some(u => u.endsWith('/old.csv') || u.endsWith('/ip.csv')), 'nothing downloaded');
+});
+
+test('a validly signed older shard index served next to newer metadata is rejected', async () => {
+  const key = await testKey();
+  const shard = 'ab'.repeat(32) + '\n';
+  const oldIndex = JSON.stringify({ version: 1, shards: [{ prefix: 'ab', url: `${FEED}/ab-1.txt`, sha256: sha256(shard), version: 1 }] });
+  const newIndex = JSON.stringify({ version: 2, shards: [{ prefix: 'ab', url: `${FEED}/ab-2.txt`, sha256: sha256(shard), version: 2 }] });
+  const meta = { version: 2, shardIndexUrl: `${FEED}/sha256/shard-index.json`, shardIndexSha256: sha256(newIndex) };
+  const sites = {
+    [`${FEED}/ab-1.txt`]: shard,
+    // The attacker swaps in the previous build's index, signature and all
+    [`${FEED}/sha256/shard-index.json`]: oldIndex,
+    [`${FEED}/sha256/shard-index.json.sig`]: await key.sign(oldIndex),
+    ...await signed(key, `${FEED}/sha256/metadata.json`, meta)
+  };
+  const { DBUpdater, local, fetchLog } = updaterSandbox({ sites, storage: { dbUpdaterConfig: { baseUrl: FEED }, sha256_remote_metadata: { version: 1 } } });
+  DBUpdater._publicKey = key.publicKey;
+  await DBUpdater.loadConfig();
+
+  const results = plain(await DBUpdater.checkAndUpdateAll());
+  assert.equal(results.sha256.rejected, true);
+  assert.match(results.sha256.error, /^Version check failed for shard index: sha256 [0-9a-f]{64} is not the/);
+  assert.deepEqual(plain(local.sha256_remote_metadata), { version: 1 });
+  assert.ok(!fetchLog.includes(`${FEED}/ab-1.txt`), 'no shard downloaded');
+
+  // Metadata without the index checksum still pins the index to its own version
+  await assert.rejects(
+    DBUpdater.downloadShardIndex(`${FEED}/sha256/shard-index.json`, { version: 2 }),
+    { message: 'Version check failed for shard index: version 1 does not match the metadata version 2' }
+  );
+  sites[`${FEED}/sha256/shard-index.json`] = newIndex;
+  sites[`${FEED}/sha256/shard-index.json.sig`] = await key.sign(newIndex);
+  assert.equal((await DBUpdater.downloadShardIndex(`${FEED}/sha256/shard-index.json`, meta)).version, 2);
+});
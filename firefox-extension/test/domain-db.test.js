@@ -0,0 +1,59 @@
+// DomainDB matching and indicator extraction (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { domainSandbox, plain } = require('./helpers/harness');
+
+const FEED = `Domain,Category
+evil.co.uk,Skimmer
+*.c2.invalid,C2
+https://cdn.example.test/payload/,Dropper
+tracker.example.test,Phishing
+co.uk,ignored`;
+
+test('the packaged lists are loaded and the cached remote feed is preferred', async () => {
+  const empty = await domainSandbox();
+  assert.equal(empty.DomainDB.size(), 0, 'the extension ships no domain list');
+
+  const packaged = await domainSandbox({ packaged: { Domain: 'test/fixtures/Domain' } });
+  assert.equal((await packaged.DomainDB.checkHost('skimmer-cdn.example.test')).found, true);
+
+  const cached = await domainSandbox({ packaged: { Domain: 'test/fixtures/Domain' }, storage: { domain_remote_text: 'remote-only.example.test' } });
+  assert.equal((await cached.DomainDB.checkHost('remote-only.example.test')).found, true);
+  assert.equal((await cached.DomainDB.checkHost('skimmer-cdn.example.test')).found, false);
+});
+
+test('exact, wildcard, registrable-domain and URL-prefix matches', async () => {
+  const { DomainDB } = await domainSandbox();
+  DomainDB.loadFromText(FEED);
+  const match = async host => plain(await DomainDB.checkHost(host));
+
+  assert.deepEqual(pick(await match('EVIL.co.uk.')), { found: true, matchType: 'exact', indicator: 'evil.co.uk' });
+  assert.deepEqual(pick(await match('a.b.evil.co.uk')), { found: true, matchType: 'registrable', indicator: 'evil.co.uk' });
+  assert.deepEqual(pick(await match('c2.invalid')), { found: true, matchType: 'wildcard', indicator: '*.c2.invalid' });
+  assert.deepEqual(pick(await match('x.y.c2.invalid')), { found: true, matchType: 'wildcard', indicator: '*.c2.invalid' });
+  // A listed subdomain does not cover its siblings, a public suffix covers nothing
+  assert.equal((await match('other.example.test')).found, false);
+  assert.equal((await match('good.co.uk')).found, false);
+  assert.equal((await match('203.0.113.5')).found, false);
+  assert.equal((await DomainDB.checkHost('tracker.example.test')).meta.Category, 'Phishing');
+
+  const url = plain(await DomainDB.checkUrl('https://cdn.example.test/payload/x.js#top'));
+  assert.deepEqual(pick(url), { found: true, matchType: 'url', indicator: 'https://cdn.example.test/payload/' });
+  assert.equal((await DomainDB.checkUrl('https://cdn.example.test/assets/x.js')).found, false);
+  assert.equal((await DomainDB.checkUrl('wss://a.c2.invalid/socket')).matchType, 'wildcard');
+  assert.equal((await DomainDB.checkUrl('data:text/javascript,evil.co.uk')).found, false);
+});
+
+test('extractIndicators finds URLs and quoted hosts but not file names or property paths', async () => {
+  const { DomainDB } = await domainSandbox();
+  const text = `fetch("https://api.example.test/v1?x=1"); load('//static.example.test/a.js');
+    var h = 'beacon.example.test'; var f = 'app.min.js'; var c = "document.cookie"; var p = 'window.location';`;
+  assert.deepEqual(plain(DomainDB.extractIndicators(text)), {
+    urls: ['https://api.example.test/v1?x=1', 'https://static.example.test/a.js'],
+    hosts: ['beacon.example.test']
+  });
+});
+
+function pick({ found, matchType, indicator }) {
+  return { found, matchType, indicator };
+}
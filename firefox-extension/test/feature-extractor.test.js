@@ -0,0 +1,56 @@
+// FeatureExtractor AST heuristics (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FeatureExtractor = require('../utils/feature-extractor.js');
+
+const SCRIPT = `
+var _0xab12 = 1, _0xab13 = 2;
+eval(atob('YWxlcnQoMSk='));
+new Function('return 1')();
+setTimeout('go()', 10);
+setTimeout(function () {}, 10);
+document.write('<scr' + 'ipt src="x.js"></script>');
+var s = String.fromCharCode(104, 105) + unescape('%41');
+var h = '\\x68\\x65\\x6c\\x6c\\x6f';
+var miner = new CoinHive.Anonymous('key');
+fetch('http://3232235777/gate');
+new WebSocket('wss://[2001:db8::1]:8443/');
+navigator.sendBeacon('https://cdn.example.invalid/c');
+var c = 'a' + 'b' + 'c' + 'd' + 'e' + 'f' + 'g' + 'h' + 'i' + 'j';
+`;
+
+test('counts dangerous calls, obfuscation markers, miners and raw IP endpoints', async () => {
+  const { success, features } = await FeatureExtractor.extractFeatures(SCRIPT);
+  assert.equal(success, true);
+  assert.equal(features.parsed, true);
+  for (const name of ['evalCalls', 'functionConstructorCalls', 'stringTimerCalls', 'documentWriteScript', 'atobCalls',
+    'unescapeCalls', 'fromCharCodeCalls', 'hexEscapedStrings', 'longConcatChains']) {
+    assert.equal(features[name], 1, name);
+  }
+  assert.equal(features.hexIdentifiers, 2);
+  assert.equal(features.maxConcatChain, 10);
+  assert.deepEqual(features.minerIndicators, ['CoinHive']);
+  // Integer IPv4 and bracketed IPv6 hosts; the named host is not an IP endpoint
+  assert.deepEqual(features.rawIpEndpoints, ['http://3232235777/gate', 'wss://[2001:db8::1]:8443/']);
+});
+
+test('module syntax is parsed; unparsable and oversized scripts return empty features', async () => {
+  const module = await FeatureExtractor.extractFeatures("import x from './x.js';\nexport default eval(x);");
+  assert.equal(module.success, true);
+  assert.equal(module.features.evalCalls, 1);
+
+  const broken = await FeatureExtractor.extractFeatures('var = ;');
+  assert.equal(broken.success, false);
+  assert.match(broken.error, /^Parse error/);
+  assert.deepEqual(broken.features, FeatureExtractor.emptyFeatures(7));
+
+  const limit = FeatureExtractor.config.maxParseLength;
+  FeatureExtractor.config.maxParseLength = 10;
+  try {
+    const large = await FeatureExtractor.extractFeatures('eval("1"); eval("2");');
+    assert.equal(large.success, false);
+    assert.equal(large.features.evalCalls, 0);
+  } finally {
+    FeatureExtractor.config.maxParseLength = limit;
+  }
+});
@@ -0,0 +1,235 @@
+// tools/feed-builder.js + tools/feed-server.js end to end: DBUpdater.checkAndUpdateAll against a feed served
+// on localhost (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ROOT, updaterSandbox, plain, sha256 } = require('./helpers/harness');
+const { buildFeed, keygen } = require('../tools/feed-builder');
+const { createFeedServer } = require('../tools/feed-server');
+
+const sample = fs.readFileSync(path.join(ROOT, 'SHA256', 'sha256_hashes_sample.txt'), 'utf8')
+  .split(/\r?\n/).map(l => l.trim().toLowerCase()).filter(Boolean);
+
+// Temporary inputs / output plus a throwaway signing key (the CryptoKey goes to DBUpdater._publicKey)
+async function feedFixture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-test-'));
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const verifyKey = await globalThis.crypto.subtle.importKey(
+    'jwk', publicKey.export({ format: 'jwk' }), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+  );
+  const publicKeyFile = path.join(dir, 'feed-public-key.json');
+  fs.writeFileSync(publicKeyFile, JSON.stringify(publicKey.export({ format: 'jwk' })));
+  const hashFile = path.join(dir, 'hashes.txt');
+  const writeHashes = list => fs.writeFileSync(hashFile, list.join('\n') + '\n');
+  writeHashes([...sample, 'not-a-hash', sample[0].toUpperCase()]);
+
+  const server = createFeedServer(path.join(dir, 'out'), { log: () => {} });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const build = (options = {}) => buildFeed({
+    key: privateKey,
+    publicKey: publicKeyFile,
+    out: path.join(dir, 'out'),
+    baseUrl,
+    sha256: [hashFile],
+    ip: [path.join(ROOT, 'test', 'fixtures', 'IP', '2025-11-01_sample.csv'), path.join(ROOT, 'IP', '2025-11-02.csv')],
+    domain: [path.join(ROOT, 'test', 'fixtures', 'Domain')],
+    ...options
+  });
+  const close = () => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { dir, out: path.join(dir, 'out'), baseUrl, publicKey, verifyKey, writeHashes, build, close };
+}
+
+// DBUpdater (with IpDB to reload) pointed at the local feed server and its throwaway key
+function feedClient(feed) {
+  const box = updaterSandbox({
+    extraFiles: ['utils/ip-utils.js', 'utils/ip-db.js'],
+    network: true,
+    storage: { dbUpdaterConfig: { baseUrl: feed.baseUrl } }
+  });
+  box.DBUpdater._publicKey = feed.verifyKey;
+  return { ...box, IpDB: box.get('IpDB') };
+}
+
+test('feed-builder writes signed metadata, canonical shards and checksums', async () => {
+  const feed = await feedFixture();
+  try {
+    const summary = feed.build();
+    assert.equal(summary.version, 1);
+    assert.equal(summary.hashes, new Set(sample).size);
+    assert.equal(summary.rejected, 1);
+
+    const read = rel => fs.readFileSync(path.join(feed.out, rel));
+    for (const rel of ['sha256/metadata.json', 'sha256/shard-index.json', 'ip/metadata.json', 'domain/metadata.json']) {
+      const signature = Buffer.from(read(rel + '.sig').toString().trim(), 'base64');
+      assert.ok(crypto.verify('sha256', read(rel), { key: feed.publicKey, dsaEncoding: 'ieee-p1363' }, signature), `${rel} signature`);
+    }
+
+    const index = JSON.parse(read('sha256/shard-index.json'));
+    const meta = JSON.parse(read('sha256/metadata.json'));
+    assert.equal(meta.shardIndexUrl, `${feed.baseUrl}/sha256/shard-index.json`);
+    assert.equal(meta.shardIndexSha256, sha256(read('sha256/shard-index.json')));
+    assert.equal(index.version, meta.version);
+    assert.equal(index.shards.reduce((n, s) => n + s.count, 0), summary.hashes);
+    for (const shard of index.shards) {
+      const text = read(`sha256/shards/${shard.prefix}.txt`).toString();
+      assert.equal(sha256(text), shard.sha256);
+      const lines = text.trim().split('\n');
+      assert.deepEqual(lines, [...lines].sort());
+      assert.ok(lines.every(h => h.startsWith(shard.prefix)));
+    }
+
+    for (const line of read('SHA256SUMS').toString().trim().split('\n')) {
+      const [digest, rel] = line.split(/\s+/);
+      assert.equal(sha256(read(rel)), digest, rel);
+    }
+  } finally {
+    feed.close();
+  }
+});
+
+test('checkAndUpdateAll installs a localhost feed, then follows shard deltas', async () => {
+  const feed = await feedFixture();
+  try {
+    feed.build();
+    const { DBUpdater, IpDB, local } = feedClient(feed);
+    await DBUpdater.loadConfig();
+
+    const first = plain(await DBUpdater.checkAndUpdateAll());
+    const index = JSON.parse(fs.readFileSync(path.join(feed.out, 'sha256/shard-index.json'), 'utf8'));
+    assert.equal(first.sha256.mode, 'shards');
+    assert.equal(first.sha256.details.full, index.shards.length);
+    assert.deepEqual(first.ip, { updated: true, version: 1 });
+    assert.deepEqual(first.domain, { updated: true, version: 1 });
+    assert.deepEqual(plain(local.sha256_shards_index), index.shards.map(s => s.prefix));
+    assert.ok(IpDB.ipMap.has('174.138.41.37'), 'IpDB reloaded from the feed');
+
+    // Second build: one hash dropped, one added to an existing shard
+    const added = sample[1].slice(0, 2) + 'f'.repeat(62);
+    feed.writeHashes([...sample.slice(1), added]);
+    const summary = feed.build();
+    assert.equal(summary.version, 2);
+    assert.equal(summary.ip.changed, false);
+
+    const second = plain(await DBUpdater.checkAndUpdateAll());
+    assert.equal(second.sha256.details.full, 0);
+    assert.equal(second.sha256.details.delta, summary.changedShards);
+    assert.deepEqual(second.ip, { updated: false, version: 1 });
+    for (const prefix of [sample[0].slice(0, 2), added.slice(0, 2)]) {
+      const served = fs.readFileSync(path.join(feed.out, `sha256/shards/${prefix}.txt`), 'utf8');
+      assert.equal(local[`sha256_shard_${prefix}`], served, `shard ${prefix} rebuilt from deltas`);
+      assert.equal(local[`sha256_shard_meta_${prefix}`].version, 2);
+    }
+  } finally {
+    feed.close();
+  }
+});
+
+test('MD5, SHA-1 and SHA-256 digests round-trip from the hash lists to HashDB', async () => {
+  const feed = await feedFixture();
+  try {
+    const md5 = crypto.createHash('md5').update('alert(1)').digest('hex');
+    const sha1 = crypto.createHash('sha1').update('alert(1)').digest('hex');
+    feed.writeHashes([...sample, md5.toUpperCase(), sha1, 'f'.repeat(48)]);
+    const summary = feed.build();
+    assert.equal(summary.hashes, new Set(sample).size);
+    assert.equal(summary.otherHashes, 2);
+    assert.equal(summary.rejected, 1);
+
+    const read = rel => fs.readFileSync(path.join(feed.out, rel), 'utf8');
+    const meta = JSON.parse(read('sha256/metadata.json'));
+    assert.equal(read('sha256/other-hashes.txt'), [md5, sha1].sort().join('\n') + '\n');
+    assert.equal(meta.url, `${feed.baseUrl}/sha256/other-hashes.txt`);
+    assert.equal(meta.sha256, sha256(read('sha256/other-hashes.txt')));
+
+    const box = updaterSandbox({
+      extraFiles: ['utils/bloom-filter.js', 'utils/binary-hash-store.js', 'utils/hash-db.js'],
+      network: true,
+      storage: { dbUpdaterConfig: { baseUrl: feed.baseUrl } }
+    });
+    box.DBUpdater._publicKey = feed.verifyKey;
+    await box.DBUpdater.loadConfig();
+    assert.equal(plain(await box.DBUpdater.checkAndUpdateAll()).sha256.mode, 'shards');
+    assert.equal(box.local.sha256_remote_text, read('sha256/other-hashes.txt'));
+
+    const HashDB = box.get('HashDB');
+    for (const [digest, type] of [[md5, 'MD5'], [sha1, 'SHA1'], [sample[0], 'SHA256']]) {
+      const result = await HashDB.checkHash(digest);
+      assert.equal(result.found, true, type);
+      assert.equal(result.type, type);
+    }
+  } finally {
+    feed.close();
+  }
+});
+
+test('feed-server only serves files inside its directory', async () => {
+  const feed = await feedFixture();
+  try {
+    feed.build();
+    const get = urlPath => new Promise((resolve, reject) => {
+      http.get(feed.baseUrl + urlPath, res => { res.resume(); resolve(res.statusCode); }).on('error', reject);
+    });
+    assert.equal(await get('/sha256/metadata.json'), 200);
+    assert.equal(await get('/sha256/missing.json'), 404);
+    assert.equal(await get('/..%2f..%2fhashes.txt'), 403);
+  } finally {
+    feed.close();
+  }
+});
+
+test('feed-builder refuses a signing key that is not the private half of the public key', async () => {
+  const feed = await feedFixture();
+  try {
+    const other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+    assert.throws(() => feed.build({ key: other }), /signing key does not match .*DBUpdater will reject this feed/);
+    assert.equal(fs.existsSync(path.join(feed.out, 'sha256', 'metadata.json')), false, 'nothing written');
+    assert.throws(() => feed.build({ publicKey: path.join(feed.dir, 'missing.json') }), /cannot read the public key/);
+    assert.equal(feed.build({ key: other, allowKeyMismatch: true }).version, 1);
+  } finally {
+    feed.close();
+  }
+});
+
+test('keygen writes a private JWK and its public half, which sign and verify a feed', async () => {
+  const feed = await feedFixture();
+  try {
+    const privateFile = path.join(feed.dir, 'keys', 'test.private.jwk.json');
+    const publicFile = path.join(feed.dir, 'keys', 'test.public.jwk.json');
+    const { publicJwk } = keygen({ out: privateFile, public: publicFile });
+
+    assert.deepEqual(Object.keys(publicJwk), ['kty', 'crv', 'x', 'y']);
+    assert.deepEqual(JSON.parse(fs.readFileSync(publicFile, 'utf8')), publicJwk);
+    if (process.platform !== 'win32') assert.equal(fs.statSync(privateFile).mode & 0o777, 0o600);
+    assert.throws(() => keygen({ out: privateFile }), /exists/);
+
+    // The key file (--key / FEED_SIGNING_KEY_FILE) and the JWK text (FEED_SIGNING_KEY) both work
+    feed.build({ key: privateFile, publicKey: publicFile });
+    feed.build({ key: undefined, keyJwk: fs.readFileSync(privateFile, 'utf8'), publicKey: publicFile });
+    const metadata = fs.readFileSync(path.join(feed.out, 'sha256', 'metadata.json'));
+    const signature = Buffer.from(fs.readFileSync(path.join(feed.out, 'sha256', 'metadata.json.sig'), 'utf8').trim(), 'base64');
+    const verifyKey = crypto.createPublicKey({ key: publicJwk, format: 'jwk' });
+    assert.ok(crypto.verify('sha256', metadata, { key: verifyKey, dsaEncoding: 'ieee-p1363' }, signature));
+  } finally {
+    feed.close();
+  }
+});
+
+test('the bundled public key is the keygen pair documented in keys/README.md', () => {
+  const jwk = JSON.parse(fs.readFileSync(path.join(ROOT, 'keys', 'feed-public-key.json'), 'utf8'));
+  assert.deepEqual(Object.keys(jwk), ['kty', 'crv', 'x', 'y']);
+  crypto.createPublicKey({ key: jwk, format: 'jwk' }); // throws unless it is a point on P-256
+
+  // RFC 7638 thumbprint: the required members in lexicographic order
+  const thumbprint = crypto.createHash('sha256')
+    .update(JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y })).digest('base64url');
+  assert.ok(fs.readFileSync(path.join(ROOT, 'keys', 'README.md'), 'utf8').includes(thumbprint), 'README thumbprint is current');
+});
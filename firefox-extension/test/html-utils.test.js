@@ -0,0 +1,23 @@
+// HtmlUtils escaping used by the extension pages (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const HtmlUtils = require('../utils/html-utils.js');
+const { ROOT } = require('./helpers/harness');
+
+test('escape neutralizes markup and attribute quotes, and prints nothing for null / undefined', () => {
+  assert.equal(HtmlUtils.escape('<img src=x onerror="alert(1)">&amp;'), '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;&amp;amp;');
+  assert.equal(HtmlUtils.escape(42), '42');
+  assert.equal(HtmlUtils.escape(null), '');
+  assert.equal(HtmlUtils.escape(undefined), '');
+});
+
+test('every page that escapes with HtmlUtils loads it before its own script', () => {
+  for (const page of ['blocking', 'history', 'options', 'popup']) {
+    const html = fs.readFileSync(path.join(ROOT, 'ui', `${page}.html`), 'utf8');
+    const util = html.indexOf('src="../utils/html-utils.js"');
+    assert.ok(util >= 0 && util < html.indexOf(`src="${page}.js"`), page);
+    assert.ok(!/function escapeHtml/.test(fs.readFileSync(path.join(ROOT, 'ui', `${page}.js`), 'utf8')), `${page}.js has no copy`);
+  }
+});
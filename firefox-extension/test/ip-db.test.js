@@ -0,0 +1,120 @@
+// IpDB tests against the packaged IP/ feed fixtures (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ipSandbox, fixture, plain } = require('./helpers/harness');
+
+const feedRows = file => fixture(`IP/${file}`).split(/\r?\n/).filter(Boolean).slice(1).map(l => l.split(','));
+
+test('parseCsv keys row metadata by the header columns', async () => {
+  const { IpDB } = await ipSandbox();
+  IpDB.loadFromText([
+    'IP,Target C2,OpenPorts,Score(Inbound/Outbound),Country,Scan Time',
+    '203.0.113.7,c2_mythic,443,Critical/High,us,2025-11-20 10:00:00'
+  ].join('\n'));
+
+  assert.equal(IpDB.ipMap.size, 1);
+  const meta = plain(IpDB.ipMap.get('203.0.113.7'));
+  assert.equal(meta['Target C2'], 'c2_mythic');
+  assert.equal(meta.OpenPorts, '443');
+  assert.equal(meta.Country, 'us');
+  assert.equal(meta.firstSeen, '2025-11-20');
+  assert.equal(meta.ip, undefined);
+});
+
+test('parseCsv without a header keeps every line and fills ip / source', async () => {
+  const { IpDB } = await ipSandbox();
+  IpDB.loadFromText('203.0.113.7,feed-a\r\n198.51.100.1,feed-b\r\n\r\n');
+
+  assert.deepEqual(plain(IpDB.getAll()).sort(), ['198.51.100.1', '203.0.113.7']);
+  const meta = IpDB.ipMap.get('198.51.100.1');
+  assert.equal(meta.ip, '198.51.100.1');
+  assert.equal(meta.source, 'feed-b');
+});
+
+test('parseCsv handles CRLF headers, canonical IPv6 keys, ranges, ASNs and junk rows', async () => {
+  const { IpDB } = await ipSandbox();
+  IpDB.loadFromText([
+    'IP,Target C2',
+    '2001:DB8:0:0:0:0:0:1,c2_sliver',
+    '192.0.2.0/24,c2_havoc',
+    'AS64500,c2_cobaltstrike',
+    'not-an-ip,c2',
+    ',c2'
+  ].join('\r\n'));
+
+  assert.deepEqual(plain(IpDB.getAll()), ['2001:db8::1']);
+  assert.equal(IpDB.ipMap.get('2001:db8::1')['Target C2'], 'c2_sliver');
+  assert.equal(IpDB.cidrCount, 1);
+  assert.equal(IpDB.asnBlocklist.get(64500)['Target C2'], 'c2_cobaltstrike');
+
+  const ranged = await IpDB.isIpBlacklisted('192.0.2.99');
+  assert.equal(ranged.found, true);
+  assert.equal(ranged.meta.matchedRange, '192.0.2.0/24');
+  assert.equal((await IpDB.isIpBlacklisted('192.0.3.1')).found, false);
+});
+
+test('loadAll reads every file in IP/index.json and tracks first / last seen', async () => {
+  const { IpDB, fetchLog } = await ipSandbox();
+  const index = JSON.parse(fixture('IP/index.json'));
+
+  for (const file of index) assert.ok(fetchLog.some(u => u.endsWith(`/IP/${file}`)), `${file} fetched`);
+  const stats = IpDB.getStats();
+  assert.equal(stats.window.to, '2025-11-30');
+  assert.equal(stats.perDay.length, new Set(index.map(f => IpDB.fileDate(f))).size);
+
+  const [ip, family] = feedRows('2025-11-30.csv')[0];
+  const hit = await IpDB.isIpBlacklisted(ip);
+  assert.equal(hit.found, true);
+  assert.equal(hit.meta['Target C2'], family);
+  assert.equal(hit.meta.lastSeen, '2025-11-30');
+  assert.ok(hit.meta.firstSeen <= hit.meta.lastSeen);
+  assert.ok(hit.severity.level);
+});
+
+test('setExpiryDays drops IPs not seen within the window before the newest feed day', async () => {
+  const { IpDB } = await ipSandbox();
+  const latest = new Set(feedRows('2025-11-30.csv').map(r => r[0]));
+
+  IpDB.setExpiryDays(0);
+  const total = IpDB.ipMap.size;
+  assert.equal(IpDB.expiredCount, 0);
+  assert.equal(IpDB.window.from, null);
+
+  IpDB.setExpiryDays(1);
+  assert.equal(IpDB.window.from, '2025-11-30');
+  assert.equal(IpDB.ipMap.size + IpDB.expiredCount, total);
+  for (const ip of IpDB.getAll()) assert.ok(latest.has(ip), `${ip} seen on the last day`);
+
+  IpDB.setExpiryDays(-5);
+  assert.equal(IpDB.expiryDays, 1, 'invalid windows are ignored');
+});
+
+test('a cached remote feed replaces the packaged files', async () => {
+  const { IpDB, fetchLog } = await ipSandbox({
+    storage: { ip_remote_text: 'IP,Target C2,Scan Time\n198.51.100.23,c2_sliver,2025-12-01 08:00:00\n' }
+  });
+
+  assert.equal(fetchLog.some(u => u.endsWith('/IP/index.json')), false);
+  assert.deepEqual(plain(IpDB.getAll()), ['198.51.100.23']);
+  assert.equal((await IpDB.isIpBlacklisted('::ffff:198.51.100.23')).found, true);
+});
+
+test('severity decays from the newest feed date, so a fresh Critical C2 hit scores as malware', async () => {
+  const { IpDB, get } = await ipSandbox({ extraFiles: ['utils/scorer.js'] });
+  const Scorer = get('Scorer');
+  const row = scanTime => ({ 'Target C2': 'c2_mythic', 'Score(Inbound/Outbound)': 'Critical/Critical', 'Scan Time': scanTime });
+  const now = Date.parse('2025-12-01T00:00:00Z');
+
+  const fresh = IpDB.severity(row('2025-11-29 18:41:24'), now);
+  assert.equal(fresh.level, 'critical');
+  assert.equal(fresh.score, 1);
+  const scoring = Scorer.calculateScore({ ipMatches: [{ ip: '203.0.113.7', severity: fresh }] });
+  assert.equal(scoring.verdict, 'malware');
+
+  const old = IpDB.severity(row('2025-05-01 00:00:00'), now);
+  assert.ok(old.score < fresh.score && old.score >= IpDB.severityConfig.minAgeFactor);
+
+  // Without an explicit time the newest packaged feed day is the reference, not the clock
+  assert.equal(IpDB.window.to, '2025-11-30');
+  assert.deepEqual(plain(IpDB.severity(row('2025-11-29 18:41:24'))), plain(fresh));
+});
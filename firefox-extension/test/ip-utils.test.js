@@ -0,0 +1,38 @@
+// IpUtils parsing, canonical forms and extraction (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IpUtils = require('../utils/ip-utils.js');
+
+test('addresses are canonicalized (RFC 5952 IPv6, IPv4-mapped as IPv4)', () => {
+  assert.equal(IpUtils.normalize('2001:0DB8:0:0:0:0:0:1'), '2001:db8::1');
+  assert.equal(IpUtils.normalize('2001:db8:0:0:1:0:0:1'), '2001:db8::1:0:0:1', 'the first of two equal zero runs is compressed');
+  assert.equal(IpUtils.normalize('[fe80::1%eth0]'), 'fe80::1');
+  assert.equal(IpUtils.normalize('::ffff:192.0.2.1'), '192.0.2.1');
+  assert.equal(IpUtils.format(IpUtils.parse('::ffff:192.0.2.1')), '::ffff:192.0.2.1');
+  for (const bad of ['256.1.1.1', '1.2.3', '01.2.3.4x', '1::2::3', '12345::', 'example.test', null]) {
+    assert.equal(IpUtils.normalize(bad), null, String(bad));
+  }
+});
+
+test('URL hosts accept the numeric IPv4 forms browsers do', () => {
+  for (const host of ['3232235777', '0xC0A80101', '0300.0250.1.1', '192.168.257', '192.168.1.1:8080']) {
+    assert.equal(IpUtils.canonical(IpUtils.parseHost(host)), '192.168.1.1', host);
+  }
+  assert.equal(IpUtils.canonical(IpUtils.parseHost('[::1]:8080')), '::1');
+  assert.equal(IpUtils.parseHost('example.com'), null);
+  assert.equal(IpUtils.parseHost('4294967296'), null);
+});
+
+test('CIDR ranges clear host bits and reject invalid prefixes', () => {
+  assert.equal(IpUtils.formatCidr(IpUtils.parseCidr('203.0.113.77/24')), '203.0.113.0/24');
+  assert.equal(IpUtils.formatCidr(IpUtils.parseCidr('2001:db8::1/32')), '2001:db8::/32');
+  assert.equal(IpUtils.formatCidr(IpUtils.parseCidr('10.1.2.3')), '10.1.2.3/32');
+  for (const bad of ['10.0.0.0/33', '10.0.0.0/8/1', '10.0.0.0/x', '::/129']) assert.equal(IpUtils.parseCidr(bad), null, bad);
+});
+
+test('extractIps skips version strings, longer dotted runs and times', () => {
+  const text = "var host = '1.2.3.4'; ver = '10.0.0.1'; x = '5.6.7.8.9'; t = '12:30:00';" +
+    " u = 'http://[::1]/'; h = 'http://0x7f000001/'; a = '2001:db8::5'; m = '::ffff:198.51.100.7';";
+  assert.deepEqual(IpUtils.extractIps(text).sort(), ['1.2.3.4', '127.0.0.1', '198.51.100.7', '2001:db8::5', '::1']);
+  assert.deepEqual(IpUtils.extractIps(''), []);
+});
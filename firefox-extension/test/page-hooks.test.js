@@ -0,0 +1,42 @@
+// content/page-hooks.js in a fresh realm standing in for the page world (from firefox-extension/):
+//   node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { fixture } = require('./helpers/harness');
+
+function pageWorld() {
+  const posted = [];
+  const context = vm.createContext({});
+  context.window = context;
+  context.postMessage = message => posted.push(message);
+  vm.runInContext(fixture('content/page-hooks.js'), context);
+  return { context, posted };
+}
+
+test('new Function bodies are reported and still compile in the global scope', () => {
+  const { context, posted } = pageWorld();
+  const result = vm.runInContext(`
+    var scope = 'global';
+    (function () {
+      var scope = 'local';
+      const viaNew = new Function('a', 'return a + 1');
+      const viaCall = Function('return typeof scope === "string" ? scope : "none"');
+      const viaConstructor = (function () {}).constructor('return 42');
+      return [viaNew(1), viaCall(), viaConstructor(), viaNew instanceof Function, (function () {}).constructor === Function];
+    })();
+  `, context);
+
+  assert.deepEqual(Array.from(result), [2, 'global', 42, true, true]);
+  assert.deepEqual(posted.map(m => [m.source, m.kind, m.code]), [
+    ['js-malware-checker-page', 'function', 'return a + 1'],
+    ['js-malware-checker-page', 'function', 'return typeof scope === "string" ? scope : "none"'],
+    ['js-malware-checker-page', 'function', 'return 42']
+  ]);
+});
+
+test('eval is not wrapped, so direct eval keeps the local scope', () => {
+  const { context, posted } = pageWorld();
+  assert.equal(vm.runInContext('(function () { var x = "local"; return eval("x"); })()', context), 'local');
+  assert.deepEqual(posted, []);
+});
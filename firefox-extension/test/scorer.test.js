@@ -0,0 +1,74 @@
+// Scorer thresholds, verdict boundaries and weights (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Scorer = require('../utils/scorer.js');
+
+const DEFAULTS = { ...Scorer.config.thresholds };
+test.afterEach(() => { Scorer.config.thresholds = { ...DEFAULTS }; });
+
+test('setThresholds keeps the previous values for invalid input', () => {
+  Scorer.setThresholds({ suspect: '40', malware: 80 });
+  assert.deepEqual(Scorer.config.thresholds, { suspect: 40, malware: 80 });
+
+  for (const bad of [{ suspect: 90, malware: 80 }, { suspect: 0, malware: 50 }, { suspect: 40, malware: 101 }, { suspect: 'x', malware: 80 }, {}]) {
+    Scorer.setThresholds(bad);
+    assert.deepEqual(Scorer.config.thresholds, { suspect: 40, malware: 80 }, JSON.stringify(bad));
+  }
+  Scorer.setThresholds(null);
+  assert.deepEqual(Scorer.config.thresholds, { suspect: 40, malware: 80 });
+});
+
+test('a score equal to a threshold reaches its verdict', () => {
+  // 3 eval calls: 15 heuristic points
+  const input = { features: { evalCalls: 3 } };
+  assert.equal(Scorer.calculateScore(input).score, 15);
+
+  Scorer.setThresholds({ suspect: 15, malware: 16 });
+  assert.deepEqual(pick(Scorer.calculateScore(input)), { verdict: 'suspect', riskLevel: 'medium', action: 'warn' });
+  Scorer.setThresholds({ suspect: 16, malware: 20 });
+  assert.deepEqual(pick(Scorer.calculateScore(input)), { verdict: 'clean', riskLevel: 'low', action: 'allow' });
+  Scorer.setThresholds({ suspect: 10, malware: 15 });
+  assert.deepEqual(pick(Scorer.calculateScore(input)), { verdict: 'malware', riskLevel: 'high', action: 'block' });
+});
+
+test('heuristics and reputation are capped; a hash match alone is malware', () => {
+  const features = { evalCalls: 9, functionConstructorCalls: 9, documentWriteScript: 1, hexIdentifiers: 20, minerIndicators: ['coinhive'] };
+  const heuristic = Scorer.calculateScore({ features });
+  assert.equal(heuristic.breakdown.heuristics, Scorer.config.weights.heuristicCap);
+  assert.equal(heuristic.verdict, 'suspect', 'heuristics alone stay below the default malware threshold');
+
+  const reputation = Scorer.calculateScore({ url: 'http://198.51.100.7/a.js' });
+  assert.equal(reputation.breakdown.reputation, Scorer.config.weights.reputationCap);
+  assert.equal(Scorer.calculateScore({ url: 'http://198.51.100.7/page#inline-3' }).score, 0, 'inline code has no reputation of its own');
+  assert.equal(Scorer.calculateScore({ url: 'http://198.51.100.7/page#dynamic-function-0' }).score, 0);
+
+  const hash = Scorer.calculateScore({ hashResult: { found: true } });
+  assert.equal(hash.score, 100);
+  assert.equal(hash.verdict, 'malware');
+});
+
+test('a similarity match lifts the verdict to at least suspect and IP matches scale with severity', () => {
+  Scorer.setThresholds({ suspect: 50, malware: 90 });
+  const similar = Scorer.calculateScore({ similarity: { id: 'x', similarity: 0.8 } });
+  assert.equal(similar.breakdown.similarity, Scorer.config.weights.similarityMatch);
+  assert.equal(similar.score, 50);
+  assert.equal(similar.verdict, 'suspect');
+
+  const ip = Scorer.calculateScore({ ipMatches: [{ severity: { score: 0.5 } }, { severity: { score: 0.25 } }] });
+  assert.equal(ip.breakdown.ip, Math.round(Scorer.config.weights.ipMatch * 0.5));
+  assert.equal(Scorer.calculateScore({ ipMatches: [{ ip: '198.51.100.7' }] }).breakdown.ip, Scorer.config.weights.ipMatch);
+});
+
+function pick({ verdict, riskLevel, action }) {
+  return { verdict, riskLevel, action };
+}
+
+test('CSV export prefixes cells that a spreadsheet would run as formulas', () => {
+  const csv = Scorer.exportForML([{
+    url: '=HYPERLINK("http://x.invalid","y")', sha256: 'ab', verdict: 'malware', override: null, riskScore: -1,
+    ipMatches: ['+1.2.3.4'], domainMatches: ['@evil.invalid'], timestamp: 1, features: { note: '-2+3' }
+  }], 'csv');
+  const [header, row] = csv.trim().split('\n');
+  assert.equal(header, 'url,sha256,verdict,override,riskScore,ipMatches,domainMatches,timestamp,note');
+  assert.equal(row, `"'=HYPERLINK(""http://x.invalid"",""y"")",ab,malware,,-1,'+1.2.3.4,'@evil.invalid,1,'-2+3`);
+});
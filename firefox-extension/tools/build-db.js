@@ -0,0 +1,310 @@
+// Packaged DB build: regenerates SHA256/shards/*.txt, SHA256/index.json and IP/index.json from the raw lists
+//
+// Usage (from firefox-extension/):
+//   node tools/build-db.js [--sha256 <file|dir>]... [--ip <file|dir>]... [--replace] [--dry-run]
+//                          [--list N] [--report report.json] [--root <extension dir>]
+//
+// SHA-256: every hash list in SHA256/ (except normalized.txt) plus --sha256 inputs is validated; SHA-256
+// lines are merged into the 256 prefix shards (canonical: sorted, lowercase, one per line), MD5 / SHA-1
+// lines stay in their list. The current shards are kept unless --replace is given. SHA256/index.json
+// lists the hash lists of SHA256/ that hold MD5 / SHA-1 lines (HashDB.loadLocalHashes reads those lines
+// only; SHA-256 is looked up in the shards).
+//
+// IP: every daily CSV in IP/ (named YYYY-MM-DD.csv) plus --ip inputs is validated and
+// deduplicated; inputs from elsewhere are merged into the IP/ file of the same name. With --replace only
+// the --ip inputs are kept. IP/index.json lists the daily files in name order (IpDB.loadAll).
+//
+// Files are only written when their content changes, so running it twice gives no diff. The report shows
+// the indicators added / removed since the previous build (--list N examples each, --report for all).
+const fs = require('fs');
+const path = require('path');
+const IpUtils = require('../utils/ip-utils.js');
+const { canonicalShardText, shardHashes } = require('./feed-builder');
+
+const USAGE = `Usage: node tools/build-db.js [--sha256 <file|dir>]... [--ip <file|dir>]... [--replace] [--dry-run]
+       [--list N] [--report report.json] [--root <extension dir>]`;
+
+// Same lengths as HashDB.HASH_TYPES
+const HASH_TYPES = { 32: 'md5', 40: 'sha1', 64: 'sha256' };
+const DAILY_CSV = /^\d{4}-\d{2}-\d{2}\.csv$/;
+const ASN_RE = /^AS\d{1,10}$/i;
+const PREFIXES = Array.from({ length: 256 }, (_, i) => i.toString(16).padStart(2, '0'));
+
+function listFiles(dir, test) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => test(f) && fs.statSync(path.join(dir, f)).isFile()).sort().map(f => path.join(dir, f));
+}
+
+function expandInputs(inputs, test) {
+  const files = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) throw new Error(`Input not found: ${input}`);
+    if (fs.statSync(input).isDirectory()) files.push(...listFiles(input, test));
+    else files.push(input);
+  }
+  return files;
+}
+
+const isHashList = f => f.endsWith('.txt') && f !== 'normalized.txt';
+
+// Text lines of a file without line endings, trailing blanks dropped
+function readLines(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  return lines;
+}
+
+// Write file only if its content differs; returns true when written (or, with dryRun, when it would be)
+function writeIfChanged(file, text, dryRun) {
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === text) return false;
+  if (!dryRun) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+  }
+  return true;
+}
+
+const indexJson = files => JSON.stringify(files, null, 2) + '\n';
+
+// Added / removed between two sets, sorted
+function diffSets(before, after) {
+  return {
+    added: Array.from(after).filter(x => !before.has(x)).sort(),
+    removed: Array.from(before).filter(x => !after.has(x)).sort()
+  };
+}
+
+// Hash lists: SHA-256 lines for the shards, counts per type and the lists with MD5 / SHA-1 lines;
+// anything else is reported as invalid
+function readHashLists(files, invalid, root) {
+  const sha256 = new Set();
+  const counts = { md5: 0, sha1: 0, sha256: 0 };
+  const withOthers = [];
+  for (const file of files) {
+    let others = 0;
+    readLines(file).forEach((raw, i) => {
+      const line = raw.trim().toLowerCase();
+      if (!line || line.startsWith('#')) return;
+      const type = /^[a-f0-9]+$/.test(line) ? HASH_TYPES[line.length] : null;
+      if (!type) {
+        invalid.push({ file: path.relative(root, file), line: i + 1, value: raw.trim().slice(0, 80) });
+        return;
+      }
+      counts[type]++;
+      if (type === 'sha256') sha256.add(line);
+      else others++;
+    });
+    if (others) withOthers.push(file);
+  }
+  return { sha256, counts, withOthers };
+}
+
+// Indicator key of a feed row's first column (as IpDB keys it), or null if it is not an IP / CIDR / ASN
+function ipIndicator(value) {
+  if (ASN_RE.test(value)) return value.toUpperCase();
+  if (value.includes('/')) {
+    const range = IpUtils.parseCidr(value);
+    return range ? IpUtils.formatCidr(range) : null;
+  }
+  return IpUtils.normalize(value);
+}
+
+// One daily CSV: header + valid, deduplicated rows; invalid rows are reported
+function readDailyCsv(file, invalid, root) {
+  const lines = readLines(file);
+  const header = (lines.shift() || '').trim();
+  const columns = header.split(',').map(c => c.trim());
+  if (columns[0].toLowerCase() !== 'ip') throw new Error(`${path.relative(root, file)}: expected an "IP" first column, got "${header}"`);
+
+  const rows = [];
+  const seen = new Set();
+  const indicators = new Set();
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return;
+    const cols = line.split(',').map(c => c.trim());
+    const key = cols.length === columns.length ? ipIndicator(cols[0]) : null;
+    if (!key) {
+      invalid.push({ file: path.relative(root, file), line: i + 2, value: line.slice(0, 80) });
+      return;
+    }
+    indicators.add(key);
+    if (seen.has(line)) return;
+    seen.add(line);
+    rows.push(line);
+  });
+  return { header, rows, indicators };
+}
+
+// Indicators of the daily files currently listed in IP/index.json (the previous build)
+function indexedIndicators(ipDir, root) {
+  const set = new Set();
+  let files = [];
+  try { files = JSON.parse(fs.readFileSync(path.join(ipDir, 'index.json'), 'utf8')); } catch (e) { /* first build */ }
+  for (const name of Array.isArray(files) ? files : []) {
+    const file = path.join(ipDir, name);
+    if (!fs.existsSync(file)) continue;
+    for (const key of readDailyCsv(file, [], root).indicators) set.add(key);
+  }
+  return set;
+}
+
+function buildDb(options = {}) {
+  const root = path.resolve(options.root || path.join(__dirname, '..'));
+  const dryRun = !!options.dryRun;
+  const replace = !!options.replace;
+  const shaDir = path.join(root, 'SHA256');
+  const shardDir = path.join(shaDir, 'shards');
+  const ipDir = path.join(root, 'IP');
+  const invalid = [];
+  const written = [];
+  const write = (file, text) => {
+    if (writeIfChanged(file, text, dryRun)) written.push(path.relative(root, file));
+  };
+
+  // --- SHA-256 ---
+  const previousHashes = readHashLists(listFiles(shardDir, f => f.endsWith('.txt')), [], root).sha256;
+  const packagedLists = listFiles(shaDir, isHashList);
+  const extraLists = expandInputs(options.sha256 || [], isHashList);
+  const lists = readHashLists([...packagedLists, ...extraLists], invalid, root);
+  const hashes = replace ? lists.sha256 : new Set([...previousHashes, ...lists.sha256]);
+
+  const shards = shardHashes(hashes);
+  let shardsWritten = 0;
+  for (const prefix of PREFIXES) {
+    const before = written.length;
+    write(path.join(shardDir, `${prefix}.txt`), canonicalShardText(shards.get(prefix) || []));
+    shardsWritten += written.length - before;
+  }
+  const shaIndex = lists.withOthers.filter(f => path.dirname(f) === shaDir).map(f => path.basename(f));
+  write(path.join(shaDir, 'index.json'), indexJson(shaIndex));
+
+  // --- IP ---
+  const previousIps = indexedIndicators(ipDir, root);
+  const inputs = expandInputs(options.ip || [], f => DAILY_CSV.test(f));
+  for (const file of inputs) {
+    if (!DAILY_CSV.test(path.basename(file))) throw new Error(`${file}: daily feed files are named by their date (YYYY-MM-DD.csv)`);
+  }
+  const sources = new Map(); // daily file name -> input files, IP/ copy first
+  if (!replace) for (const file of listFiles(ipDir, f => DAILY_CSV.test(f))) sources.set(path.basename(file), [file]);
+  for (const file of inputs) {
+    const name = path.basename(file);
+    if (!sources.has(name)) sources.set(name, []);
+    if (!sources.get(name).includes(file)) sources.get(name).push(file);
+  }
+
+  const ips = new Set();
+  let ipRows = 0;
+  const dailyFiles = Array.from(sources.keys()).sort();
+  for (const name of dailyFiles) {
+    let header = null;
+    const rows = [];
+    const seen = new Set();
+    for (const file of sources.get(name)) {
+      const csv = readDailyCsv(file, invalid, root);
+      if (header === null) header = csv.header;
+      else if (csv.header.toLowerCase() !== header.toLowerCase()) throw new Error(`${file}: header "${csv.header}" does not match "${header}"`);
+      for (const key of csv.indicators) ips.add(key);
+      for (const row of csv.rows) if (!seen.has(row)) { seen.add(row); rows.push(row); }
+    }
+    ipRows += rows.length;
+
+    // A file already in IP/ keeps its bytes (line endings) unless its rows change
+    const target = path.join(ipDir, name);
+    const current = fs.existsSync(target) ? readLines(target).map(l => l.trim()).filter(Boolean) : null;
+    const unchanged = current && current.length === rows.length + 1 && current.slice(1).every((l, i) => l === rows[i]) && current[0] === header;
+    if (!unchanged) write(target, [header, ...rows].join('\n') + '\n');
+  }
+  if (replace) {
+    for (const file of listFiles(ipDir, f => DAILY_CSV.test(f) && !sources.has(f))) {
+      if (!dryRun) fs.rmSync(file);
+      written.push(path.relative(root, file) + ' (removed)');
+    }
+  }
+  write(path.join(ipDir, 'index.json'), indexJson(dailyFiles));
+
+  return {
+    dryRun,
+    sha256: {
+      total: hashes.size,
+      previous: previousHashes.size,
+      ...diffSets(previousHashes, hashes),
+      shardsWritten,
+      lists: shaIndex,
+      listCounts: lists.counts
+    },
+    ip: { files: dailyFiles.length, rows: ipRows, total: ips.size, previous: previousIps.size, ...diffSets(previousIps, ips) },
+    invalid,
+    written
+  };
+}
+
+function printReport(r, limit) {
+  const examples = (sign, list) => {
+    for (const x of list.slice(0, limit)) console.log(`    ${sign} ${x}`);
+    if (list.length > limit) console.log(`    ... ${list.length - limit} more`);
+  };
+  const s = r.sha256;
+  console.log(`SHA-256 shards: ${s.previous} -> ${s.total} hashes (+${s.added.length} / -${s.removed.length}), ${s.shardsWritten} of 256 shard files ${r.dryRun ? 'to rewrite' : 'rewritten'}`);
+  examples('+', s.added);
+  examples('-', s.removed);
+  console.log(`Hash lists: ${s.listCounts.sha256} SHA-256, ${s.listCounts.sha1} SHA-1, ${s.listCounts.md5} MD5 lines; SHA256/index.json lists ${s.lists.length} with MD5 / SHA-1 lines`);
+  console.log(`IP feed: ${r.ip.files} daily files, ${r.ip.rows} rows, ${r.ip.previous} -> ${r.ip.total} indicators (+${r.ip.added.length} / -${r.ip.removed.length})`);
+  examples('+', r.ip.added);
+  examples('-', r.ip.removed);
+  if (r.invalid.length) {
+    console.log(`Invalid lines skipped: ${r.invalid.length}`);
+    for (const x of r.invalid.slice(0, limit)) console.log(`    ${x.file}:${x.line}  ${x.value}`);
+    if (r.invalid.length > limit) console.log(`    ... ${r.invalid.length - limit} more`);
+  }
+  console.log(r.written.length ? `${r.dryRun ? 'Would write' : 'Written'}: ${r.written.length} files` : 'No changes');
+  for (const file of r.written.filter(f => !f.startsWith('SHA256/shards/'))) console.log(`    ${file}`);
+  if (s.shardsWritten) console.log('Shards changed: bump the manifest version so installed copies rebuild their Bloom filter');
+}
+
+function parseArgs(argv) {
+  const opts = { sha256: [], ip: [], list: 20 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '--sha256' || arg === '--ip') opts[arg.slice(2)].push(path.resolve(value()));
+    else if (arg === '--replace') opts.replace = true;
+    else if (arg === '--dry-run') opts.dryRun = true;
+    else if (arg === '--list') opts.list = Math.max(0, Number(value()) || 0);
+    else if (arg === '--report') opts.report = path.resolve(value());
+    else if (arg === '--root') opts.root = path.resolve(value());
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return opts;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+  try {
+    const report = buildDb(opts);
+    printReport(report, opts.list);
+    if (opts.report) fs.writeFileSync(opts.report, JSON.stringify(report, null, 2) + '\n');
+  } catch (e) {
+    console.error('[BuildDB]', e.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { buildDb };
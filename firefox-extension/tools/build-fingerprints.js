@@ -0,0 +1,105 @@
+// Seed fingerprint build: regenerates fingerprints/index.json (SimilarityDB packaged samples) from the
+// sample scripts in fingerprints/samples/
+//
+// Usage (from firefox-extension/):
+//   node tools/build-fingerprints.js [--samples <file|dir>]... [--out fingerprints/index.json] [--check]
+//
+// Each sample is a known-bad script, ideally the payload alone (no library code around it), with a
+// "// label: ..." comment on its first line. Its id is the SHA-256 of the file; its segments are the
+// FuzzyHash segment signatures. Output is sorted by id, so rebuilding unchanged samples gives no diff.
+// --check exits with status 1 when the index is out of date instead of writing it.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const FuzzyHash = require('../utils/fuzzy-hash.js');
+
+const USAGE = 'Usage: node tools/build-fingerprints.js [--samples <file|dir>]... [--out fingerprints/index.json] [--check]';
+
+const ROOT = path.join(__dirname, '..');
+const LABEL_RE = /^\s*\/\/\s*label:\s*(.+?)\s*$/i;
+
+function sampleFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) throw new Error(`Input not found: ${input}`);
+    if (fs.statSync(input).isDirectory()) {
+      files.push(...fs.readdirSync(input).filter(f => f.endsWith('.js')).sort().map(f => path.join(input, f)));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+// [{ id, label, segments: [hex] }] for the given sample files
+function buildFingerprints(inputs) {
+  const list = [];
+  for (const file of sampleFiles(inputs)) {
+    const text = fs.readFileSync(file, 'utf8');
+    const segments = FuzzyHash.fingerprint(text);
+    if (!segments) throw new Error(`${file}: too short to fingerprint (fewer than ${FuzzyHash.config.minTokens} tokens)`);
+    const label = (LABEL_RE.exec(text.split('\n', 1)[0]) || [])[1] || path.basename(file, '.js');
+    list.push({
+      id: crypto.createHash('sha256').update(text).digest('hex'),
+      label,
+      segments: segments.map(sig => FuzzyHash.toHex(sig))
+    });
+  }
+  return list.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+function parseArgs(argv) {
+  const opts = { samples: [], out: path.join(ROOT, 'fingerprints', 'index.json') };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '--samples') opts.samples.push(path.resolve(value()));
+    else if (arg === '--out') opts.out = path.resolve(value());
+    else if (arg === '--check') opts.check = true;
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!opts.samples.length) opts.samples.push(path.join(ROOT, 'fingerprints', 'samples'));
+  return opts;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+  try {
+    const list = buildFingerprints(opts.samples);
+    const text = JSON.stringify(list, null, 2) + '\n';
+    const current = fs.existsSync(opts.out) ? fs.readFileSync(opts.out, 'utf8') : null;
+    for (const s of list) console.log(`  ${s.id.slice(0, 12)}  ${s.segments.length} segments  ${s.label}`);
+    if (current === text) {
+      console.log(`${path.relative(process.cwd(), opts.out)}: up to date (${list.length} samples)`);
+    } else if (opts.check) {
+      console.error(`[BuildFingerprints] ${path.relative(process.cwd(), opts.out)} is out of date, run node tools/build-fingerprints.js`);
+      process.exit(1);
+    } else {
+      fs.mkdirSync(path.dirname(opts.out), { recursive: true });
+      fs.writeFileSync(opts.out, text);
+      console.log(`${path.relative(process.cwd(), opts.out)}: written (${list.length} samples)`);
+    }
+  } catch (e) {
+    console.error('[BuildFingerprints]', e.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { buildFingerprints };
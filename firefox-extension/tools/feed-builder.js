@@ -0,0 +1,393 @@
+// Feed builder: turns hash lists and daily IP / domain CSVs into the versioned, signed feed DBUpdater reads
+//
+// Usage (from firefox-extension/):
+//   node tools/feed-builder.js --key <private-jwk.json> [--out feed-dist] [--base-url http://localhost:8787]
+//                              [--sha256 <file|dir>]... [--ip <file|dir>]... [--domain <file|dir>]...
+//                              [--version N] [--keep-deltas 5] [--public-key <public-jwk.json>] [--allow-key-mismatch]
+//   node tools/feed-builder.js keygen --out <private-jwk.json> [--public <public-jwk.json>] [--force]
+//
+// Defaults: SHA256/shards + SHA256/sha256_hashes*.txt, the IP/ and Domain/ files listed in their index.json.
+// --sha256 lists may mix MD5, SHA-1 and SHA-256 digests (as HashDB does): SHA-256 goes into the shards,
+// MD5 / SHA-1 into one plain list that the metadata names as url (DBUpdater caches it as the remote list).
+// Directory arguments use their index.json the same way, or all .txt / .csv files without one.
+//
+// The signing key is a private P-256 JWK: --key <file>, else the file named by FEED_SIGNING_KEY_FILE, else
+// the JWK text in FEED_SIGNING_KEY. It must be the private half of --public-key (default: the key bundled
+// in the extension, keys/feed-public-key.json); a feed signed with another key is refused by DBUpdater, so
+// the build stops unless --allow-key-mismatch is given. keygen writes a new pair (see keys/README.md);
+// never commit a private key.
+//
+// Output (URLs inside are absolute, under --base-url):
+//   sha256/metadata.json       { version, generatedAt, shardIndexUrl, shardIndexSha256, url, sha256, hashes, otherHashes } + .sig
+//   sha256/shard-index.json    { version, generatedAt, shards: [{ prefix, url, sha256, count, version, deltas }] } + .sig
+//   sha256/shards/<xx>.txt     canonical shard text (sorted lowercase SHA-256, one per line)
+//   sha256/deltas/<xx>-<from>-<to>.json  { prefix, from, to, added, removed } for shards changed since the last build
+//   sha256/other-hashes.txt    sorted lowercase MD5 and SHA-1 digests, one per line (empty when there are none)
+//   ip/metadata.json, ip/feed.csv            { version, generatedAt, url, sha256, rows }             + .sig
+//   domain/metadata.json, domain/domains.csv { version, generatedAt, url, sha256, rows }             + .sig
+//   SHA256SUMS                 sha256sum-style checksums of every file above
+//
+// Building again into the same --out directory bumps the feed version; shards and lists whose content
+// did not change keep their version, changed shards get a delta from their previous version.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SHA256_RE = /^[a-f0-9]{64}$/;
+const OTHER_HASH_RE = /^(?:[a-f0-9]{32}|[a-f0-9]{40})$/; // MD5, SHA-1
+
+const USAGE = `Usage: node tools/feed-builder.js --key <private-jwk.json> [--out feed-dist] [--base-url URL]
+       [--sha256 <file|dir>]... [--ip <file|dir>]... [--domain <file|dir>]... [--version N] [--keep-deltas N]
+       [--public-key <public-jwk.json>] [--allow-key-mismatch]
+       node tools/feed-builder.js keygen --out <private-jwk.json> [--public <public-jwk.json>] [--force]`;
+
+const DEFAULTS = {
+  out: path.join(ROOT, 'feed-dist'),
+  baseUrl: 'http://localhost:8787',
+  sha256: [path.join(ROOT, 'SHA256', 'shards'), ...listFiles(path.join(ROOT, 'SHA256'), /^sha256_hashes.*\.txt$/)],
+  ip: [path.join(ROOT, 'IP')],
+  domain: [path.join(ROOT, 'Domain')],
+  keepDeltas: 5,
+  publicKey: path.join(ROOT, 'keys', 'feed-public-key.json')
+};
+
+// Files of a directory matching re, sorted by name
+function listFiles(dir, re) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => re.test(f)).sort().map(f => path.join(dir, f));
+}
+
+// Expand file / directory arguments. A directory contributes the files its index.json lists (as the
+// extension loads IP/ and Domain/), or else all of its files with the given extension.
+function expandInputs(inputs, ext) {
+  const files = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) throw new Error(`Input not found: ${input}`);
+    if (!fs.statSync(input).isDirectory()) {
+      files.push(input);
+      continue;
+    }
+    const index = readJson(path.join(input, 'index.json'));
+    if (Array.isArray(index)) files.push(...index.map(f => path.join(input, f)).filter(f => f.endsWith(ext)));
+    else files.push(...listFiles(input, new RegExp(`\\${ext}$`)));
+  }
+  return files;
+}
+
+const sha256Hex = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// Same form as DBUpdater.canonicalShardText: a rebuilt shard must hash to the index sha256
+function canonicalShardText(hashes) {
+  const list = Array.from(hashes).sort();
+  return list.length ? list.join('\n') + '\n' : '';
+}
+
+// Read hash lists: valid lines are lowercased and deduplicated, SHA-256 into hashes and MD5 / SHA-1 into
+// others; anything else is counted as rejected
+function readHashLists(files) {
+  const hashes = new Set();
+  const others = new Set();
+  let rejected = 0;
+  for (const file of files) {
+    for (let line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+      line = line.trim().toLowerCase();
+      if (!line || line.startsWith('#')) continue;
+      if (SHA256_RE.test(line)) hashes.add(line);
+      else if (OTHER_HASH_RE.test(line)) others.add(line);
+      else rejected++;
+    }
+  }
+  return { hashes, others, rejected };
+}
+
+// Group hashes into two-hex-digit prefix shards
+function shardHashes(hashes) {
+  const shards = new Map();
+  for (const h of hashes) {
+    const prefix = h.slice(0, 2);
+    if (!shards.has(prefix)) shards.set(prefix, new Set());
+    shards.get(prefix).add(h);
+  }
+  return shards;
+}
+
+// Merge CSV files sharing one header; duplicate rows are dropped, the first file's header is kept
+function mergeCsv(files) {
+  let header = null;
+  const rows = [];
+  const seen = new Set();
+  for (const file of files) {
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (!lines.length) continue;
+    const first = lines.shift();
+    if (header === null) header = first;
+    else if (first.toLowerCase() !== header.toLowerCase()) throw new Error(`${file}: header "${first}" does not match "${header}"`);
+    for (const line of lines) {
+      if (seen.has(line)) continue;
+      seen.add(line);
+      rows.push(line);
+    }
+  }
+  return { text: header === null ? '' : [header, ...rows].join('\n') + '\n', rows: rows.length };
+}
+
+// Private signing key from a KeyObject, a JWK file path (key) or JWK text (keyJwk)
+function loadSigningKey({ key, keyJwk }) {
+  if (key && typeof key === 'object') return key;
+  let jwk;
+  try {
+    jwk = JSON.parse(key ? fs.readFileSync(key, 'utf8') : keyJwk);
+  } catch (e) {
+    throw new Error(`Cannot read the signing key ${key ? `from ${key}` : 'from FEED_SIGNING_KEY'}: ${e.message}`);
+  }
+  if (!jwk || jwk.kty !== 'EC' || jwk.crv !== 'P-256' || !jwk.d) throw new Error('The signing key must be a private P-256 JWK');
+  return crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+}
+
+// Stop when the signing key is not the private half of the public key the extension verifies with
+function checkKeyPair(key, publicKeyFile, allowMismatch) {
+  const { x, y } = crypto.createPublicKey(key).export({ format: 'jwk' });
+  const expected = readJson(publicKeyFile);
+  if (expected && expected.x === x && expected.y === y) return;
+  const problem = expected
+    ? `signing key does not match ${path.relative(process.cwd(), publicKeyFile)}: DBUpdater will reject this feed`
+    : `cannot read the public key ${publicKeyFile}`;
+  if (!allowMismatch) throw new Error(`${problem} (use the matching --key, --public-key or --allow-key-mismatch)`);
+  console.warn(`[FeedBuilder] ${problem}`);
+}
+
+// New P-256 key pair as JWKs: { privateJwk, publicJwk } (publicJwk has the keys/feed-public-key.json fields)
+function generateKeyPair() {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const privateJwk = privateKey.export({ format: 'jwk' });
+  const { kty, crv, x, y } = privateJwk;
+  return { privateJwk, publicJwk: { kty, crv, x, y } };
+}
+
+// keygen subcommand: private JWK to opts.out (owner-only), public JWK to opts.public or stdout
+function keygen(opts) {
+  if (!opts.out) throw new Error('keygen needs --out <private-jwk.json>');
+  for (const file of [opts.out, opts.public].filter(Boolean)) {
+    if (fs.existsSync(file) && !opts.force) throw new Error(`${file} exists (use --force to replace it)`);
+  }
+  const { privateJwk, publicJwk } = generateKeyPair();
+  const publicText = JSON.stringify(publicJwk, null, 2) + '\n';
+  fs.mkdirSync(path.dirname(opts.out), { recursive: true });
+  fs.writeFileSync(opts.out, JSON.stringify(privateJwk, null, 2) + '\n', { mode: 0o600 });
+  fs.chmodSync(opts.out, 0o600);
+  if (opts.public) {
+    fs.mkdirSync(path.dirname(opts.public), { recursive: true });
+    fs.writeFileSync(opts.public, publicText);
+  }
+  return { publicJwk, publicText };
+}
+
+// Detached signature as DBUpdater.verifySignature expects it: base64 of the raw r||s ECDSA P-256 signature
+function sign(key, data) {
+  return crypto.sign('sha256', data, { key, dsaEncoding: 'ieee-p1363' }).toString('base64');
+}
+
+function readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { return null; }
+}
+
+// Build the feed into options.out; returns a summary ({ version, hashes, shards, changedShards, ... })
+function buildFeed(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  if (!opts.key && !opts.keyJwk) {
+    throw new Error('A signing key is required (--key <private-jwk.json>, FEED_SIGNING_KEY_FILE or FEED_SIGNING_KEY)');
+  }
+  const key = loadSigningKey(opts);
+  checkKeyPair(key, opts.publicKey, opts.allowKeyMismatch);
+  const out = opts.out;
+  const baseUrl = opts.baseUrl.replace(/\/$/, '');
+  const url = rel => `${baseUrl}/${rel}`;
+  const generatedAt = new Date().toISOString();
+  const written = new Map(); // relative path -> sha256, for SHA256SUMS
+
+  const write = (rel, data) => {
+    const file = path.join(out, rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+    written.set(rel, sha256Hex(data));
+    return file;
+  };
+  // Returns the sha256 of the signed document
+  const writeSigned = (rel, value) => {
+    const data = Buffer.from(JSON.stringify(value, null, 2) + '\n');
+    write(rel, data);
+    write(rel + '.sig', sign(key, data) + '\n');
+    return written.get(rel);
+  };
+
+  // The previous build in the same directory decides versions and deltas
+  const previousMeta = readJson(path.join(out, 'sha256', 'metadata.json')) || {};
+  const previousIndex = readJson(path.join(out, 'sha256', 'shard-index.json')) || { shards: [] };
+  const version = opts.version !== undefined ? Number(opts.version) : (Number(previousMeta.version) || 0) + 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Invalid feed version: ${opts.version}`);
+  if (previousMeta.version && version <= previousMeta.version) {
+    throw new Error(`Feed version ${version} must be greater than the previous build (${previousMeta.version})`);
+  }
+  const previousShards = new Map(previousIndex.shards.map(s => [s.prefix, s]));
+
+  // Read and validate every input before anything is written
+  const { hashes, others, rejected } = readHashLists(expandInputs(opts.sha256, '.txt'));
+  const csvLists = { ip: mergeCsv(expandInputs(opts.ip, '.csv')), domain: mergeCsv(expandInputs(opts.domain, '.csv')) };
+
+  // SHA-256 shards
+  const shards = shardHashes(hashes);
+  // A shard whose last hash was removed stays in the index, empty: clients drop their cached copy through it
+  for (const s of previousIndex.shards) if (!shards.has(s.prefix)) shards.set(s.prefix, new Set());
+  const prefixes = Array.from(shards.keys()).sort();
+  const entries = [];
+  let changedShards = 0;
+  let newShards = 0;
+  for (const prefix of prefixes) {
+    const set = shards.get(prefix);
+    const text = canonicalShardText(set);
+    const digest = sha256Hex(text);
+    const previous = previousShards.get(prefix);
+    const entry = { prefix, url: url(`sha256/shards/${prefix}.txt`), sha256: digest, count: set.size, version, deltas: [] };
+
+    if (previous && previous.sha256 === digest) {
+      entry.version = previous.version;
+      entry.deltas = previous.deltas || [];
+    } else if (previous) {
+      changedShards++;
+      const before = readHashLists([path.join(out, 'sha256', 'shards', `${prefix}.txt`)].filter(f => fs.existsSync(f))).hashes;
+      const delta = {
+        prefix,
+        from: previous.version,
+        to: version,
+        added: Array.from(set).filter(h => !before.has(h)).sort(),
+        removed: Array.from(before).filter(h => !set.has(h)).sort()
+      };
+      const rel = `sha256/deltas/${prefix}-${delta.from}-${delta.to}.json`;
+      const deltaData = JSON.stringify(delta) + '\n';
+      write(rel, deltaData);
+      entry.deltas = [...(previous.deltas || []), { from: delta.from, to: delta.to, url: url(rel), sha256: sha256Hex(deltaData) }]
+        .slice(-opts.keepDeltas);
+    } else {
+      newShards++;
+    }
+    write(`sha256/shards/${prefix}.txt`, text);
+    entries.push(entry);
+  }
+
+  // MD5 / SHA-1 list, written even when empty so clients drop a list cached from an earlier build
+  const otherText = canonicalShardText(others);
+  write('sha256/other-hashes.txt', otherText);
+
+  // The metadata pins the index it goes with, so an older signed index cannot be served next to it
+  const shardIndexSha256 = writeSigned('sha256/shard-index.json', { version, generatedAt, shards: entries });
+  writeSigned('sha256/metadata.json', {
+    version,
+    generatedAt,
+    shardIndexUrl: url('sha256/shard-index.json'),
+    shardIndexSha256,
+    url: url('sha256/other-hashes.txt'),
+    sha256: sha256Hex(otherText),
+    hashes: hashes.size,
+    otherHashes: others.size
+  });
+
+  // IP and domain lists: one merged CSV each; the version only moves when the content changes
+  const lists = {};
+  for (const [type, rel] of [['ip', 'ip/feed.csv'], ['domain', 'domain/domains.csv']]) {
+    const merged = csvLists[type];
+    const digest = sha256Hex(merged.text);
+    const previous = readJson(path.join(out, type, 'metadata.json')) || {};
+    const listVersion = previous.sha256 === digest && previous.version ? previous.version : version;
+    write(rel, merged.text);
+    writeSigned(`${type}/metadata.json`, { version: listVersion, generatedAt, url: url(rel), sha256: digest, rows: merged.rows });
+    lists[type] = { version: listVersion, rows: merged.rows, changed: listVersion === version };
+  }
+
+  // Checksums of everything this build wrote, plus deltas kept from earlier builds
+  for (const entry of entries) {
+    for (const delta of entry.deltas) written.set(delta.url.slice(baseUrl.length + 1), delta.sha256);
+  }
+  const sums = Array.from(written.entries())
+    .filter(([rel]) => rel !== 'SHA256SUMS')
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([rel, digest]) => `${digest}  ${rel}`);
+  write('SHA256SUMS', sums.join('\n') + '\n');
+
+  return { version, out, hashes: hashes.size, otherHashes: others.size, rejected, shards: entries.length, newShards, changedShards, ...lists };
+}
+
+function parseArgs(argv) {
+  const opts = { sha256: [], ip: [], domain: [] };
+  if (argv[0] === 'keygen') {
+    opts.command = 'keygen';
+    argv = argv.slice(1);
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '--key') opts.key = value();
+    else if (arg === '--out') opts.out = path.resolve(value());
+    else if (arg === '--base-url') opts.baseUrl = value();
+    else if (arg === '--version') opts.version = value();
+    else if (arg === '--keep-deltas') opts.keepDeltas = Math.max(1, Number(value()) || DEFAULTS.keepDeltas);
+    else if (arg === '--public-key') opts.publicKey = path.resolve(value());
+    else if (arg === '--allow-key-mismatch') opts.allowKeyMismatch = true;
+    else if (arg === '--public') opts.public = path.resolve(value());
+    else if (arg === '--force') opts.force = true;
+    else if (arg === '--sha256' || arg === '--ip' || arg === '--domain') opts[arg.slice(2)].push(path.resolve(value()));
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  for (const type of ['sha256', 'ip', 'domain']) if (!opts[type].length) delete opts[type];
+  if (opts.command === 'keygen') return opts;
+  if (opts.key) opts.key = path.resolve(opts.key);
+  else if (process.env.FEED_SIGNING_KEY_FILE) opts.key = path.resolve(process.env.FEED_SIGNING_KEY_FILE);
+  else if (process.env.FEED_SIGNING_KEY) opts.keyJwk = process.env.FEED_SIGNING_KEY;
+  return opts;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (opts.command === 'keygen') {
+    try {
+      const { publicText } = keygen(opts);
+      console.log(`Private key written to ${opts.out} (keep it out of the repository)`);
+      if (opts.public) console.log(`Public key written to ${opts.public}`);
+      else process.stdout.write(publicText);
+    } catch (e) {
+      console.error('[FeedBuilder]', e.message);
+      process.exit(1);
+    }
+    return;
+  }
+  try {
+    const r = buildFeed(opts);
+    console.log(`Feed version ${r.version} written to ${r.out}`);
+    console.log(`  sha256: ${r.hashes} hashes in ${r.shards} shards (${r.newShards} new, ${r.changedShards} changed)` +
+      (r.rejected ? `, ${r.rejected} invalid lines skipped` : ''));
+    console.log(`  md5 / sha1: ${r.otherHashes} hashes`);
+    console.log(`  ip: ${r.ip.rows} rows, version ${r.ip.version}${r.ip.changed ? '' : ' (unchanged)'}`);
+    console.log(`  domain: ${r.domain.rows} rows, version ${r.domain.version}${r.domain.changed ? '' : ' (unchanged)'}`);
+  } catch (e) {
+    console.error('[FeedBuilder]', e.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { buildFeed, keygen, generateKeyPair, readHashLists, shardHashes, canonicalShardText, mergeCsv, sign };
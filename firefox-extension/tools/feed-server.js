@@ -0,0 +1,81 @@
+// Local threat-feed server: serves a feed-builder output directory over HTTP for end-to-end update tests
+//
+// Usage (from firefox-extension/):  node tools/feed-server.js [--dir feed-dist] [--port 8787] [--host 127.0.0.1]
+//
+// Then set the feed URL on the options page to http://localhost:8787 (the default --base-url of
+// tools/feed-builder.js) and run "check for updates". Every request is logged with its status.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.sig': 'text/plain; charset=utf-8'
+};
+
+// Static file server rooted at dir (GET / HEAD only, nothing outside dir)
+function createFeedServer(dir, { log = console.log } = {}) {
+  const root = path.resolve(dir);
+  return http.createServer((req, res) => {
+    const done = (status, body = '', headers = {}) => {
+      res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-cache',
+        ...headers
+      });
+      res.end(req.method === 'HEAD' ? undefined : body);
+      log(`${req.method} ${req.url} ${status}`);
+    };
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') return done(405, 'Method not allowed', { Allow: 'GET, HEAD' });
+    let rel;
+    try {
+      rel = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+      return done(400, 'Bad request');
+    }
+    const file = path.join(root, rel);
+    if (file !== root && !file.startsWith(root + path.sep)) return done(403, 'Forbidden');
+
+    fs.stat(file, (err, stat) => {
+      if (err || !stat.isFile()) return done(404, 'Not found');
+      fs.readFile(file, (readErr, data) => {
+        if (readErr) return done(500, 'Read error');
+        done(200, data, {
+          'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+          'Content-Length': data.length
+        });
+      });
+    });
+  });
+}
+
+function main() {
+  const opts = { dir: path.join(__dirname, '..', 'feed-dist'), port: 8787, host: '127.0.0.1' };
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir') opts.dir = path.resolve(argv[++i]);
+    else if (argv[i] === '--port') opts.port = Number(argv[++i]);
+    else if (argv[i] === '--host') opts.host = argv[++i];
+    else {
+      console.error(`Unknown argument: ${argv[i]}`);
+      process.exit(2);
+    }
+  }
+  if (!fs.existsSync(path.join(opts.dir, 'sha256', 'metadata.json'))) {
+    console.error(`[FeedServer] no feed in ${opts.dir}: run tools/feed-builder.js first`);
+    process.exit(1);
+  }
+
+  const server = createFeedServer(opts.dir);
+  server.listen(opts.port, opts.host, () => {
+    const { port } = server.address();
+    console.log(`[FeedServer] serving ${opts.dir} at http://${opts.host === '127.0.0.1' ? 'localhost' : opts.host}:${port}`);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { createFeedServer };
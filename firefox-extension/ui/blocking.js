@@ -1,7 +1,10 @@
 // Simplified blocking page (no animations)
 const urlParams = new URLSearchParams(window.location.search);
-const targetUrl = urlParams.get('url');
-const tabId = parseInt(urlParams.get('tabId'));
+// MV3 (background.mv3.js): a declarativeNetRequest redirect puts the target URL in the fragment
+// and the page has to start the check itself
+const ruleRedirect = !urlParams.has('url') && window.location.hash.length > 1;
+const targetUrl = ruleRedirect ? window.location.hash.slice(1) : urlParams.get('url');
+let tabId = parseInt(urlParams.get('tabId'));
 const previousUrl = urlParams.get('previous');
 
 const targetEl = document.getElementById('targetUrl');
@@ -10,7 +13,16 @@ if (targetEl) targetEl.textContent = targetUrl || '';
 let checkInterval;
 let checkCount = 0;
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  if (ruleRedirect) {
+    try {
+      const tab = await browser.tabs.getCurrent();
+      tabId = tab.id;
+      await browser.runtime.sendMessage({ action: 'startCheck', tabId, url: targetUrl });
+    } catch (err) {
+      console.error('[Blocking] startCheck failed', err);
+    }
+  }
   startScanning();
 });
 
@@ -31,21 +43,20 @@ function startScanning() {
       return;
     }
 
-    const { status, scripts = [], totalScripts = 0 } = response;
+    const { status, hasMalware, hasSuspect, scripts = [], totalScripts = 0 } = response;
     console.debug('[Blocking] checkStatus response', { tabId, status, scriptsCount: scripts.length, totalScripts });
 
     const checkedScripts = scripts.filter(s => s.status !== 'pending').length;
     updateProgress(checkedScripts, totalScripts);
 
-    // Count threats (hash matches or ip matches)
-    const maliciousScripts = scripts.filter(s => s.status === 'malware');
-    const ipThreats = scripts.filter(s => s.ipMatches && s.ipMatches.length > 0 && s.status !== 'malware');
-    const threatCount = maliciousScripts.length + ipThreats.length;
-    setNumber('riskScore', threatCount);
+    // Page risk = highest script risk score (0-100)
+    const riskScore = scripts.reduce((max, s) => Math.max(max, s.riskScore || 0), 0);
+    setNumber('riskScore', riskScore);
 
     if (status === 'complete') {
       clearInterval(checkInterval);
-      if (threatCount > 0) showMalwareWarning(scripts);
+      if (hasMalware) showMalwareWarning(scripts);
+      else if (hasSuspect) showSuspectWarning(scripts);
       else {
         showSuccess();
         setTimeout(() => redirectToTarget(), 1500);
@@ -81,14 +92,77 @@ function showSuccess() {
   if (status) status.textContent = 'Không phát hiện mã độc. Đang chuyển hướng...';
 }
 
+// Display label for a script entry (inline blocks are identified by page URL + block index;
+// page entries are the main-frame URL itself, listed in DomainDB)
+function scriptLabel(s) {
+  const url = s.inline ? s.url.replace(/#inline-\d+$/, '') : s.url;
+  const shortUrl = url.length > 80 ? url.substring(0, 80) + '...' : url;
+  if (s.page) return `[page] ${shortUrl}`;
+  return s.inline ? `[inline #${s.inlineIndex}] ${shortUrl}` : shortUrl;
+}
+
+// Top contributing factors of a script's score, e.g. "evalCalls +10, rawIpHost +15"
+function scoreReasons(s) {
+  const details = (s.scoreBreakdown && s.scoreBreakdown.details) || {};
+  return Object.entries(details)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([name, points]) => `${name} +${points}`)
+    .join(', ');
+}
+
+// "1.2.3.4 (Mythic C2, port 443, US, critical, seen 3d ago, in 1.2.3.0/24, AS64500)" for an IpDB match;
+// range / ASN only for non-exact matches
+function ipMatchLabel(im) {
+  const meta = im.meta || {};
+  const sev = im.severity || {};
+  const ip = im.ip || meta.IP || meta.ip || JSON.stringify(im);
+  const extra = [
+    sev.family ? `${sev.family} C2` : meta['Target C2'],
+    sev.ports && sev.ports.length && `port ${sev.ports.join('/')}`,
+    sev.country,
+    sev.level && `${sev.level}${sev.inbound ? ` ${sev.inbound}/${sev.outbound}` : ''}`,
+    Number.isFinite(sev.ageDays) && `seen ${sev.ageDays}d before the latest feed`,
+    meta.matchedRange && `in ${meta.matchedRange}`,
+    meta.asn && `AS${meta.asn}`
+  ].filter(Boolean);
+  return extra.length ? `${ip} (${extra.join(', ')})` : ip;
+}
+
+// "cdn.evil.example (registrable: evil.example, Skimmer)" for a DomainDB match
+function domainMatchLabel(dm) {
+  const meta = dm.meta || {};
+  const target = dm.matchType === 'url' ? dm.url : dm.host;
+  const extra = [`${dm.matchType}: ${dm.indicator}`, meta.Category || meta.category].filter(Boolean);
+  return `${target} (${extra.join(', ')})`;
+}
+
+// "87% similar to known sample X" for scripts flagged by the fuzzy hash index
+function similarityText(s) {
+  const sim = s.similarity;
+  if (!sim) return '';
+  return `${Math.round(sim.similarity * 100)}% similar to known sample ${sim.label || sim.id}`;
+}
+
 // Show malware warning
 function showMalwareWarning(scripts) {
-  const details = scripts.filter(s => s.status === 'malware' || (s.ipMatches && s.ipMatches.length > 0)).map(s => {
-    const shortUrl = s.url.length > 80 ? s.url.substring(0, 80) + '...' : s.url;
-    const hash = s.sha256 || 'n/a';
-    const hashSource = s.hashResult?.source || (s.hashResult && s.hashResult.found ? 'local' : 'none');
-    const ipList = (s.ipMatches || []).map(im => im.ip || (im.meta && (im.meta.IP || im.meta.ip)) || JSON.stringify(im)).join(', ');
-    return `<div class="script-item"><div class="script-url" title="${s.url}">${shortUrl}</div><div>Hash: ${hash}</div><div>Hash source: ${hashSource}</div>${ipList ? `<div>IP matches: ${ipList}</div>` : ''}</div>`;
+  const details = scripts.filter(s => s.status === 'malware').map(s => {
+    const shortUrl = HtmlUtils.escape(scriptLabel(s));
+    const title = HtmlUtils.escape(s.url);
+    // Show the digest that matched (MD5 / SHA1 feeds), else the SHA256
+    const matched = s.hashResult && s.hashResult.found && s.hashResult.matchedHash;
+    const hash = HtmlUtils.escape(matched ? `${matched} (${s.hashResult.type})` : s.sha256 || 'n/a');
+    const hashSource = HtmlUtils.escape(s.hashResult?.source || (s.hashResult && s.hashResult.found ? 'local' : 'none'));
+    const matchType = HtmlUtils.escape(s.matchType || s.hashResult?.type || 'SHA256');
+    const riskScore = HtmlUtils.escape(s.riskScore || 0);
+    const ipList = HtmlUtils.escape((s.ipMatches || []).map(ipMatchLabel).join(', '));
+    const domainList = HtmlUtils.escape((s.domainMatches || []).map(domainMatchLabel).join(', '));
+    const similar = HtmlUtils.escape(similarityText(s));
+    const domainLine = domainList ? `<div>Domain matches: ${domainList}</div>` : '';
+    if (s.page) {
+      return `<div class="script-item"><div class="script-url" title="${title}">${shortUrl}</div><div>Risk score: ${riskScore}</div>${domainLine}</div>`;
+    }
+    return `<div class="script-item"><div class="script-url" title="${title}">${shortUrl}</div><div>Risk score: ${riskScore}</div><div>Hash: ${hash}</div><div>Hash source: ${hashSource}</div><div>Match type: ${matchType}</div>${ipList ? `<div>IP matches: ${ipList}</div>` : ''}${domainLine}${similar ? `<div>${similar}</div>` : ''}</div>`;
   }).join('');
 
   const warningEl = document.getElementById('warningMalware');
@@ -102,10 +176,17 @@ function showMalwareWarning(scripts) {
 // Show suspect warning
 function showSuspectWarning(scripts) {
   const suspectScripts = scripts.filter(s => s.status === 'suspect');
-  const details = suspectScripts.map(s => `<div class="script-item"><div class="script-url">${s.url}</div></div>`).join('');
+  const details = suspectScripts.map(s => {
+    const reasons = HtmlUtils.escape(scoreReasons(s));
+    const similar = HtmlUtils.escape(similarityText(s));
+    const ipList = HtmlUtils.escape((s.ipMatches || []).map(ipMatchLabel).join(', '));
+    return `<div class="script-item"><div class="script-url" title="${HtmlUtils.escape(s.url)}">${HtmlUtils.escape(scriptLabel(s))}</div><div>Risk score: ${HtmlUtils.escape(s.riskScore || 0)}</div>${ipList ? `<div>IP matches: ${ipList}</div>` : ''}${similar ? `<div>${similar}</div>` : ''}${reasons ? `<div>Signals: ${reasons}</div>` : ''}</div>`;
+  }).join('');
   const detailsEl = document.getElementById('suspectDetails');
   const warningEl = document.getElementById('warningSuspect');
+  const container = document.getElementById('mainContainer');
   if (detailsEl) detailsEl.innerHTML = details;
+  if (container) container.classList.add('warning-suspect');
   if (warningEl) warningEl.hidden = false;
 }
 
@@ -138,12 +219,24 @@ function createSuccessParticles() {
 
 // Redirect to target URL
 async function redirectToTarget() {
-  // Notify background script to approve this tab
-  await browser.runtime.sendMessage({
-    action: 'approveTab',
-    tabId: tabId,
-    url: targetUrl
-  });
+  // Notify background script to approve this tab. It only approves the navigation it held back for
+  // this tab, so a link to this page with some other target goes nowhere.
+  let approval = null;
+  try {
+    approval = await browser.runtime.sendMessage({
+      action: 'approveTab',
+      tabId: tabId,
+      url: targetUrl
+    });
+  } catch (err) {
+    console.error('[Blocking] approveTab sendMessage failed', err);
+  }
+  if (!approval || !approval.success) {
+    clearInterval(checkInterval);
+    document.getElementById('title').textContent = 'KHÔNG THỂ TIẾP TỤC';
+    document.getElementById('status').textContent = 'Địa chỉ đích không phải trang bị chặn trong tab này.';
+    return;
+  }
   // Simple fade-out then navigate
   const container = document.querySelector('.container');
   if (container) {
@@ -151,10 +244,10 @@ async function redirectToTarget() {
     container.style.opacity = '0';
     container.style.transform = 'scale(0.95)';
     setTimeout(() => {
-      window.location.href = targetUrl || '/';
+      window.location.href = targetUrl;
     }, 350);
   } else {
-    window.location.href = targetUrl || '/';
+    window.location.href = targetUrl;
   }
 }
 
@@ -174,7 +267,16 @@ function navigateBack() {
   }
 }
 
-document.getElementById('btnBlockMalware')?.addEventListener('click', () => navigateBack());
-document.getElementById('btnContinueMalware')?.addEventListener('click', () => redirectToTarget());
-document.getElementById('btnBlockSuspect')?.addEventListener('click', () => navigateBack());
-document.getElementById('btnContinueSuspect')?.addEventListener('click', () => redirectToTarget());
\ No newline at end of file
+// Record the user's decision on flagged scripts (user override in the ML dataset)
+async function recordDecision(decision) {
+  try {
+    await browser.runtime.sendMessage({ action: 'recordOverride', tabId, decision });
+  } catch (err) {
+    console.warn('[Blocking] recordOverride failed', err);
+  }
+}
+
+document.getElementById('btnBlockMalware')?.addEventListener('click', () => recordDecision('block').then(navigateBack));
+document.getElementById('btnContinueMalware')?.addEventListener('click', () => recordDecision('allow').then(redirectToTarget));
+document.getElementById('btnBlockSuspect')?.addEventListener('click', () => recordDecision('block').then(navigateBack));
+document.getElementById('btnContinueSuspect')?.addEventListener('click', () => recordDecision('allow').then(redirectToTarget));
\ No newline at end of file
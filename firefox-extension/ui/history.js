@@ -0,0 +1,107 @@
+// Scan history page - filters persisted scan results and shows details of any past detection
+let entries = [];
+
+// Read filter inputs; dates are local days, "to" includes the whole day
+function getFilters() {
+  const from = document.getElementById('filterFrom').value;
+  const to = document.getElementById('filterTo').value;
+  return {
+    verdict: document.getElementById('filterVerdict').value,
+    host: document.getElementById('filterHost').value.trim(),
+    hashSource: document.getElementById('filterHashSource').value.trim().toLowerCase(),
+    from: from ? new Date(from + 'T00:00:00').getTime() : null,
+    to: to ? new Date(to + 'T23:59:59.999').getTime() : null,
+    limit: 500
+  };
+}
+
+async function loadHistory() {
+  const [response, stats] = await Promise.all([
+    browser.runtime.sendMessage({ action: 'queryHistory', filters: getFilters() }),
+    browser.runtime.sendMessage({ action: 'getScanStats' })
+  ]);
+
+  entries = (response && response.entries) || [];
+  if (stats && stats.success) {
+    document.getElementById('summary').textContent =
+      `${stats.total} scripts đã kiểm tra • ${stats.malware} malware • ${stats.suspect} đáng ngờ`;
+  }
+  renderHistory();
+}
+
+function renderHistory() {
+  const listEl = document.getElementById('historyList');
+  document.getElementById('details').hidden = true;
+
+  if (entries.length === 0) {
+    listEl.innerHTML = '<tr><td colspan="5" class="empty-list">Không có kết quả</td></tr>';
+    return;
+  }
+
+  listEl.innerHTML = entries.map((e, index) => {
+    const date = new Date(e.timestamp).toLocaleString('vi-VN');
+    const label = e.inline ? `${e.url} (inline #${e.inlineIndex})` : e.url;
+    return `
+      <tr data-index="${index}">
+        <td>${HtmlUtils.escape(date)}</td>
+        <td class="url-cell">${HtmlUtils.escape(label)}</td>
+        <td><span class="status status-${HtmlUtils.escape(e.status)}">${HtmlUtils.escape(e.status)}</span></td>
+        <td>${e.riskScore || 0}</td>
+        <td>${HtmlUtils.escape(e.hashSource)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  listEl.querySelectorAll('tr[data-index]').forEach(row => {
+    row.addEventListener('click', () => showDetails(entries[parseInt(row.dataset.index)]));
+  });
+}
+
+// Show the full record of one scan
+async function showDetails(entry) {
+  // Re-read the entry so details reflect the stored record
+  const response = await browser.runtime.sendMessage({ action: 'getHistoryEntry', id: entry.id });
+  const e = (response && response.entry) || entry;
+
+  const ipList = (e.ipMatches || []).map(m => {
+    const sev = m.severity || {};
+    const extra = [sev.family, sev.ports && sev.ports.join('/'), sev.country, sev.level, m.meta && m.meta.matchedRange].filter(Boolean);
+    return m.ip ? (extra.length ? `${m.ip} (${extra.join(', ')})` : m.ip) : JSON.stringify(m);
+  }).join(', ') || 'Không có';
+  const domainList = (e.domainMatches || []).map(m =>
+    `${m.matchType === 'url' ? m.url : m.host} (${m.matchType}: ${m.indicator})`).join(', ') || 'Không có';
+  const rows = [
+    ['URL', e.url],
+    ['Trang', e.pageUrl || '-'],
+    ['Thời gian', new Date(e.timestamp).toLocaleString('vi-VN')],
+    ['Kết luận', e.status],
+    ['Điểm rủi ro', e.riskScore || 0],
+    ['SHA256', e.sha256 || 'n/a'],
+    ['SHA1', e.sha1 || 'n/a'],
+    ['MD5', e.md5 || 'n/a'],
+    ['SHA256 (chuẩn hóa)', e.normalizedSha256 || 'n/a'],
+    ['Kiểu khớp', e.matchType],
+    ['Nguồn hash', e.hashSource],
+    ['IP matches', ipList],
+    ['Domain matches', domainList],
+    ['Tương tự', e.similarity ? `${Math.round(e.similarity.similarity * 100)}% - ${e.similarity.label || e.similarity.id}` : '-'],
+    ['Loại', e.inline ? 'inline' : e.dynamic ? `dynamic (${e.kind})` : e.live ? 'live' : 'external'],
+    ['Phân tích điểm', JSON.stringify(e.scoreBreakdown || {}, null, 2)],
+    ['Features', JSON.stringify(e.features || {}, null, 2)]
+  ];
+
+  const detailsEl = document.getElementById('details');
+  detailsEl.innerHTML = `<h2>Chi tiết</h2><dl>${rows.map(([k, v]) =>
+    `<dt>${HtmlUtils.escape(k)}</dt><dd>${HtmlUtils.escape(v)}</dd>`).join('')}</dl>`;
+  detailsEl.hidden = false;
+  detailsEl.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Event listeners
+document.getElementById('btnFilter').addEventListener('click', loadHistory);
+document.getElementById('filterHost').addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') loadHistory();
+});
+
+// Initialize
+loadHistory();
@@ -7,22 +7,106 @@ async function loadSettings() {
   const result = await browser.storage.local.get([
     'whitelist', 
     'customHashes', 
-    'vtApiKey', 
-    'dbPreferences'
+    'liveScriptVerification',
+    'scoreThresholds',
+    'dbUpdaterConfig',
+    'ipExpiryDays'
   ]);
   
   whitelist = result.whitelist || [];
   customHashes = result.customHashes || [];
   
-  // Load VirusTotal settings
-  document.getElementById('vtApiKey').value = result.vtApiKey || '';
+  // Scan mode
+  document.getElementById('liveScriptVerification').checked = result.liveScriptVerification === true;
   
-  const prefs = result.dbPreferences || {};
-  document.getElementById('useVirusTotal').checked = prefs.useVirusTotal !== false;
-  document.getElementById('useLocalDB').checked = prefs.useLocalDB === true;
+  // Risk thresholds (defaults match Scorer.config.thresholds)
+  const thresholds = result.scoreThresholds || { suspect: 30, malware: 70 };
+  document.getElementById('thresholdSuspect').value = thresholds.suspect;
+  document.getElementById('thresholdMalware').value = thresholds.malware;
+  
+  // Remote feed config (defaults match DBUpdater.config)
+  const feed = result.dbUpdaterConfig || {};
+  const endpoints = feed.endpoints || {};
+  document.getElementById('feedBaseUrl').value = feed.baseUrl || '';
+  document.getElementById('feedSha256Endpoint').value = endpoints.sha256 || 'sha256/metadata.json';
+  document.getElementById('feedIpEndpoint').value = endpoints.ip || 'ip/metadata.json';
+  document.getElementById('feedDomainEndpoint').value = endpoints.domain || 'domain/metadata.json';
+  document.getElementById('feedInterval').value = feed.autoCheckMinutes || 60;
+  
+  // IP expiry window (default matches IpDB.expiryDays)
+  document.getElementById('ipExpiryDays').value = result.ipExpiryDays !== undefined ? result.ipExpiryDays : 30;
   
   renderWhitelist();
   renderCustomHashes();
+  renderFeedStatus();
+  renderIpStats();
+}
+
+// Render last remote DB versions and the outcome of the last update check
+async function renderFeedStatus() {
+  const result = await browser.storage.local.get([
+    'sha256_remote_metadata',
+    'ip_remote_metadata',
+    'domain_remote_metadata',
+    'db_update_status'
+  ]);
+  const sha = result.sha256_remote_metadata || {};
+  const ip = result.ip_remote_metadata || {};
+  const domain = result.domain_remote_metadata || {};
+  const status = result.db_update_status;
+  
+  const describe = (name, meta, res) => {
+    let line = `<div><strong>${name}</strong>: phiên bản ${HtmlUtils.escape(meta.version || 'chưa có')}`;
+    if (res && res.rejected) line += ` • <span class="status-error">Bị từ chối (chữ ký không hợp lệ hoặc phiên bản không mới hơn): ${HtmlUtils.escape(res.error)}</span>`;
+    else if (res && res.error) line += ` • <span class="status-error">Lỗi: ${HtmlUtils.escape(res.error)}</span>`;
+    else if (res) line += res.updated ? ' • đã cập nhật' : ' • không có thay đổi';
+    return line + '</div>';
+  };
+  
+  const results = (status && status.results) || {};
+  document.getElementById('feedStatus').innerHTML =
+    describe('SHA256', sha, results.sha256) +
+    describe('IP', ip, results.ip) +
+    describe('Domain', domain, results.domain) +
+    `<div>Lần kiểm tra cuối: ${status ? new Date(status.checkedAt).toLocaleString('vi-VN') : 'chưa kiểm tra'}</div>`;
+}
+
+// Render IpDB counts: active / expired IPs, rows and new IPs per feed day, IPs per C2 family
+async function renderIpStats() {
+  const panel = document.getElementById('ipStats');
+  const stats = await browser.runtime.sendMessage({ action: 'getIpStats' }).catch(err => ({ success: false, error: err.message }));
+  if (!stats || !stats.success) {
+    panel.innerHTML = `<span class="status-error">Lỗi: ${HtmlUtils.escape((stats && stats.error) || 'không có phản hồi')}</span>`;
+    return;
+  }
+  
+  const windowText = stats.window && stats.window.from
+    ? `${HtmlUtils.escape(stats.window.from)} → ${HtmlUtils.escape(stats.window.to)}`
+    : 'không giới hạn';
+  const familyRows = stats.perFamily.map(f =>
+    `<tr><td>${HtmlUtils.escape(f.family)}</td><td>${f.active}</td><td>${f.total}</td></tr>`).join('');
+  const dayRows = stats.perDay.slice().reverse().map(d =>
+    `<tr><td>${HtmlUtils.escape(d.date)}</td><td>${d.rows}</td><td>${d.newIps}</td></tr>`).join('');
+  
+  panel.innerHTML =
+    `<div><strong>IP</strong>: ${stats.active} đang hoạt động • ${stats.expired} hết hạn • ${stats.ranges} dải CIDR • ${stats.asns} ASN</div>` +
+    `<div>Khoảng thời gian: ${windowText}</div>` +
+    `<table class="stats-table"><tr><th>Họ C2</th><th>Đang hoạt động</th><th>Tổng</th></tr>${familyRows}</table>` +
+    `<table class="stats-table"><tr><th>Ngày</th><th>Số dòng</th><th>IP mới</th></tr>${dayRows}</table>`;
+}
+
+// Save the IP expiry window
+async function saveIpExpiry() {
+  const days = parseInt(document.getElementById('ipExpiryDays').value);
+  if (!(days >= 0)) {
+    alert('Thời hạn không hợp lệ!');
+    return;
+  }
+  
+  await browser.storage.local.set({ ipExpiryDays: days });
+  showSuccess();
+  // Background applies the new window on storage change
+  setTimeout(renderIpStats, 200);
 }
 
 // Render whitelist
@@ -36,7 +120,7 @@ function renderWhitelist() {
   
   listEl.innerHTML = whitelist.map((domain, index) => `
     <div class="list-item">
-      <span>${domain}</span>
+      <span>${HtmlUtils.escape(domain)}</span>
       <button class="btn-remove" data-index="${index}">Xóa</button>
     </div>
   `).join('');
@@ -61,12 +145,13 @@ function renderCustomHashes() {
   
   listEl.innerHTML = customHashes.map((item, index) => {
     const date = new Date(item.timestamp).toLocaleString('vi-VN');
+    const algorithm = { 32: 'MD5', 40: 'SHA1', 64: 'SHA256' }[String(item.hash).length] || '?';
     return `
       <div class="hash-item">
-        <div class="hash-value">${item.hash}</div>
+        <div class="hash-value">${HtmlUtils.escape(item.hash)}</div>
         <div class="hash-meta">
-          ${item.type || 'Unknown'} • ${date}
-          ${item.description ? `<br>${item.description}` : ''}
+          ${algorithm} • ${HtmlUtils.escape(item.type || 'Unknown')} • ${HtmlUtils.escape(date)}
+          ${item.description ? `<br>${HtmlUtils.escape(item.description)}` : ''}
         </div>
         <button class="btn-remove" data-index="${index}" style="margin-top: 8px;">Xóa</button>
       </div>
@@ -158,6 +243,63 @@ async function removeCustomHash(index) {
   showSuccess();
 }
 
+// Save risk score thresholds
+async function saveThresholds() {
+  const suspect = parseInt(document.getElementById('thresholdSuspect').value);
+  const malware = parseInt(document.getElementById('thresholdMalware').value);
+  
+  if (!(suspect > 0) || !(malware > 0) || suspect > malware || malware > 100) {
+    alert('Ngưỡng không hợp lệ! Yêu cầu 0 < suspect ≤ malware ≤ 100');
+    return;
+  }
+  
+  await browser.storage.local.set({ scoreThresholds: { suspect, malware } });
+  showSuccess();
+}
+
+// Save remote feed config
+async function saveFeedConfig() {
+  const baseUrl = document.getElementById('feedBaseUrl').value.trim();
+  const minutes = parseInt(document.getElementById('feedInterval').value);
+  
+  if (baseUrl && !/^https?:\/\//i.test(baseUrl)) {
+    alert('Base URL phải bắt đầu bằng http:// hoặc https://');
+    return;
+  }
+  if (!(minutes > 0)) {
+    alert('Chu kỳ kiểm tra không hợp lệ!');
+    return;
+  }
+  
+  await browser.storage.local.set({
+    dbUpdaterConfig: {
+      baseUrl,
+      endpoints: {
+        sha256: document.getElementById('feedSha256Endpoint').value.trim() || 'sha256/metadata.json',
+        ip: document.getElementById('feedIpEndpoint').value.trim() || 'ip/metadata.json',
+        domain: document.getElementById('feedDomainEndpoint').value.trim() || 'domain/metadata.json'
+      },
+      autoCheckMinutes: minutes
+    }
+  });
+  showSuccess();
+}
+
+// Run an update check now
+async function checkFeedNow() {
+  const btn = document.getElementById('btnCheckNow');
+  btn.disabled = true;
+  document.getElementById('feedStatus').textContent = 'Đang kiểm tra...';
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'checkDbUpdates' });
+    if (!response.success) alert('Lỗi: ' + response.error);
+  } finally {
+    btn.disabled = false;
+    renderFeedStatus();
+    renderIpStats();
+  }
+}
+
 // Show success message
 function showSuccess() {
   const msg = document.getElementById('successMessage');
@@ -217,13 +359,23 @@ document.getElementById('whitelistInput').addEventListener('keypress', (e) => {
 });
 
 document.getElementById('btnAddHash').addEventListener('click', addCustomHash);
+document.getElementById('btnSaveThresholds').addEventListener('click', saveThresholds);
+document.getElementById('btnSaveFeed').addEventListener('click', saveFeedConfig);
+document.getElementById('btnCheckNow').addEventListener('click', checkFeedNow);
+document.getElementById('btnSaveIpExpiry').addEventListener('click', saveIpExpiry);
+document.getElementById('btnRefreshIpStats').addEventListener('click', renderIpStats);
 document.getElementById('btnExport').addEventListener('click', exportSettings);
 document.getElementById('btnImport').addEventListener('click', importSettings);
 document.getElementById('btnExportML').addEventListener('click', exportMLData);
+document.getElementById('liveScriptVerification').addEventListener('change', async (e) => {
+  await browser.storage.local.set({ liveScriptVerification: e.target.checked });
+  showSuccess();
+});
 
 // Export ML training data
 async function exportMLData() {
-  const response = await browser.runtime.sendMessage({ action: 'exportMLData' });
+  const format = document.getElementById('mlExportFormat').value;
+  const response = await browser.runtime.sendMessage({ action: 'exportMLData', format });
   
   if (response.success) {
     alert(`Đã export ${response.count} records thành công!`);
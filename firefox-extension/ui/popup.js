@@ -17,21 +17,25 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('btnOptions').addEventListener('click', () => {
     browser.runtime.openOptionsPage();
   });
+  
+  // Open scan history
+  document.getElementById('btnHistory').addEventListener('click', () => {
+    browser.tabs.create({ url: browser.runtime.getURL('ui/history.html') });
+    window.close();
+  });
 });
 
 async function loadScripts() {
-  const response = await browser.runtime.sendMessage({ action: 'getCheckedScripts' });
-  const scripts = response.scripts || [];
-  
-  // Sort by timestamp (newest first)
-  scripts.sort((a, b) => b.timestamp - a.timestamp);
-  
-  // Take last 10
-  const recentScripts = scripts.slice(0, 10);
+  // Persisted scan history (survives background restarts), newest first
+  const [history, stats] = await Promise.all([
+    browser.runtime.sendMessage({ action: 'queryHistory', filters: { limit: 10 } }),
+    browser.runtime.sendMessage({ action: 'getScanStats' })
+  ]);
+  const recentScripts = (history && history.entries) || [];
   
   // Update stats
-  const totalChecked = scripts.length;
-  const totalMalware = scripts.filter(s => s.status === 'malware').length;
+  const totalChecked = stats && stats.success ? stats.total : recentScripts.length;
+  const totalMalware = stats && stats.success ? stats.malware : recentScripts.filter(s => s.status === 'malware').length;
   
   document.getElementById('totalChecked').textContent = totalChecked;
   document.getElementById('totalMalware').textContent = totalMalware;
@@ -46,13 +50,18 @@ async function loadScripts() {
   
   listEl.innerHTML = recentScripts.map(script => {
     const url = new URL(script.url);
-    const shortUrl = url.hostname + url.pathname.slice(0, 30) + '...';
-    const statusClass = script.status === 'malware' ? 'status-malware' : 'status-clean';
-    const statusText = script.status === 'malware' ? '⚠️ Malware' : '✓ Clean';
+    const shortUrl = script.inline
+      ? `${url.hostname} (inline #${script.inlineIndex})`
+      : url.hostname + url.pathname.slice(0, 30) + '...';
+    const statusClass = script.status === 'malware' ? 'status-malware'
+      : script.status === 'suspect' ? 'status-suspect' : 'status-clean';
+    const statusText = script.status === 'malware' ? '⚠️ Malware'
+      : script.status === 'suspect' ? `? Suspect (${script.riskScore || 0})`
+      : script.status === 'trusted' ? '✓ Trusted' : '✓ Clean';
     
     return `
       <div class="script-item">
-        <div class="script-url" title="${script.url}">${shortUrl}</div>
+        <div class="script-url" title="${HtmlUtils.escape(script.url)}">${HtmlUtils.escape(shortUrl)}</div>
         <span class="script-status ${statusClass}">${statusText}</span>
       </div>
     `;
@@ -0,0 +1,1018 @@
+// Analysis engine shared by every background variant (background.js, background.compat.js, background.mv3.js).
+// Holds the per-tab check state, runs script analysis (hash / IP / domain / similarity / heuristics -> Scorer)
+// and answers the UI messages. How top-level navigations are held back is a pluggable interceptor:
+//   interceptor.install(engine)              register the browser hooks (called once by start())
+//   interceptor.block(engine, check)         webRequest strategies: response for an intercepted navigation
+//   interceptor.approve(engine, tabId, url)  optional: let the tab's next navigation to url through
+//   interceptor.settingsChanged(engine)      optional: whitelist / isEnabled changed
+//   interceptor.tabRemoved(engine, tabId)    optional: tab closed, before its state is dropped
+//   interceptor.handleMessage(engine, message, sender, sendResponse)
+//                                            optional: strategy-specific messages, true if it will respond
+// Depends on the utils globals listed before it in the manifests (CryptoUtils, HashDB, IpDB, DomainDB, ...).
+const AnalysisEngine = {
+  pendingChecks: new Map(), // tabId -> { url, previousUrl, scripts: [], startTime, mode? }
+  checkedScripts: new Map(), // url -> simplified result (popup, dedupe)
+  approvedTabs: new Map(), // tabId -> { url, timestamp }
+  blockedTargets: new Map(), // tabId -> url of the navigation held back for the blocking page
+  tabScripts: new Map(), // tabId -> [{ url, kind, status, sha256, timestamp }] scripts added after load
+  runningChecks: new Map(), // tabId -> { pending, promise } page checks in progress (not persisted)
+
+  whitelist: [],
+  isEnabled: true,
+  // Live mode: verify script responses as the tab loads them instead of re-fetching the page
+  liveScriptVerification: false,
+
+  interceptor: null,
+  logPrefix: '[Malware Checker]',
+  // Called whenever check state changes (background.mv3.js persists it to storage.session)
+  onStateChange: null,
+
+  config: {
+    // Approval of a navigation by the blocking page is only valid this long
+    approvalTtlMs: 10000,
+    analysisTimeoutMs: 10000,
+    maxTabScripts: 200,
+    // Kinds of scripts the content script reports: <script src>, inline <script>, new Function body
+    dynamicKinds: ['src', 'inline', 'function'],
+    // Script types that browsers execute as JavaScript (empty = default)
+    jsScriptTypes: ['', 'text/javascript', 'application/javascript', 'application/x-javascript',
+      'text/ecmascript', 'application/ecmascript', 'module'],
+    preferenceKeys: ['whitelist', 'isEnabled', 'customHashes', 'dbPreferences', 'liveScriptVerification', 'scoreThresholds', 'ipExpiryDays']
+  },
+
+  // Wire the engine to the browser: preferences, storage / tab / message listeners and the interceptor.
+  // options.ready: promise that restores check state; messages and tab events wait for it
+  start(options = {}) {
+    this.interceptor = options.interceptor || this.interceptors.redirect;
+    if (options.logPrefix) this.logPrefix = options.logPrefix;
+    const restored = options.ready || null;
+
+    const ready = browser.storage.local.get(this.config.preferenceKeys).then(result => this.applyPreferences(result));
+    browser.storage.onChanged.addListener((changes, area) => this.handleStorageChange(changes, area));
+    browser.tabs.onRemoved.addListener(tabId => {
+      if (restored) restored.then(() => this.forgetTab(tabId));
+      else this.forgetTab(tabId);
+    });
+    browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!restored) return this.dispatchMessage(message, sender, sendResponse);
+      restored.then(() => this.dispatchMessage(message, sender, sendResponse));
+      return true;
+    });
+    this.interceptor.install(this);
+    return ready;
+  },
+
+  dispatchMessage(message, sender, sendResponse) {
+    if (this.interceptor.handleMessage && this.interceptor.handleMessage(this, message, sender, sendResponse)) return true;
+    return this.handleMessage(message, sender, sendResponse);
+  },
+
+  async applyPreferences(result = {}) {
+    this.whitelist = result.whitelist || [];
+    this.isEnabled = result.isEnabled !== false;
+    this.liveScriptVerification = result.liveScriptVerification === true;
+    if (result.scoreThresholds) Scorer.setThresholds(result.scoreThresholds);
+    if (result.ipExpiryDays !== undefined) IpDB.setExpiryDays(result.ipExpiryDays);
+    if (result.customHashes) HashDB.addCustomHashes(result.customHashes);
+    this.settingsChanged();
+
+    // Remote threat feeds: cached SHA256 list and periodic update checks
+    HashDB.loadLocalHashes();
+    HashDB.loadNormalizedHashes();
+    HashDB.loadCachedRemote();
+    HashDB.initShardIndex().catch(e => console.warn(this.logPrefix, 'hash index setup failed', e));
+    this.configureDBUpdater().catch(e => console.warn(this.logPrefix, 'DBUpdater setup failed', e));
+
+    // Apply history retention limits on startup
+    ScanHistory.prune().catch(e => console.warn(this.logPrefix, 'history prune failed', e));
+
+    // Default source: Tempico
+    await HashDB.setPreferences(result.dbPreferences || { useTempico: true });
+  },
+
+  handleStorageChange(changes, area) {
+    if (area !== 'local') return;
+    if (changes.whitelist) this.whitelist = changes.whitelist.newValue || [];
+    if (changes.isEnabled) this.isEnabled = changes.isEnabled.newValue;
+    if (changes.whitelist || changes.isEnabled) this.settingsChanged();
+    if (changes.liveScriptVerification) this.liveScriptVerification = changes.liveScriptVerification.newValue === true;
+    if (changes.scoreThresholds) Scorer.setThresholds(changes.scoreThresholds.newValue);
+    if (changes.ipExpiryDays) IpDB.setExpiryDays(changes.ipExpiryDays.newValue);
+    if (changes.dbUpdaterConfig) this.configureDBUpdater().catch(e => console.warn(this.logPrefix, 'DBUpdater setup failed', e));
+    if (changes.customHashes) HashDB.addCustomHashes(changes.customHashes.newValue);
+  },
+
+  settingsChanged() {
+    if (this.interceptor && this.interceptor.settingsChanged) this.interceptor.settingsChanged(this);
+  },
+
+  stateChanged() {
+    if (this.onStateChange) this.onStateChange();
+  },
+
+  forgetTab(tabId) {
+    if (this.interceptor && this.interceptor.tabRemoved) this.interceptor.tabRemoved(this, tabId);
+    this.approvedTabs.delete(tabId);
+    this.blockedTargets.delete(tabId);
+    this.pendingChecks.delete(tabId);
+    this.tabScripts.delete(tabId);
+    this.stateChanged();
+  },
+
+  // Load the remote feed config and (re)schedule periodic update checks
+  async configureDBUpdater() {
+    await DBUpdater.loadConfig();
+    if (DBUpdater.config.baseUrl) {
+      DBUpdater.schedulePeriodic(DBUpdater.config.autoCheckMinutes);
+    } else {
+      DBUpdater.cancelPeriodic();
+    }
+  },
+
+  // Whitelist entry 'example.com' matches that host only, '*.example.com' also every subdomain
+  isWhitelisted(url) {
+    try {
+      const domain = new URL(url).hostname.toLowerCase();
+      return this.whitelist.some(entry => {
+        const pattern = String(entry).trim().toLowerCase();
+        if (pattern.startsWith('*.')) {
+          // *.example.com matches example.com and any subdomain, but not evilexample.com
+          const baseDomain = pattern.slice(2);
+          return domain === baseDomain || domain.endsWith('.' + baseDomain);
+        }
+        return domain === pattern;
+      });
+    } catch (e) {
+      return false;
+    }
+  },
+
+  // Analyze script: compute MD5 / SHA1 / SHA256, check IP literals against IpDB and hosts / URLs against DomainDB
+  // options.bytes: raw response bytes to hash instead of the decoded text (live mode)
+  async analyzeScript(content, url, options = {}) {
+    // 1. Calculate digests (SHA256 is required, MD5 / SHA1 are best effort)
+    const { md5, sha1, sha256 } = await CryptoUtils.calculateHashes(options.bytes || content);
+    console.info(this.logPrefix, 'Calculated SHA256 for', url, sha256);
+
+    if (!sha256) {
+      console.error(this.logPrefix, 'Failed to calculate hash');
+      return {
+        sha256: null,
+        md5: null,
+        sha1: null,
+        normalizedSha256: null,
+        hashResult: { found: false },
+        ipMatches: [],
+        domainMatches: [],
+        features: {},
+        riskScore: 0,
+        scoreBreakdown: {},
+        status: 'error'
+      };
+    }
+
+    // Parsed and tokenized once, on first use, for the normalized hash, fuzzy hash and features
+    const source = ScriptSource.from(content);
+
+    // 2. Check all digests against database, plus the formatting-insensitive normalized hash
+    const normalizedSha256 = await NormalizedHash.calculate(source).catch(() => null);
+    const hashResult = await HashDB.checkHash({ md5, sha1, sha256, normalized: normalizedSha256 });
+    // Learned entries keep the listed digest they rest on, so they go when it leaves the DB
+    const matchSource = HashDB.matchSource(hashResult);
+    if (hashResult.found && hashResult.type !== 'SHA256-normalized') HashDB.addNormalizedHash(normalizedSha256, matchSource);
+    console.info(this.logPrefix, 'HashDB result for', sha256, hashResult);
+
+    // 3. Fuzzy fingerprint: hash-confirmed scripts become known-bad samples, others are
+    //    compared against them to catch slightly modified variants
+    let similarity = null;
+    try {
+      const fingerprint = FuzzyHash.fingerprint(source);
+      if (hashResult.found) {
+        await SimilarityDB.addKnownBad(sha256, fingerprint, hashResult.description || url, matchSource);
+      } else {
+        similarity = await SimilarityDB.findSimilar(fingerprint, sha256);
+      }
+    } catch (e) {
+      console.debug(this.logPrefix, 'Fuzzy hash failed for', url, e);
+    }
+
+    // 4. Scan for IP literals (IPv4, IPv6, URL hosts) in the script and check IpDB
+    const ipMatches = [];
+    if (typeof IpDB !== 'undefined' && IpDB && IpDB.isIpBlacklisted) {
+      for (const ip of IpUtils.extractIps(content)) {
+        try {
+          const res = await IpDB.isIpBlacklisted(ip);
+          if (res && res.found) ipMatches.push(res);
+        } catch (e) {
+          // ignore per-IP errors
+        }
+      }
+    }
+
+    // 5. Check the script's own URL and the URLs / hostnames it references against DomainDB
+    const domainMatches = await this.checkDomainIndicators(content, url);
+
+    // 6. Extract static heuristic features from the AST
+    let features = {};
+    if (typeof FeatureExtractor !== 'undefined' && FeatureExtractor) {
+      const extracted = await FeatureExtractor.extractFeatures(source);
+      features = extracted.features || {};
+      if (!extracted.success) {
+        console.debug(this.logPrefix, 'Feature extraction incomplete for', url, extracted.error);
+      }
+    }
+
+    // 7. Score hash match, IP / domain matches, similarity, heuristics and source reputation -> clean / suspect / malware
+    const scoring = Scorer.calculateScore({ hashResult, ipMatches, domainMatches, features, url, similarity });
+
+    return {
+      sha256,
+      md5,
+      sha1,
+      normalizedSha256,
+      hashResult,
+      ipMatches,
+      domainMatches,
+      similarity,
+      features,
+      riskScore: scoring.score,
+      scoreBreakdown: scoring.breakdown,
+      status: scoring.verdict
+    };
+  },
+
+  // Script ids made up for inline / eval / function code: the URL part is the page, not a script source
+  isSyntheticScriptId(url) {
+    return /#(dynamic-)?(inline|eval|function)-\d+$/.test(url);
+  },
+
+  // DomainDB matches for a script: its own URL (if real) plus URLs and hostnames in its text
+  async checkDomainIndicators(content, url) {
+    const matches = [];
+    if (typeof DomainDB === 'undefined' || !DomainDB || !DomainDB.checkUrl) return matches;
+    const seen = new Set();
+    const add = (res) => {
+      if (!res || !res.found) return;
+      const key = res.indicator + '|' + (res.url || res.host);
+      if (seen.has(key)) return;
+      seen.add(key);
+      matches.push(res);
+    };
+
+    try {
+      if (url && !this.isSyntheticScriptId(url)) add({ ...(await DomainDB.checkUrl(url)), self: true });
+      const { urls, hosts } = DomainDB.extractIndicators(content);
+      for (const u of urls) add(await DomainDB.checkUrl(u));
+      for (const h of hosts) add(await DomainDB.checkHost(h));
+    } catch (e) {
+      console.debug(this.logPrefix, 'Domain check failed for', url, e);
+    }
+    return matches;
+  },
+
+  // Main-frame URL check against DomainDB: a page entry for pending.scripts, or null
+  async checkPageUrl(url) {
+    if (typeof DomainDB === 'undefined' || !DomainDB || !DomainDB.checkUrl) return null;
+    try {
+      const res = await DomainDB.checkUrl(url);
+      if (!res || !res.found) return null;
+      console.warn(this.logPrefix, 'Page URL listed in DomainDB:', url, res.indicator);
+      const scoring = Scorer.calculateScore({ domainMatches: [res], url });
+      return {
+        url,
+        page: true,
+        status: scoring.verdict,
+        domainMatches: [res],
+        riskScore: scoring.score,
+        scoreBreakdown: scoring.breakdown
+      };
+    } catch (e) {
+      console.debug(this.logPrefix, 'Page domain check failed for', url, e);
+      return null;
+    }
+  },
+
+  // Stable identifier for an inline script block: page URL (without fragment) + block index
+  inlineScriptId(pageUrl, index) {
+    return pageUrl.split('#')[0] + '#inline-' + index;
+  },
+
+  // Identifier for code reported by the content script after load (kind: inline / function), kept apart
+  // from the page's own inline blocks so it never replaces their results
+  dynamicScriptId(pageUrl, kind, index) {
+    return pageUrl.split('#')[0] + '#dynamic-' + kind + '-' + index;
+  },
+
+  // A result for the same code is already recorded (the page check saw it in the HTML, or it was reported
+  // before). Malware results are reported again so the tab still gets its detection.
+  findCheckedContent(sha256) {
+    for (const data of this.checkedScripts.values()) {
+      if (data.sha256 === sha256) return data;
+    }
+    return null;
+  },
+
+  // Extract scripts from page HTML: external src URLs (resolved against pageUrl) and inline script bodies
+  // Returns entries of { url } for external scripts and { url, inline: true, index, content } for inline blocks
+  parsePageScripts(html, pageUrl) {
+    const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+    const srcRegex = /\bsrc\s*=\s*["']([^"']+)["']/i;
+    const typeRegex = /\btype\s*=\s*["']([^"']*)["']/i;
+    const scripts = [];
+    let inlineIndex = 0;
+    let match;
+
+    while ((match = scriptRegex.exec(html)) !== null) {
+      const attrs = match[1] || '';
+      const srcMatch = attrs.match(srcRegex);
+
+      if (!srcMatch) {
+        // Inline script: skip data blocks (JSON, templates) and empty bodies
+        const typeMatch = attrs.match(typeRegex);
+        const type = typeMatch ? typeMatch[1].trim().toLowerCase() : '';
+        const content = match[2];
+        if (!this.config.jsScriptTypes.includes(type) || !content.trim()) continue;
+
+        scripts.push({ url: this.inlineScriptId(pageUrl, inlineIndex), inline: true, index: inlineIndex, content });
+        inlineIndex++;
+        continue;
+      }
+
+      try {
+        scripts.push({ url: new URL(srcMatch[1], pageUrl).href });
+      } catch (e) {
+        console.debug(this.logPrefix, 'Skipping unparsable script src', srcMatch[1]);
+      }
+    }
+    return scripts;
+  },
+
+  // Fetch page and extract its scripts (see parsePageScripts)
+  async fetchPageScripts(url) {
+    try {
+      const response = await fetch(url);
+      return this.parsePageScripts(await response.text(), url);
+    } catch (err) {
+      console.error(this.logPrefix, 'Failed to fetch page:', err);
+      return [];
+    }
+  },
+
+  // Keep a script result in memory (popup, dedupe) and persist it to the scan history
+  storeScriptResult(url, data) {
+    this.checkedScripts.set(url, data);
+    this.stateChanged();
+    ScanHistory.add(url, data).catch(e => console.warn(this.logPrefix, 'history write failed', e));
+  },
+
+  // Analyze script content (with timeout) and store simplified result under the given id
+  async analyzeAndRecordScript(content, url, extra = {}, options = {}) {
+    let timer = null;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Timeout')), this.config.analysisTimeoutMs);
+    });
+
+    let analysis;
+    try {
+      analysis = await Promise.race([this.analyzeScript(content, url, options), timeoutPromise]);
+    } catch (err) {
+      analysis = { status: 'error', error: err.message };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this.storeScriptResult(url, {
+      sha256: analysis.sha256,
+      md5: analysis.md5 || null,
+      sha1: analysis.sha1 || null,
+      normalizedSha256: analysis.normalizedSha256 || null,
+      status: analysis.status,
+      matchType: analysis.hashResult?.type || 'SHA256',
+      hashSource: analysis.hashResult?.source || 'none',
+      ipMatches: analysis.ipMatches || [],
+      domainMatches: analysis.domainMatches || [],
+      similarity: analysis.similarity || null,
+      features: analysis.features || {},
+      riskScore: analysis.riskScore || 0,
+      scoreBreakdown: analysis.scoreBreakdown || {},
+      timestamp: Date.now(),
+      ...extra
+    });
+
+    // Keep a persisted record for the ML dataset export
+    MLDataset.record(url, analysis, extra.pageUrl ? { pageUrl: extra.pageUrl } : {})
+      .catch(e => console.warn(this.logPrefix, 'ML record failed', e));
+
+    return analysis;
+  },
+
+  // Download and analyze a script
+  async downloadAndAnalyzeScript(url, extra = {}) {
+    try {
+      const response = await fetch(url);
+      const content = await response.text();
+      return await this.analyzeAndRecordScript(content, url, extra);
+    } catch (err) {
+      console.error(this.logPrefix, 'Download error:', err);
+      return { status: 'error', error: err.message };
+    }
+  },
+
+  // Scripts served from a whitelisted host are not analyzed, just recorded as trusted
+  recordTrustedScript(url, extra = {}) {
+    this.storeScriptResult(url, {
+      sha256: null,
+      status: 'trusted',
+      matchType: 'whitelist',
+      hashSource: 'none',
+      ipMatches: [],
+      domainMatches: [],
+      features: {},
+      riskScore: 0,
+      scoreBreakdown: {},
+      timestamp: Date.now(),
+      ...extra
+    });
+    return {
+      sha256: null,
+      hashResult: { found: false },
+      ipMatches: [],
+      domainMatches: [],
+      features: {},
+      riskScore: 0,
+      scoreBreakdown: {},
+      status: 'trusted'
+    };
+  },
+
+  // Analyze an inline script block extracted from the page HTML
+  async analyzeInlineScript(entry, pageUrl) {
+    try {
+      return await this.analyzeAndRecordScript(entry.content, entry.url, {
+        inline: true,
+        inlineIndex: entry.index,
+        pageUrl
+      });
+    } catch (err) {
+      console.error(this.logPrefix, 'Inline script analysis error:', err);
+      return { status: 'error', error: err.message };
+    }
+  },
+
+  // Copy an analysis result onto a pending.scripts entry
+  applyAnalysis(script, analysis) {
+    script.status = analysis.status;
+    script.sha256 = analysis.sha256;
+    script.ipMatches = analysis.ipMatches || [];
+    script.domainMatches = analysis.domainMatches || [];
+    script.similarity = analysis.similarity || null;
+    script.hashResult = analysis.hashResult || { found: false };
+    script.matchType = analysis.hashResult?.type || 'SHA256';
+    script.riskScore = analysis.riskScore || 0;
+    script.scoreBreakdown = analysis.scoreBreakdown || {};
+    this.stateChanged();
+  },
+
+  // Create the tab's pending check and analyze the page's scripts in the background.
+  // pageCheck: promise of the DomainDB page entry (started early by interceptNavigation)
+  beginCheck(tabId, url, previousUrl = null, pageCheck = this.checkPageUrl(url)) {
+    const pending = { url, previousUrl, scripts: [], startTime: Date.now() };
+    this.pendingChecks.set(tabId, pending);
+    this.blockedTargets.set(tabId, url);
+    this.stateChanged();
+    this.resumeCheck(tabId, pending, pageCheck);
+    return pending;
+  },
+
+  // Run (or re-run) the page check for a pending entry; resolves when every script is analyzed
+  resumeCheck(tabId, pending, pageCheck) {
+    const running = this.runningChecks.get(tabId);
+    if (running && running.pending === pending) return running.promise;
+    const promise = this.runPageCheck(pending, pageCheck)
+      .catch(err => console.error(this.logPrefix, 'Page check failed:', err))
+      .finally(() => {
+        if (this.runningChecks.get(tabId) === entry) this.runningChecks.delete(tabId);
+      });
+    const entry = { pending, promise };
+    this.runningChecks.set(tabId, entry);
+    return promise;
+  },
+
+  // Fetch the page and analyze its scripts. Entries already analyzed in pending.scripts (state restored
+  // by background.mv3.js after a worker restart) are kept; only pending ones are analyzed again.
+  async runPageCheck(pending, pageCheck = this.checkPageUrl(pending.url)) {
+    const [pageEntry, scripts] = await Promise.all([pageCheck, this.fetchPageScripts(pending.url)]);
+    const previous = new Map(pending.scripts.map(s => [s.url, s]));
+    pending.scripts = (pageEntry ? [pageEntry] : []).concat(scripts.map(entry => previous.get(entry.url) || {
+      url: entry.url,
+      status: 'pending',
+      ...(entry.inline ? { inline: true, inlineIndex: entry.index } : {})
+    }));
+    this.stateChanged();
+
+    // Inline bodies are analyzed directly, external scripts are downloaded
+    await Promise.all(scripts.map(async entry => {
+      const script = pending.scripts.find(s => s.url === entry.url);
+      if (!script || script.status !== 'pending') return;
+      const analysis = entry.inline ? await this.analyzeInlineScript(entry, pending.url)
+        : this.isWhitelisted(entry.url) ? this.recordTrustedScript(entry.url)
+        : await this.downloadAndAnalyzeScript(entry.url);
+      this.applyAnalysis(script, analysis);
+    }));
+  },
+
+  // Blocking page URL for a held-back navigation
+  blockingUrl(tabId, url, previousUrl) {
+    return browser.runtime.getURL('ui/blocking.html') +
+      '?url=' + encodeURIComponent(url) +
+      '&tabId=' + tabId +
+      (previousUrl ? '&previous=' + encodeURIComponent(previousUrl) : '');
+  },
+
+  // Approved by the blocking page within the TTL (expired approvals are dropped)
+  isApproved(tabId, url) {
+    const approved = this.approvedTabs.get(tabId);
+    if (!approved || approved.url !== url) return false;
+    if (Date.now() - approved.timestamp < this.config.approvalTtlMs) return true;
+    this.approvedTabs.delete(tabId);
+    return false;
+  },
+
+  // webRequest.onBeforeRequest (main_frame): start the check and let the interceptor hold the navigation
+  async interceptNavigation(details) {
+    if (!this.isEnabled || details.type !== 'main_frame') return {};
+
+    const url = details.url;
+    const tabId = details.tabId;
+
+    // Skip internal pages
+    if (/^(about|moz-extension|chrome-extension|safari-web-extension):/.test(url)) return {};
+
+    // New document: forget scripts recorded for the previous one
+    this.tabScripts.delete(tabId);
+
+    // Whitelisted sites skip interception entirely
+    if (this.isWhitelisted(url)) {
+      this.pendingChecks.delete(tabId);
+      return {};
+    }
+
+    if (this.isApproved(tabId, url)) {
+      console.log(this.logPrefix, 'Already approved:', url);
+      return {};
+    }
+
+    // Page URL / host listed in DomainDB (shown on the blocking page as a page-level entry)
+    const pageCheck = this.checkPageUrl(url);
+
+    // Live mode: let the navigation through, scripts are verified as their responses arrive.
+    // A listed page still goes through the blocking page.
+    if (this.isLiveVerification() && !(await pageCheck)) {
+      this.pendingChecks.set(tabId, { url, previousUrl: null, scripts: [], startTime: Date.now(), mode: 'live' });
+      return {};
+    }
+
+    // The page the user was on before this navigation (the blocking page can navigate back to it)
+    let previousUrl = null;
+    try {
+      const tabInfo = await browser.tabs.get(tabId);
+      previousUrl = tabInfo && tabInfo.url ? tabInfo.url : null;
+    } catch (e) {
+      // ignore - may fail for some internal tabs
+    }
+
+    this.beginCheck(tabId, url, previousUrl, pageCheck);
+    return this.interceptor.block(this, { tabId, url, previousUrl });
+  },
+
+  async approve(tabId, url) {
+    if (this.interceptor && this.interceptor.approve) return this.interceptor.approve(this, tabId, url);
+    this.approvedTabs.set(tabId, { url, timestamp: Date.now() });
+    this.stateChanged();
+  },
+
+  // Response filtering (exact bytes delivered to the tab) is only available on Firefox
+  canFilterResponses() {
+    return typeof browser !== 'undefined' && !!(browser.webRequest && typeof browser.webRequest.filterResponseData === 'function');
+  },
+
+  isLiveVerification() {
+    return this.liveScriptVerification && this.canFilterResponses();
+  },
+
+  // Add a live-verified script to the tab's pending check (created on demand)
+  trackLiveScript(tabId, url) {
+    let pending = this.pendingChecks.get(tabId);
+    if (!pending) {
+      pending = { url: null, previousUrl: null, scripts: [], startTime: Date.now(), mode: 'live' };
+      this.pendingChecks.set(tabId, pending);
+    }
+    const script = { url, status: 'pending', live: true };
+    pending.scripts.push(script);
+    // Long-lived pages keep loading scripts: drop the oldest one without a malware / suspect verdict
+    if (pending.scripts.length > this.config.maxTabScripts) {
+      const i = pending.scripts.findIndex(s => s.status !== 'malware' && s.status !== 'suspect');
+      pending.scripts.splice(i < 0 ? 0 : i, 1);
+    }
+    return script;
+  },
+
+  // Pages a script request belongs to: the document loading it, the tab's top-level page (last of
+  // frameAncestors for a script in a frame) and the page the tab's check was started for
+  scriptPageUrls(details) {
+    const ancestors = Array.isArray(details.frameAncestors) ? details.frameAncestors : [];
+    const pending = this.pendingChecks.get(details.tabId);
+    return [
+      details.documentUrl || details.originUrl,
+      ancestors.length ? ancestors[ancestors.length - 1].url : null,
+      pending && pending.url
+    ].filter(Boolean);
+  },
+
+  // webRequest.onBeforeRequest (script, live mode only)
+  interceptScript(details) {
+    if (!this.isEnabled || !this.isLiveVerification()) return {};
+
+    // Skip requests not tied to a tab (including the extension's own fetches)
+    if (details.type !== 'script' || details.tabId < 0) return {};
+
+    // Whitelisted pages are not checked at all, whatever host their scripts come from
+    if (this.scriptPageUrls(details).some(url => this.isWhitelisted(url))) return {};
+
+    // Trusted hosts are let through unfiltered
+    if (this.isWhitelisted(details.url)) {
+      this.trackLiveScript(details.tabId, details.url).status = 'trusted';
+      this.recordTrustedScript(details.url, { live: true, tabId: details.tabId });
+      return {};
+    }
+
+    this.verifyScriptResponse(details);
+    return {};
+  },
+
+  // Buffer a script response, analyze the exact bytes and only release them to the page if not malware
+  verifyScriptResponse(details) {
+    const { requestId, tabId, url } = details;
+    let filter;
+    try {
+      filter = browser.webRequest.filterResponseData(requestId);
+    } catch (e) {
+      console.warn(this.logPrefix, 'filterResponseData failed for', url, e);
+      return;
+    }
+
+    const script = this.trackLiveScript(tabId, url);
+    const chunks = [];
+
+    filter.ondata = event => {
+      chunks.push(new Uint8Array(event.data));
+    };
+
+    filter.onerror = () => {
+      console.warn(this.logPrefix, 'Response filter error for', url, filter.error);
+      script.status = 'error';
+    };
+
+    filter.onstop = async () => {
+      const total = chunks.reduce((n, c) => n + c.length, 0);
+      const bytes = new Uint8Array(total);
+      let offset = 0;
+      for (const c of chunks) {
+        bytes.set(c, offset);
+        offset += c.length;
+      }
+
+      let analysis;
+      try {
+        const content = new TextDecoder('utf-8').decode(bytes);
+        analysis = await this.analyzeAndRecordScript(content, url, { live: true, tabId }, { bytes });
+      } catch (err) {
+        analysis = { status: 'error', error: err.message };
+      }
+      this.applyAnalysis(script, analysis);
+
+      try {
+        if (analysis.status === 'malware') {
+          // Replace the body so the malicious script never runs in the page
+          console.warn(this.logPrefix, 'Blocked malicious script response:', url, analysis.sha256);
+          script.blocked = true;
+          filter.write(new TextEncoder().encode(`/* Blocked by JS Malware Checker (SHA256 ${analysis.sha256}) */`));
+        } else {
+          filter.write(bytes);
+        }
+      } finally {
+        filter.close();
+      }
+    };
+  },
+
+  // Raise a browser notification for a detection made after the page was loaded
+  async notifyDetection(script) {
+    try {
+      await browser.notifications.create('dynamic-' + Date.now(), {
+        type: 'basic',
+        iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+        title: 'Phát hiện script độc hại',
+        message: `Script được thêm sau khi tải trang (${script.kind}) trùng khớp database malware:\n${script.url}`
+      });
+    } catch (e) {
+      console.warn(this.logPrefix, 'notification failed', e);
+    }
+  },
+
+  // Analyze a script reported by the content script and record it against the tab. The content script
+  // reports every script element from document_start on, so scripts already checked with the page
+  // (same src, or same inline content) are skipped here.
+  async analyzeDynamicScript(message, tabId) {
+    const kind = message.kind;
+    const pageUrl = message.pageUrl || '';
+    const extra = { dynamic: true, kind, pageUrl, tabId };
+    if (!this.config.dynamicKinds.includes(kind)) return;
+
+    let known;
+    if (kind === 'src') {
+      if (!message.url) return;
+      // Live mode already verifies every script response the tab loads
+      if (this.isLiveVerification()) return;
+      known = this.checkedScripts.get(message.url);
+    } else {
+      if (!message.content) return;
+      known = this.findCheckedContent(await CryptoUtils.calculateSHA256Hex(message.content));
+    }
+    if (known && known.status !== 'malware') return;
+
+    // Take the tab entry (and the next per-kind index) before analyzing, so concurrent reports
+    // never share an id
+    const list = this.tabScripts.get(tabId) || [];
+    this.tabScripts.set(tabId, list);
+    const script = { url: message.url, kind, status: 'pending', timestamp: Date.now() };
+    if (kind !== 'src') {
+      const last = list.filter(s => s.kind === kind).pop();
+      script.index = last && Number.isInteger(last.index) ? last.index + 1 : 0;
+      script.url = this.dynamicScriptId(pageUrl, kind, script.index);
+    }
+    list.push(script);
+    if (list.length > this.config.maxTabScripts) list.shift();
+
+    const analysis = known
+      || (kind === 'src' && this.isWhitelisted(script.url) ? this.recordTrustedScript(script.url, extra) : null)
+      || (kind === 'src' ? await this.downloadAndAnalyzeScript(script.url, extra)
+        : await this.analyzeAndRecordScript(message.content, script.url, extra));
+
+    Object.assign(script, {
+      status: analysis.status,
+      sha256: analysis.sha256,
+      ipMatches: analysis.ipMatches || [],
+      domainMatches: analysis.domainMatches || [],
+      similarity: analysis.similarity || null,
+      riskScore: analysis.riskScore || 0
+    });
+    this.stateChanged();
+
+    if (script.status === 'malware') {
+      console.warn(this.logPrefix, 'Malicious script added after load:', script.url, 'tab', tabId);
+      this.notifyDetection(script);
+    }
+  },
+
+  // Export the ML dataset through the downloads API as JSONL or CSV
+  // (a blob: URL where available, a data: URL in a service worker)
+  async exportMLData(format) {
+    format = format === 'csv' ? 'csv' : 'jsonl';
+    const records = await MLDataset.getAll();
+    if (records.length === 0) {
+      return { success: false, error: 'Chưa có dữ liệu để export' };
+    }
+
+    const text = Scorer.exportForML(records, format);
+    const type = format === 'csv' ? 'text/csv' : 'application/x-ndjson';
+    const filename = `malware-checker-ml-${Date.now()}.${format}`;
+    if (typeof URL.createObjectURL !== 'function') {
+      await browser.downloads.download({ url: `data:${type};charset=utf-8,${encodeURIComponent(text)}`, filename, saveAs: false });
+      return { success: true, count: records.length, format };
+    }
+
+    const blobUrl = URL.createObjectURL(new Blob([text], { type }));
+    try {
+      await browser.downloads.download({ url: blobUrl, filename, saveAs: false });
+    } finally {
+      // Give the download a moment to read the blob before releasing it
+      setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+    }
+    return { success: true, count: records.length, format };
+  },
+
+  // Status of a tab's check for the blocking page
+  checkStatus(tabId) {
+    const pending = this.pendingChecks.get(tabId);
+    if (!pending) return { status: 'no_check' };
+
+    const allChecked = pending.scripts.length > 0 && pending.scripts.every(s => s.status !== 'pending');
+    // Clean up once the blocking page has seen the final result
+    if (allChecked) {
+      setTimeout(() => {
+        if (this.pendingChecks.get(tabId) !== pending) return;
+        this.pendingChecks.delete(tabId);
+        this.stateChanged();
+      }, 5000);
+    }
+    return {
+      status: allChecked ? 'complete' : 'checking',
+      hasMalware: pending.scripts.some(s => s.status === 'malware'),
+      hasSuspect: pending.scripts.some(s => s.status === 'suspect'),
+      scripts: pending.scripts,
+      totalScripts: pending.scripts.length
+    };
+  },
+
+  // runtime.onMessage: messages from the blocking page, popup, options, history page and content script
+  handleMessage(message, sender, sendResponse) {
+    if (message.action === 'checkStatus') {
+      sendResponse(this.checkStatus(message.tabId));
+      return;
+    }
+
+    if (message.action === 'approveTab') {
+      // The blocking page reads its target from its own URL, which any page can link to: only the
+      // navigation held back for this tab can be approved
+      if (this.blockedTargets.get(message.tabId) !== message.url) {
+        sendResponse({ success: false, error: 'Not the navigation blocked in this tab' });
+        return;
+      }
+      // Answer only once the approval is in place: the blocking page navigates right after
+      this.approve(message.tabId, message.url)
+        .then(() => sendResponse({ success: true }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    if (message.action === 'reportDynamicScript') {
+      const tabId = sender.tab ? sender.tab.id : -1;
+      if (tabId < 0 || !this.isEnabled || this.isWhitelisted(sender.url || message.pageUrl)) {
+        sendResponse({ received: false });
+        return;
+      }
+      this.analyzeDynamicScript(message, tabId).catch(err => {
+        console.error(this.logPrefix, 'Dynamic script analysis error:', err);
+      });
+      sendResponse({ received: true });
+      return;
+    }
+
+    if (message.action === 'recordOverride') {
+      // User decision on the blocking page for the flagged scripts of this tab
+      const pending = this.pendingChecks.get(message.tabId);
+      const flagged = pending ? pending.scripts.filter(s => s.status === 'malware' || s.status === 'suspect') : [];
+      Promise.all(flagged.map(s => MLDataset.setOverride(s.url, message.decision)))
+        .then(() => sendResponse({ success: true, count: flagged.length }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    if (message.action === 'exportMLData') {
+      this.exportMLData(message.format)
+        .then(sendResponse)
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    if (message.action === 'getScanStats') {
+      ScanHistory.stats()
+        .then(stats => sendResponse({ success: true, ...stats }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    if (message.action === 'getIpStats') {
+      IpDB.ensureLoaded()
+        .then(() => sendResponse({ success: true, ...IpDB.getStats() }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    if (message.action === 'queryHistory') {
+      ScanHistory.query(message.filters || {})
+        .then(entries => sendResponse({ success: true, entries }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    if (message.action === 'getHistoryEntry') {
+      ScanHistory.get(message.id)
+        .then(entry => sendResponse({ success: !!entry, entry }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    if (message.action === 'checkDbUpdates') {
+      DBUpdater.loadConfig()
+        .then(() => DBUpdater.checkAndUpdateAll())
+        .then(results => sendResponse({ success: true, results }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    if (message.action === 'getCheckedScripts') {
+      const scripts = Array.from(this.checkedScripts.entries()).map(([url, data]) => ({ url, ...data }));
+      sendResponse({ scripts });
+      return;
+    }
+
+    if (message.action === 'addToWhitelist') {
+      const domain = message.domain;
+      if (!this.whitelist.includes(domain)) {
+        this.whitelist.push(domain);
+        browser.storage.local.set({ whitelist: this.whitelist });
+      }
+      sendResponse({ success: true });
+      return;
+    }
+
+    if (message.action === 'submitHash') {
+      browser.storage.local.get('customHashes').then(result => {
+        const customHashes = result.customHashes || [];
+        customHashes.push({
+          hash: message.hash,
+          type: message.type,
+          description: message.description,
+          timestamp: Date.now()
+        });
+        browser.storage.local.set({ customHashes });
+        HashDB.addCustomHashes(customHashes);
+        sendResponse({ success: true });
+      });
+      return true;
+    }
+  },
+
+  // Blocking webRequest hooks: main-frame navigations, plus script responses where live mode is possible
+  listenWebRequest() {
+    browser.webRequest.onBeforeRequest.addListener(
+      details => this.interceptNavigation(details),
+      { urls: ['<all_urls>'] },
+      ['blocking']
+    );
+    if (this.canFilterResponses()) {
+      browser.webRequest.onBeforeRequest.addListener(
+        details => this.interceptScript(details),
+        { urls: ['<all_urls>'], types: ['script'] },
+        ['blocking']
+      );
+    }
+  },
+
+  // Navigation interceptor strategies for browsers with blocking webRequest
+  interceptors: {
+    // Redirect the held-back navigation to the blocking page (Firefox)
+    redirect: {
+      name: 'redirect',
+      install(engine) {
+        engine.listenWebRequest();
+      },
+      block(engine, check) {
+        return { redirectUrl: engine.blockingUrl(check.tabId, check.url, check.previousUrl) };
+      }
+    },
+
+    // Redirect as above, then navigate the tab to the blocking page with tabs.update if the browser
+    // did not honor the redirect (Safari / some Chromium builds)
+    tabsUpdate: {
+      name: 'tabsUpdate',
+      fallbackDelayMs: 600,
+      install(engine) {
+        engine.listenWebRequest();
+      },
+      block(engine, check) {
+        const blockingUrl = engine.blockingUrl(check.tabId, check.url, check.previousUrl);
+        setTimeout(() => this.ensureBlocked(engine, check, blockingUrl), this.fallbackDelayMs);
+        return { redirectUrl: blockingUrl };
+      },
+      async ensureBlocked(engine, check, blockingUrl) {
+        let tab;
+        try {
+          tab = await browser.tabs.get(check.tabId);
+        } catch (e) {
+          return; // tab gone
+        }
+        // If current tab URL is not the blocking UI, assume redirect wasn't honored
+        if (!tab || (tab.url && tab.url.startsWith(browser.runtime.getURL('ui/blocking.html')))) return;
+        console.warn(engine.logPrefix, 'Redirect not honored, using tabs.update fallback', { tabId: check.tabId, url: tab.url });
+        try {
+          await browser.tabs.update(check.tabId, { url: blockingUrl });
+        } catch (err) {
+          console.warn(engine.logPrefix, 'tabs.update failed, creating new tab', err);
+          try {
+            await browser.tabs.create({ url: blockingUrl });
+          } catch (e) {
+            console.error(engine.logPrefix, 'tabs.create also failed', e);
+          }
+        }
+      }
+    }
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisEngine;
+}
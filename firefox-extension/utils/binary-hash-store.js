@@ -0,0 +1,152 @@
+// Binary hash store - SHA-256 shards as sorted 32-byte entries (binary search), persisted in IndexedDB
+const BinaryHashStore = {
+  ENTRY_SIZE: 32,
+  config: {
+    dbName: 'malware-checker-hashes',
+    dbVersion: 1
+  },
+
+  _dbPromise: null,
+
+  // Decode 64 lowercase hex chars into out[base .. base + 32]
+  writeHex(hex, out, base = 0) {
+    for (let i = 0; i < this.ENTRY_SIZE; i++) {
+      const hi = hex.charCodeAt(i * 2);
+      const lo = hex.charCodeAt(i * 2 + 1);
+      // '0'-'9' -> 0-9, 'a'-'f' -> 10-15
+      out[base + i] = (((hi & 0xf) + (hi >> 6) * 9) << 4) | ((lo & 0xf) + (lo >> 6) * 9);
+    }
+    return out;
+  },
+
+  hexToBytes(hex) {
+    return this.writeHex(hex, new Uint8Array(this.ENTRY_SIZE));
+  },
+
+  // Sorted, de-duplicated binary shard from a list of lowercase hex hashes.
+  // Lexical order of lowercase hex equals byte order, so sorting the strings is enough.
+  fromHexList(hexes) {
+    const sorted = Array.from(new Set(hexes)).sort();
+    const data = new Uint8Array(sorted.length * this.ENTRY_SIZE);
+    for (let i = 0; i < sorted.length; i++) this.writeHex(sorted[i], data, i * this.ENTRY_SIZE);
+    return data;
+  },
+
+  // Parse newline separated hex text (shard file format); optionally keep only one prefix
+  fromText(text, prefix) {
+    const hexes = [];
+    for (let l of (text || '').split(/\r?\n/)) {
+      l = l.trim().toLowerCase();
+      if (!/^[a-f0-9]{64}$/.test(l)) continue;
+      if (prefix && !l.startsWith(prefix)) continue;
+      hexes.push(l);
+    }
+    return this.fromHexList(hexes);
+  },
+
+  count(data) {
+    return data ? data.length / this.ENTRY_SIZE : 0;
+  },
+
+  // Compare entry i of data with a 32-byte key
+  compareAt(data, i, key) {
+    const base = i * this.ENTRY_SIZE;
+    for (let j = 0; j < this.ENTRY_SIZE; j++) {
+      const d = data[base + j] - key[j];
+      if (d !== 0) return d;
+    }
+    return 0;
+  },
+
+  // Index of key in data, or -(insertion point) - 1 when absent
+  search(data, key) {
+    let lo = 0;
+    let hi = this.count(data) - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >>> 1;
+      const c = this.compareAt(data, mid, key);
+      if (c < 0) lo = mid + 1;
+      else if (c > 0) hi = mid - 1;
+      else return mid;
+    }
+    return -lo - 1;
+  },
+
+  contains(data, key) {
+    return !!data && this.search(data, key) >= 0;
+  },
+
+  toHex(data, i) {
+    let hex = '';
+    const base = i * this.ENTRY_SIZE;
+    for (let j = 0; j < this.ENTRY_SIZE; j++) hex += data[base + j].toString(16).padStart(2, '0');
+    return hex;
+  },
+
+  // New sorted shard with added hashes inserted and removed hashes dropped
+  merge(data, addedHexes, removedHexes) {
+    const removed = new Set(removedHexes || []);
+    const hexes = [];
+    for (let i = 0; i < this.count(data); i++) {
+      const hex = this.toHex(data, i);
+      if (!removed.has(hex)) hexes.push(hex);
+    }
+    for (const h of addedHexes || []) {
+      if (!removed.has(h)) hexes.push(h);
+    }
+    return this.fromHexList(hexes);
+  },
+
+  // --- IndexedDB persistence -------------------------------------------------
+  // 'shards': { prefix, source, count, data: ArrayBuffer }  'filters': { name, ... }
+
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+    this._dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(this.config.dbName, this.config.dbVersion);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('shards')) db.createObjectStore('shards', { keyPath: 'prefix' });
+        if (!db.objectStoreNames.contains('filters')) db.createObjectStore('filters', { keyPath: 'name' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    this._dbPromise.catch(() => { this._dbPromise = null; });
+    return this._dbPromise;
+  },
+
+  async _run(storeName, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  },
+
+  // Stored shard if it was built from the given source, else null
+  async getShard(prefix, source) {
+    const rec = await this._run('shards', 'readonly', s => s.get(prefix));
+    if (!rec || (source && rec.source !== source)) return null;
+    return new Uint8Array(rec.data);
+  },
+
+  async putShard(prefix, data, source) {
+    const buf = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    return this._run('shards', 'readwrite', s => s.put({ prefix, source, count: this.count(data), data: buf }));
+  },
+
+  async getFilter(name) {
+    return this._run('filters', 'readonly', s => s.get(name));
+  },
+
+  async putFilter(name, value) {
+    return this._run('filters', 'readwrite', s => s.put({ ...value, name }));
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BinaryHashStore;
+}
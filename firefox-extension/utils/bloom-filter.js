@@ -0,0 +1,56 @@
+// Bloom filter over SHA-256 digests. Keys are already uniformly distributed, so bit positions are
+// derived from the digest bytes directly (double hashing) instead of hashing them again.
+const BloomFilter = {
+  // Filter sized for n entries at false-positive rate p
+  create(n, p = 0.01) {
+    n = Math.max(1, n);
+    const m = Math.ceil((-n * Math.log(p)) / (Math.LN2 * Math.LN2) / 32) * 32;
+    const k = Math.min(16, Math.max(1, Math.round((m / n) * Math.LN2)));
+    return { m, k, count: 0, bits: new Uint32Array(m / 32) };
+  },
+
+  // Rebuild a filter object from its stored form ({ m, k, count, bits: ArrayBuffer })
+  restore(stored) {
+    if (!stored || !stored.m || !stored.k || !stored.bits) return null;
+    return { m: stored.m, k: stored.k, count: stored.count || 0, bits: new Uint32Array(stored.bits) };
+  },
+
+  serialize(filter) {
+    return { m: filter.m, k: filter.k, count: filter.count, bits: filter.bits.buffer.slice(0) };
+  },
+
+  // Two 32-bit words from the digest (bytes 4-11; the first byte is the shard prefix)
+  _seeds(bytes, offset = 0) {
+    const o = offset + 4;
+    const h1 = ((bytes[o] << 24) | (bytes[o + 1] << 16) | (bytes[o + 2] << 8) | bytes[o + 3]) >>> 0;
+    const h2 = (((bytes[o + 4] << 24) | (bytes[o + 5] << 16) | (bytes[o + 6] << 8) | bytes[o + 7]) | 1) >>> 0;
+    return [h1, h2];
+  },
+
+  // Add a 32-byte digest (bytes[offset .. offset + 32])
+  add(filter, bytes, offset = 0) {
+    const [h1, h2] = this._seeds(bytes, offset);
+    for (let i = 0; i < filter.k; i++) {
+      const bit = (h1 + Math.imul(i, h2)) >>> 0;
+      const idx = bit % filter.m;
+      filter.bits[idx >>> 5] |= 1 << (idx & 31);
+    }
+    filter.count++;
+  },
+
+  // false -> definitely not present; true -> maybe present
+  mightContain(filter, bytes, offset = 0) {
+    const [h1, h2] = this._seeds(bytes, offset);
+    for (let i = 0; i < filter.k; i++) {
+      const bit = (h1 + Math.imul(i, h2)) >>> 0;
+      const idx = bit % filter.m;
+      if ((filter.bits[idx >>> 5] & (1 << (idx & 31))) === 0) return false;
+    }
+    return true;
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BloomFilter;
+}
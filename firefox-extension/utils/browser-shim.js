@@ -0,0 +1,6 @@
+// browser.* namespace on Chromium: alias chrome.*. With Manifest V3 the chrome.* APIs return promises
+// when no callback is passed, so code written against browser.* (Firefox) runs unchanged.
+// runtime.onMessage listeners must still answer through sendResponse (return true for async replies).
+if (typeof globalThis.browser === 'undefined' && typeof chrome !== 'undefined') {
+  globalThis.browser = chrome;
+}
@@ -8,8 +8,10 @@ const CryptoUtils = {
     // If already ArrayBuffer
     if (content instanceof ArrayBuffer) return content;
 
-    // If Uint8Array
-    if (ArrayBuffer.isView(content)) return content.buffer;
+    // If Uint8Array (copy only the viewed range, the view may not cover the whole buffer)
+    if (ArrayBuffer.isView(content)) {
+      return content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength);
+    }
 
     // If Blob or File (browser)
     if (typeof Blob !== 'undefined' && content instanceof Blob) {
@@ -73,9 +75,9 @@ const CryptoUtils = {
       const u8 = new Uint8Array(buf);
 
       if (typeof CryptoJS !== 'undefined' && CryptoJS.lib && CryptoJS.enc) {
-        // create WordArray from typed array robustly
-        const wordArray = this._uint8ToWordArray(u8);
-        const hex = wordArray.toString(CryptoJS.enc.Hex);
+        // create WordArray from typed array robustly, then digest it
+        const digest = CryptoJS.MD5(this._uint8ToWordArray(u8));
+        const hex = digest.toString(CryptoJS.enc.Hex);
         const hexLower = String(hex).toLowerCase();
 
         if (hexLower.length !== 32) {
@@ -88,7 +90,7 @@ const CryptoUtils = {
         if (fmt === 'hexUpper') return hexLower.toUpperCase();
         if (fmt === 'base64') {
           // CryptoJS can output base64 via enc.Base64
-          return wordArray.toString(CryptoJS.enc.Base64);
+          return digest.toString(CryptoJS.enc.Base64);
         }
         return hexLower;
       }
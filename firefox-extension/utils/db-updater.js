@@ -1,14 +1,54 @@
 // DB Updater - fetch metadata, download remote DB files, verify checksum and cache locally
+//
+// Feed signing: metadata.json and the shard index are signed with ECDSA P-256 / SHA-256.
+// Each signed file has a detached signature at `<url>.sig` (base64 of the raw r||s signature).
+// The public key is bundled in keys/feed-public-key.json (JWK). Shard / DB files are then
+// covered by the sha256 checksums listed in the verified metadata and index, and the index by the
+// metadata's shardIndexSha256 and version.
+// tools/feed-builder.js builds a feed in this format from the packaged lists; tools/feed-server.js serves it locally.
 const DBUpdater = {
   // Base URL - change to your cloud location when ready
   config: {
     baseUrl: '', // e.g. 'https://cdn.example.com/db'
     endpoints: {
       sha256: 'sha256/metadata.json',
-      ip: 'ip/metadata.json'
+      ip: 'ip/metadata.json',
+      domain: 'domain/metadata.json'
     },
     // optional: how many minutes between automatic checks
-    autoCheckMinutes: 60
+    autoCheckMinutes: 60,
+    // Detached signature location and bundled verification key
+    signatureSuffix: '.sig',
+    publicKeyPath: 'keys/feed-public-key.json'
+  },
+
+  // Imported CryptoKey (cached after first use)
+  _publicKey: null,
+
+  // storage.local keys for the user-editable config and the last check outcome
+  configKey: 'dbUpdaterConfig',
+  statusKey: 'db_update_status',
+  alarmName: 'db-updater-check',
+  _alarmListener: null,
+
+  // Apply a config object (from the options page) over the defaults
+  applyConfig(cfg) {
+    if (!cfg) return;
+    if (typeof cfg.baseUrl === 'string') this.config.baseUrl = cfg.baseUrl.trim();
+    if (cfg.endpoints) {
+      for (const type of ['sha256', 'ip', 'domain']) {
+        if (cfg.endpoints[type]) this.config.endpoints[type] = String(cfg.endpoints[type]).trim();
+      }
+    }
+    const minutes = Number(cfg.autoCheckMinutes);
+    if (Number.isFinite(minutes) && minutes > 0) this.config.autoCheckMinutes = minutes;
+  },
+
+  // Load the saved config from storage.local
+  async loadConfig() {
+    const stored = await browser.storage.local.get([this.configKey]);
+    this.applyConfig(stored[this.configKey]);
+    return this.config;
   },
 
   // Helper to compute SHA256 hex of ArrayBuffer
@@ -18,15 +58,64 @@ const DBUpdater = {
     return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
   },
 
-  // Fetch JSON metadata for a type
+  // Import the bundled feed public key (JWK, ECDSA P-256)
+  async getPublicKey() {
+    if (this._publicKey) return this._publicKey;
+    const resp = await fetch(browser.runtime.getURL(this.config.publicKeyPath));
+    if (!resp.ok) throw new Error('Feed public key not found in extension package');
+    const jwk = await resp.json();
+    this._publicKey = await crypto.subtle.importKey(
+      'jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+    );
+    return this._publicKey;
+  },
+
+  // Verify a base64 raw (r||s) ECDSA signature over the exact bytes
+  async verifySignature(buf, signatureB64) {
+    const key = await this.getPublicKey();
+    const binary = atob(String(signatureB64).trim());
+    const sig = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) sig[i] = binary.charCodeAt(i);
+    return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, sig, buf);
+  },
+
+  // Fetch a JSON document and its detached signature; reject it unless the signature verifies
+  // (and, with expectedSha256, unless it is exactly the document the already verified metadata names)
+  async fetchSignedJson(url, label, expectedSha256) {
+    const [resp, sigResp] = await Promise.all([
+      fetch(url, { cache: 'no-cache' }),
+      fetch(url + this.config.signatureSuffix, { cache: 'no-cache' })
+    ]);
+    if (!resp.ok) throw new Error(`${label} fetch failed: ${resp.status}`);
+    if (!sigResp.ok) throw new Error(`Signature verification failed for ${label}: signature missing (${sigResp.status})`);
+
+    const buf = await resp.arrayBuffer();
+    let valid = false;
+    try {
+      valid = await this.verifySignature(buf, await sigResp.text());
+    } catch (e) {
+      throw new Error(`Signature verification failed for ${label}: ${e.message}`);
+    }
+    if (!valid) {
+      console.error('[DBUpdater] rejected unsigned or tampered', label, url);
+      throw new Error(`Signature verification failed for ${label}`);
+    }
+    if (expectedSha256) {
+      const hex = await this.sha256Hex(buf);
+      if (hex !== String(expectedSha256).toLowerCase()) {
+        throw new Error(`Version check failed for ${label}: sha256 ${hex} is not the ${expectedSha256} named by the metadata`);
+      }
+    }
+    return JSON.parse(new TextDecoder('utf-8').decode(buf));
+  },
+
+  // Fetch JSON metadata for a type (signature verified)
   async fetchMetadata(type) {
     if (!this.config.baseUrl) throw new Error('DBUpdater.baseUrl not configured');
     const ep = this.config.endpoints[type];
     if (!ep) throw new Error('Unknown DB type: ' + type);
     const url = `${this.config.baseUrl.replace(/\/$/, '')}/${ep}`;
-    const resp = await fetch(url, { cache: 'no-cache' });
-    if (!resp.ok) throw new Error(`Metadata fetch failed: ${resp.status}`);
-    return resp.json();
+    return this.fetchSignedJson(url, `${type} metadata`);
   },
 
   // Download file as ArrayBuffer and verify expected sha256 hex
@@ -44,16 +133,92 @@ const DBUpdater = {
   },
 
   // Download JSON index that lists per-shard files (expected format: { shards: [{ prefix, url, sha256 }, ...], version })
-  async downloadShardIndex(url) {
-    const resp = await fetch(url, { cache: 'no-cache' });
-    if (!resp.ok) throw new Error(`Shard index fetch failed: ${resp.status}`);
-    return resp.json();
+  // The index is signed like metadata.json since it carries the per-shard checksums. It must be the one
+  // the verified metadata names (meta.shardIndexSha256, meta.version): an older signed index served next
+  // to the newest metadata would roll the shards back.
+  async downloadShardIndex(url, meta = {}) {
+    const shardIndex = await this.fetchSignedJson(url, 'shard index', meta.shardIndexSha256);
+    if (meta.version !== undefined && (!shardIndex || shardIndex.version !== meta.version)) {
+      throw new Error(`Version check failed for shard index: version ${shardIndex && shardIndex.version} does not match the metadata version ${meta.version}`);
+    }
+    return shardIndex;
+  },
+
+  // Canonical shard text: lowercase hashes, sorted, one per line with a trailing newline.
+  // A shard rebuilt from deltas must hash to the index sha256 in this form.
+  canonicalShardText(hashes) {
+    const list = Array.from(hashes).sort();
+    return list.length ? list.join('\n') + '\n' : '';
+  },
+
+  parseShardText(text) {
+    const set = new Set();
+    for (let l of (text || '').split(/\r?\n/)) {
+      l = l.trim().toLowerCase();
+      if (/^[a-f0-9]{64}$/.test(l)) set.add(l);
+    }
+    return set;
+  },
+
+  // Delta chain from the cached shard version to the index entry version, or null if broken.
+  // Entry format: { prefix, url, sha256, version, deltas: [{ from, to, url, sha256 }, ...] }
+  findDeltaChain(entry, fromVersion) {
+    if (fromVersion === undefined || fromVersion === null || entry.version === undefined) return null;
+    if (!Array.isArray(entry.deltas)) return null;
+    const chain = [];
+    let version = fromVersion;
+    while (version !== entry.version) {
+      const next = entry.deltas.find(d => d.from === version);
+      if (!next || !next.url || chain.length >= entry.deltas.length) return null;
+      chain.push(next);
+      version = next.to;
+    }
+    return chain;
+  },
+
+  // Apply a delta chain to the cached shard text. Delta files are JSON:
+  // { prefix, from, to, added: [hash, ...], removed: [hash, ...] }
+  async applyShardDeltas(prefix, cachedText, chain, expectedSha256) {
+    const set = this.parseShardText(cachedText);
+    const added = new Set();
+    const removed = new Set();
+    const valid = h => typeof h === 'string' && /^[a-f0-9]{64}$/.test(h) && h.startsWith(prefix);
+
+    for (const delta of chain) {
+      const downloaded = await this.downloadAndVerify(delta.url, delta.sha256);
+      const body = JSON.parse(downloaded.text);
+      for (const raw of body.removed || []) {
+        const h = String(raw).toLowerCase();
+        set.delete(h);
+        added.delete(h);
+        removed.add(h);
+      }
+      for (const raw of body.added || []) {
+        const h = String(raw).toLowerCase();
+        if (!valid(h)) continue;
+        set.add(h);
+        removed.delete(h);
+        added.add(h);
+      }
+    }
+
+    const text = this.canonicalShardText(set);
+    const sha256 = await this.sha256Hex(new TextEncoder().encode(text));
+    if (expectedSha256 && sha256 !== expectedSha256.toLowerCase()) {
+      throw new Error(`Delta result mismatch for shard ${prefix}: expected ${expectedSha256}, got ${sha256}`);
+    }
+    return { text, sha256, added: Array.from(added), removed: Array.from(removed) };
   },
 
-  // Given a shard index object, download each shard if needed and save into storage.local
+  // Given a shard index object, bring each cached shard up to date and save into storage.local.
+  // Uses the entry's delta chain when the cached version is known, else (or on any failure)
+  // downloads the full shard.
   async downloadAndCacheShards(shardIndex) {
     if (!shardIndex || !Array.isArray(shardIndex.shards)) return { updated: false };
+    const hashDB = typeof HashDB !== 'undefined' ? HashDB : null;
     const prefixes = [];
+    const counts = { full: 0, delta: 0, unchanged: 0, failed: 0 };
+
     for (const entry of shardIndex.shards) {
       const prefix = (entry.prefix || '').toLowerCase();
       if (!prefix || !entry.url) continue;
@@ -63,30 +228,86 @@ const DBUpdater = {
 
       const stored = await browser.storage.local.get([metaKey]);
       const oldMeta = stored[metaKey] || {};
-      // If sha256 matches and version/stamp matches, skip
+      // Same content: only remember the new version so later delta chains start from it
       if (entry.sha256 && oldMeta.sha256 && entry.sha256.toLowerCase() === oldMeta.sha256) {
+        if (entry.version !== undefined && oldMeta.version !== entry.version) {
+          await browser.storage.local.set({ [metaKey]: { ...oldMeta, version: entry.version } });
+        }
+        counts.unchanged++;
         continue;
       }
 
+      const chain = this.findDeltaChain(entry, oldMeta.version);
+      if (chain && chain.length) {
+        try {
+          const cached = await browser.storage.local.get([dataKey]);
+          const result = await this.applyShardDeltas(prefix, cached[dataKey], chain, entry.sha256);
+          await browser.storage.local.set({
+            [dataKey]: result.text,
+            [metaKey]: { sha256: result.sha256, version: entry.version, url: entry.url, updatedAt: Date.now() }
+          });
+          // Update the in-memory shard in place instead of reloading it
+          if (hashDB && hashDB.applyShardDelta) hashDB.applyShardDelta(prefix, result.added, result.removed, result.sha256);
+          counts.delta++;
+          continue;
+        } catch (e) {
+          console.warn('[DBUpdater] delta update failed for', prefix, '- falling back to full download', e);
+        }
+      }
+
       try {
         const downloaded = await this.downloadAndVerify(entry.url, entry.sha256);
+        // Hashes of the previously cached shard that the new one drops
+        const previous = await browser.storage.local.get([dataKey]);
+        const kept = this.parseShardText(downloaded.text);
+        const removed = Array.from(this.parseShardText(previous[dataKey])).filter(h => !kept.has(h));
         // Save shard text and its metadata
         const toSet = {};
         toSet[dataKey] = downloaded.text;
-        toSet[metaKey] = { sha256: downloaded.sha256, url: entry.url, updatedAt: Date.now() };
+        toSet[metaKey] = { sha256: downloaded.sha256, version: entry.version, url: entry.url, updatedAt: Date.now() };
         await browser.storage.local.set(toSet);
+        // Next lookup reloads this shard from storage
+        if (hashDB && hashDB.invalidateShard) hashDB.invalidateShard(prefix, downloaded.sha256);
+        if (hashDB && hashDB.forgetSources && removed.length) hashDB.forgetSources(removed);
+        counts.full++;
       } catch (e) {
         console.warn('[DBUpdater] shard download/verify failed for', prefix, e);
+        counts.failed++;
       }
     }
 
     // Save shards index of available prefixes
     await browser.storage.local.set({ sha256_shards_index: prefixes });
 
-    // Clear in-memory shard cache if HashDB is present so next lookup picks up cached shards
-    try { if (typeof HashDB !== 'undefined' && HashDB && HashDB.shardCache) HashDB.shardCache = {}; } catch (e) {}
+    return { updated: true, count: prefixes.length, ...counts };
+  },
 
-    return { updated: true, count: prefixes.length };
+  // Signed metadata must move forward: true for a newer version than the installed one, false for the
+  // installed version itself. An older version (rollback) or the installed version with other content
+  // (replay of a different build) throws.
+  checkVersion(kind, meta, old) {
+    const version = Number(meta && meta.version);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Version check failed for ${kind} metadata: invalid version ${meta && meta.version}`);
+    }
+    // Nothing installed yet, or metadata saved before versions were integers
+    const installed = Number(old && old.version);
+    if (!Number.isInteger(installed)) return true;
+    if (version > installed) return true;
+    if (version === installed && ['url', 'sha256', 'shardIndexUrl', 'shardIndexSha256'].every(k => meta[k] === old[k])) return false;
+    throw new Error(`Version check failed for ${kind} metadata: version ${version} is not newer than the installed version ${installed}`);
+  },
+
+  // Notify HashDB to reload the cached remote list if available
+  async reloadHashDB() {
+    if (typeof HashDB !== 'undefined' && HashDB && HashDB.loadCachedRemote) {
+      try { await HashDB.loadCachedRemote(); } catch (e) { console.warn('[DBUpdater] HashDB reload failed', e); }
+    }
+  },
+
+  // Signature and version failures mean the feed was refused, not that it was unreachable
+  isRejection(e) {
+    return /^(Signature verification|Version check) failed/.test(e && e.message);
   },
 
   // Check and update both DB types
@@ -100,27 +321,31 @@ const DBUpdater = {
         const stored = await browser.storage.local.get(['sha256_remote_metadata']);
         const old = stored.sha256_remote_metadata || {};
         // Two modes supported:
-        // 1) meta.shardIndexUrl present -> fetch shard index and download per-shard files
-        // 2) fallback -> download full sha256 text as before
-        if (meta.shardIndexUrl) {
-          const shardIndex = await this.downloadShardIndex(meta.shardIndexUrl);
+        // 1) meta.shardIndexUrl present -> fetch shard index and download per-shard files; meta.url, if
+        //    also present, is the plain MD5 / SHA-1 list that goes with the shards
+        // 2) fallback -> download full hash list text (any of MD5 / SHA-1 / SHA-256) as before
+        if (!this.checkVersion('sha256', meta, old)) {
+          results.sha256 = { updated: false, version: meta.version };
+        } else if (meta.shardIndexUrl) {
+          const shardIndex = await this.downloadShardIndex(meta.shardIndexUrl, meta);
+          const list = meta.url ? await this.downloadAndVerify(meta.url, meta.sha256) : null;
           const shardResult = await this.downloadAndCacheShards(shardIndex);
           // save metadata including shardIndexUrl and meta
-          await browser.storage.local.set({ sha256_remote_metadata: meta, sha256_shardindex_metadata: { version: shardIndex.version || meta.version, fetchedAt: Date.now() } });
+          await browser.storage.local.set({
+            ...(list ? { sha256_remote_text: list.text } : {}),
+            sha256_remote_metadata: meta,
+            sha256_shardindex_metadata: { version: shardIndex.version, fetchedAt: Date.now() }
+          });
+          if (list) await this.reloadHashDB();
           results.sha256 = { updated: true, mode: 'shards', details: shardResult };
-        } else if (meta.version !== old.version || meta.sha256 !== old.sha256) {
+        } else {
           const downloaded = await this.downloadAndVerify(meta.url, meta.sha256);
           await browser.storage.local.set({ sha256_remote_text: downloaded.text, sha256_remote_metadata: meta });
           results.sha256 = { updated: true, version: meta.version };
-          // notify HashDB to reload cached remote if available
-          if (typeof HashDB !== 'undefined' && HashDB && HashDB.loadCachedRemote) {
-            try { await HashDB.loadCachedRemote(); } catch (e) { console.warn('[DBUpdater] HashDB reload failed', e); }
-          }
-        } else {
-          results.sha256 = { updated: false, version: meta.version };
+          await this.reloadHashDB();
         }
       } catch (e) {
-        results.sha256 = { error: e.message };
+        results.sha256 = { error: e.message, rejected: this.isRejection(e) };
       }
 
       // IP
@@ -128,7 +353,7 @@ const DBUpdater = {
         const meta = await this.fetchMetadata('ip');
         const stored = await browser.storage.local.get(['ip_remote_metadata']);
         const old = stored.ip_remote_metadata || {};
-        if (meta.version !== old.version || meta.sha256 !== old.sha256) {
+        if (this.checkVersion('ip', meta, old)) {
           const downloaded = await this.downloadAndVerify(meta.url, meta.sha256);
           await browser.storage.local.set({ ip_remote_text: downloaded.text, ip_remote_metadata: meta });
           results.ip = { updated: true, version: meta.version };
@@ -139,9 +364,30 @@ const DBUpdater = {
           results.ip = { updated: false, version: meta.version };
         }
       } catch (e) {
-        results.ip = { error: e.message };
+        results.ip = { error: e.message, rejected: this.isRejection(e) };
+      }
+
+      // Domain / URL indicators
+      try {
+        const meta = await this.fetchMetadata('domain');
+        const stored = await browser.storage.local.get(['domain_remote_metadata']);
+        const old = stored.domain_remote_metadata || {};
+        if (this.checkVersion('domain', meta, old)) {
+          const downloaded = await this.downloadAndVerify(meta.url, meta.sha256);
+          await browser.storage.local.set({ domain_remote_text: downloaded.text, domain_remote_metadata: meta });
+          results.domain = { updated: true, version: meta.version };
+          if (typeof DomainDB !== 'undefined' && DomainDB && DomainDB.loadFromText) {
+            try { DomainDB.loadFromText(downloaded.text); } catch (e) { console.warn('[DBUpdater] DomainDB reload failed', e); }
+          }
+        } else {
+          results.domain = { updated: false, version: meta.version };
+        }
+      } catch (e) {
+        results.domain = { error: e.message, rejected: this.isRejection(e) };
       }
 
+      // Remember the outcome (including per-DB errors) for the options page status panel
+      await browser.storage.local.set({ [this.statusKey]: { checkedAt: Date.now(), results } });
       return results;
     } catch (e) {
       console.error('[DBUpdater] checkAndUpdateAll error', e);
@@ -149,19 +395,42 @@ const DBUpdater = {
     }
   },
 
-  // Simple scheduler using browser.alarms (optional)
+  // Simple scheduler using browser.alarms (optional). Safe to call again after a config change:
+  // the alarm is replaced and the listener is only registered once.
   schedulePeriodic(minutes) {
     try {
       if (typeof browser.alarms === 'undefined') return;
-      browser.alarms.create('db-updater-check', { periodInMinutes: minutes || this.config.autoCheckMinutes });
-      browser.alarms.onAlarm.addListener(async (alarm) => {
-        if (alarm && alarm.name === 'db-updater-check') {
-          try { await this.checkAndUpdateAll(); } catch (e) { console.warn('[DBUpdater] periodic check failed', e); }
-        }
-      });
+      browser.alarms.create(this.alarmName, { periodInMinutes: minutes || this.config.autoCheckMinutes });
+      this.listenForAlarms();
     } catch (e) {
       console.warn('[DBUpdater] schedulePeriodic not available', e);
     }
+  },
+
+  // Register the alarm listener (once). An MV3 service worker calls this at startup before any await,
+  // so the alarm that wakes a suspended worker is still delivered; the config is re-read for that reason.
+  listenForAlarms() {
+    if (this._alarmListener || typeof browser.alarms === 'undefined') return;
+    this._alarmListener = async (alarm) => {
+      if (alarm && alarm.name === this.alarmName) {
+        try {
+          await this.loadConfig();
+          await this.checkAndUpdateAll();
+        } catch (e) {
+          console.warn('[DBUpdater] periodic check failed', e);
+        }
+      }
+    };
+    browser.alarms.onAlarm.addListener(this._alarmListener);
+  },
+
+  // Stop automatic checks (e.g. feed URL cleared)
+  cancelPeriodic() {
+    try {
+      if (typeof browser.alarms !== 'undefined') browser.alarms.clear(this.alarmName);
+    } catch (e) {
+      console.warn('[DBUpdater] cancelPeriodic failed', e);
+    }
   }
 };
 
@@ -0,0 +1,240 @@
+// Domain DB loader and lookup - malicious hostnames and URLs (mirrors IpDB).
+// Indicators (first CSV column, or one per line):
+//   evil.example        exact host; a registrable domain also covers all its subdomains
+//   *.evil.example      wildcard: the domain and every subdomain
+//   https://host/path   URL prefix
+const DomainDB = {
+  exact: new Map(), // host -> metadata object
+  wildcard: new Map(), // base domain of '*.base' -> metadata object
+  urls: new Map(), // host -> [{ prefix, meta }]
+  loaded: false,
+
+  config: {
+    // Multi-label public suffixes (subset of the Public Suffix List) used for registrable-domain matching
+    publicSuffixes: new Set([
+      'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.jp', 'ne.jp', 'or.jp',
+      'com.br', 'com.cn', 'com.vn', 'net.vn', 'org.vn', 'edu.vn', 'gov.vn', 'co.in', 'co.kr', 'com.tw',
+      'com.hk', 'com.sg', 'com.my', 'co.za', 'com.mx', 'com.tr', 'com.ar', 'co.nz', 'co.id', 'com.ua',
+      'github.io', 'gitlab.io', 'herokuapp.com', 'blogspot.com', 'appspot.com', 'netlify.app',
+      'vercel.app', 'pages.dev', 'workers.dev', 'web.app', 'firebaseapp.com', 'azurewebsites.net',
+      'cloudfront.net', 's3.amazonaws.com', 'ngrok.io', 'ngrok-free.app', 'glitch.me', 'repl.co'
+    ]),
+    // Quoted "hostnames" with these endings are file names, not domains
+    fileExtensions: new Set(['js', 'mjs', 'css', 'map', 'json', 'html', 'htm', 'php', 'png', 'jpg', 'jpeg',
+      'gif', 'svg', 'webp', 'ico', 'txt', 'xml', 'woff', 'woff2', 'ttf', 'min', 'prototype', 'length']),
+    // ...and these first labels are property paths ('document.cookie', 'window.location')
+    codeRoots: new Set(['document', 'window', 'this', 'self', 'navigator', 'location', 'console', 'math',
+      'json', 'object', 'array', 'string', 'number', 'promise', 'reflect', 'module', 'exports', 'process']),
+    maxIndicators: 500
+  },
+
+  // Load index.json then load each file listed (prefers the cached remote feed)
+  async loadAll() {
+    try {
+      try {
+        const stored = await browser.storage.local.get(['domain_remote_text']);
+        if (stored && stored.domain_remote_text) {
+          this.parseCsv(stored.domain_remote_text);
+          this.loaded = true;
+          console.log('[DomainDB] loaded from cached remote text', this.size());
+          return;
+        }
+      } catch (e) { /* ignore storage errors */ }
+
+      const idxResp = await fetch(browser.runtime.getURL('Domain/index.json'));
+      if (!idxResp.ok) {
+        console.warn('[DomainDB] index.json not found in extension package');
+        this.loaded = true;
+        return;
+      }
+      const files = await idxResp.json();
+      for (const fname of Array.isArray(files) ? files : []) {
+        try {
+          const resp = await fetch(browser.runtime.getURL(`Domain/${fname}`));
+          if (resp.ok) this.parseCsv(await resp.text());
+        } catch (e) {
+          console.warn('[DomainDB] failed to load', fname, e);
+        }
+      }
+      this.loaded = true;
+      console.log('[DomainDB] loaded', this.size(), 'indicators');
+    } catch (error) {
+      console.error('[DomainDB] loadAll error:', error);
+      this.loaded = true;
+    }
+  },
+
+  // Load from provided text (used by DBUpdater)
+  loadFromText(text) {
+    try {
+      this.exact.clear();
+      this.wildcard.clear();
+      this.urls.clear();
+      this.parseCsv(text);
+      this.loaded = true;
+      console.log('[DomainDB] loaded from provided text', this.size());
+    } catch (e) {
+      console.warn('[DomainDB] loadFromText failed', e);
+    }
+  },
+
+  size() {
+    let urls = 0;
+    for (const list of this.urls.values()) urls += list.length;
+    return this.exact.size + this.wildcard.size + urls;
+  },
+
+  // Parse CSV (header naming a Domain / URL / Indicator column first) or a plain list
+  parseCsv(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+    if (lines.length === 0) return;
+    let headers = [];
+    if (/domain|url|indicator/i.test(lines[0]) && lines[0].includes(',')) {
+      headers = lines.shift().split(',').map(h => h.trim());
+    }
+
+    for (const line of lines) {
+      const cols = line.split(',').map(c => c.trim());
+      const indicator = cols[0];
+      if (!indicator) continue;
+      const meta = {};
+      if (headers.length) {
+        headers.forEach((h, i) => { meta[h] = cols[i] || ''; });
+      } else {
+        meta.indicator = indicator;
+        meta.source = cols[1] || '';
+      }
+      this.addIndicator(indicator, meta);
+    }
+  },
+
+  addIndicator(indicator, meta) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(indicator)) {
+      const prefix = this.normalizeUrl(indicator);
+      if (!prefix) return false;
+      const host = new URL(prefix).hostname;
+      if (!this.urls.has(host)) this.urls.set(host, []);
+      this.urls.get(host).push({ prefix, meta });
+      return true;
+    }
+    if (indicator.startsWith('*.')) {
+      const base = this.normalizeHost(indicator.slice(2));
+      if (!base) return false;
+      this.wildcard.set(base, meta);
+      return true;
+    }
+    const host = this.normalizeHost(indicator);
+    if (!host) return false;
+    this.exact.set(host, meta);
+    return true;
+  },
+
+  // Lowercase punycode hostname without trailing dot, or null (IP literals are IpDB's job)
+  normalizeHost(host) {
+    if (typeof host !== 'string' || !host) return null;
+    try {
+      const h = new URL(`http://${host.trim()}/`).hostname.replace(/\.$/, '');
+      if (!h.includes('.') || /^[\d.]+$/.test(h) || h.startsWith('[')) return null;
+      return h;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  // URL without fragment, lowercase host; used as a prefix
+  normalizeUrl(url) {
+    try {
+      const u = new URL(url);
+      u.hash = '';
+      return u.href;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  // eTLD+1 of a host using the bundled suffix subset (last two labels otherwise)
+  registrableDomain(host) {
+    const labels = host.split('.');
+    if (labels.length < 2 || this.config.publicSuffixes.has(host)) return null;
+    const lastTwo = labels.slice(-2).join('.');
+    const suffixLabels = labels.length >= 3 && this.config.publicSuffixes.has(lastTwo) ? 2
+      : labels.length >= 4 && this.config.publicSuffixes.has(labels.slice(-3).join('.')) ? 3
+      : 1;
+    if (labels.length <= suffixLabels) return null;
+    return labels.slice(-(suffixLabels + 1)).join('.');
+  },
+
+  async ensureLoaded() {
+    if (this.loaded) return;
+    if (!this._loading) this._loading = this.loadAll();
+    try { await this._loading; } catch (e) { console.warn('[DomainDB] background load failed during check', e); }
+  },
+
+  // { found, host, matchType: 'exact' | 'wildcard' | 'registrable', indicator, meta }
+  async checkHost(host) {
+    await this.ensureLoaded();
+    host = this.normalizeHost(host);
+    if (!host) return { found: false };
+
+    if (this.exact.has(host)) {
+      return { found: true, host, matchType: 'exact', indicator: host, meta: this.exact.get(host) };
+    }
+    // '*.base' covers base itself and every subdomain
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      const base = labels.slice(i).join('.');
+      if (this.wildcard.has(base)) {
+        return { found: true, host, matchType: 'wildcard', indicator: `*.${base}`, meta: this.wildcard.get(base) };
+      }
+    }
+    // A listed registrable domain covers its subdomains
+    const reg = this.registrableDomain(host);
+    if (reg && reg !== host && this.exact.has(reg)) {
+      return { found: true, host, matchType: 'registrable', indicator: reg, meta: this.exact.get(reg) };
+    }
+    return { found: false };
+  },
+
+  // URL prefix entries first, then the URL's host
+  async checkUrl(url) {
+    await this.ensureLoaded();
+    const normalized = this.normalizeUrl(url);
+    if (!normalized) return { found: false };
+    const u = new URL(normalized);
+    if (!/^(https?|wss?):$/.test(u.protocol)) return { found: false };
+    for (const entry of this.urls.get(u.hostname) || []) {
+      if (normalized.startsWith(entry.prefix)) {
+        return { found: true, host: u.hostname, url: normalized, matchType: 'url', indicator: entry.prefix, meta: entry.meta };
+      }
+    }
+    const res = await this.checkHost(u.hostname);
+    return res.found ? { ...res, url: normalized } : res;
+  },
+
+  // URLs (absolute or protocol-relative in quotes) and quoted hostnames found in script text
+  extractIndicators(text) {
+    const urls = new Set();
+    const hosts = new Set();
+    if (typeof text !== 'string' || !text) return { urls: [], hosts: [] };
+    const max = this.config.maxIndicators;
+    let m;
+
+    const urlRe = /\b(?:https?|wss?):\/\/[^\s'"`<>\\)]+|(?<=["'`])\/\/[a-z0-9-]+(?:\.[a-z0-9-]+)+[^\s'"`<>\\)]*/gi;
+    while ((m = urlRe.exec(text)) !== null && urls.size < max) {
+      const url = m[0].startsWith('//') ? 'https:' + m[0] : m[0];
+      if (this.normalizeUrl(url)) urls.add(url);
+    }
+
+    const hostRe = /(?<=["'`])((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{1,62})(?=["'`/:])/gi;
+    while ((m = hostRe.exec(text)) !== null && hosts.size < max) {
+      const host = m[1].toLowerCase();
+      if (this.config.fileExtensions.has(host.slice(host.lastIndexOf('.') + 1))) continue;
+      if (this.config.codeRoots.has(host.slice(0, host.indexOf('.')))) continue;
+      hosts.add(host);
+    }
+    return { urls: Array.from(urls), hosts: Array.from(hosts) };
+  }
+};
+
+// Kick off load in background
+try { DomainDB._loading = DomainDB.loadAll().catch(e => console.warn('[DomainDB] background load failed', e)); } catch (e) {}
@@ -1,7 +1,221 @@
-// Feature extractor removed. This extension now only computes SHA256 and performs IP lookups via IpDB.
-// Keeping a minimal stub to avoid runtime "missing symbol" errors if any leftover code references it.
+// Feature extractor - static heuristics over the acorn AST (lib/acorn.min.js)
 const FeatureExtractor = {
-  async extractFeatures() {
-    return { success: true, features: {} };
+  config: {
+    // Skip AST analysis for very large bundles (parsing runs on the background thread)
+    maxParseLength: 2 * 1024 * 1024,
+    // A '+' chain with at least this many string pieces counts as a "long" concatenation
+    longConcatChain: 10,
+    // Known crypto-miner markers (identifiers, library names, pool protocols)
+    minerPatterns: [
+      /coinhive/i, /cryptoloot/i, /crypto-loot/i, /coinimp/i, /jsecoin/i, /webminepool/i,
+      /deepminer/i, /cryptonight/i, /stratum\+(tcp|ssl):\/\//i, /minero\.cc/i, /monerominer/i
+    ]
+  },
+
+  // ScriptSource from the background page global, or require() it under Node
+  getScriptSource() {
+    return typeof ScriptSource !== 'undefined' ? ScriptSource : require('./script-source.js');
+  },
+
+  // Depth-first walk over every AST node; visitor(node, parent)
+  walk(root, visitor) {
+    const stack = [[root, null]];
+    while (stack.length) {
+      const [node, parent] = stack.pop();
+      visitor(node, parent);
+      const children = [];
+      for (const key in node) {
+        if (key === 'type' || key === 'start' || key === 'end') continue;
+        const value = node[key];
+        if (Array.isArray(value)) {
+          for (const item of value) {
+            if (item && typeof item.type === 'string') children.push(item);
+          }
+        } else if (value && typeof value.type === 'string') {
+          children.push(value);
+        }
+      }
+      // Push in reverse so children are visited in source order
+      for (let i = children.length - 1; i >= 0; i--) stack.push([children[i], node]);
+    }
+  },
+
+  // Dotted name of a callee: eval, document.write, window.atob ...
+  calleeName(node) {
+    if (!node) return '';
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression') {
+      const prop = node.computed
+        ? (node.property.type === 'Literal' ? String(node.property.value) : '')
+        : node.property.name;
+      const obj = this.calleeName(node.object);
+      return obj ? `${obj}.${prop}` : prop;
+    }
+    if (node.type === 'ThisExpression') return 'this';
+    return '';
+  },
+
+  // Best-effort static value of a string expression (literals, plain templates, '+' of those)
+  staticString(node) {
+    if (!node) return null;
+    if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+      return node.quasis.map(q => q.value.cooked || '').join('');
+    }
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      const left = this.staticString(node.left);
+      const right = this.staticString(node.right);
+      return left !== null && right !== null ? left + right : null;
+    }
+    return null;
+  },
+
+  // Any string literal under node (used for document.write('<scr' + 'ipt ...'))
+  collectStrings(node) {
+    const out = [];
+    this.walk(node, n => {
+      if (n.type === 'Literal' && typeof n.value === 'string') out.push(n.value);
+      else if (n.type === 'TemplateElement') out.push(n.value.cooked || '');
+    });
+    return out;
+  },
+
+  // Number of operands in a '+' chain rooted at node, and whether any is a string
+  concatChain(node) {
+    let count = 0;
+    let hasString = false;
+    const stack = [node];
+    while (stack.length) {
+      const n = stack.pop();
+      if (n.type === 'BinaryExpression' && n.operator === '+') {
+        stack.push(n.left, n.right);
+      } else {
+        count++;
+        if ((n.type === 'Literal' && typeof n.value === 'string') || n.type === 'TemplateLiteral') hasString = true;
+      }
+    }
+    return { count, hasString };
+  },
+
+  // Host part of a URL if it is a raw IPv4 / IPv6 literal, else null
+  rawIpHost(url) {
+    const ipUtils = typeof IpUtils !== 'undefined' ? IpUtils
+      : typeof require === 'function' ? require('./ip-utils.js') : null;
+    const m = /^(?:wss?|https?):\/\/(\[[0-9a-f:.]+\]|[^\s\/?#:@]+)(?::\d+)?(?:[/?#]|$)/i.exec(url.trim());
+    if (!m) return null;
+    // Integer / hex / octal IPv4 hosts are accepted by browsers too
+    const addr = ipUtils ? ipUtils.parseHost(m[1]) : null;
+    return addr ? ipUtils.canonical(addr) : null;
+  },
+
+  emptyFeatures(size) {
+    return {
+      parsed: false,
+      size,
+      evalCalls: 0,
+      functionConstructorCalls: 0,
+      stringTimerCalls: 0,
+      documentWriteCalls: 0,
+      documentWriteScript: 0,
+      maxConcatChain: 0,
+      longConcatChains: 0,
+      atobCalls: 0,
+      unescapeCalls: 0,
+      fromCharCodeCalls: 0,
+      hexEscapedStrings: 0,
+      hexIdentifiers: 0,
+      maxStringLength: 0,
+      minerIndicators: [],
+      rawIpEndpoints: []
+    };
+  },
+
+  // Extract heuristic features from script text or a ScriptSource (whose AST is reused)
+  async extractFeatures(content) {
+    const sources = this.getScriptSource();
+    const source = sources.from(content) || sources.from(String(content || ''));
+    const features = this.emptyFeatures(source.text.length);
+
+    if (source.text.length > this.config.maxParseLength) {
+      return { success: false, error: 'Script too large for AST analysis', features };
+    }
+
+    const ast = sources.ast(source);
+    if (!ast) return { success: false, error: source.parseError, features };
+    features.parsed = true;
+
+    const miners = new Set();
+    const endpoints = new Set();
+    const checkMiner = (value) => {
+      for (const re of this.config.minerPatterns) {
+        if (re.test(value)) miners.add(value.length > 80 ? value.slice(0, 80) + '...' : value);
+      }
+    };
+    const checkEndpoint = (arg) => {
+      const url = this.staticString(arg);
+      if (url && this.rawIpHost(url)) endpoints.add(url);
+    };
+
+    this.walk(ast, (node, parent) => {
+      switch (node.type) {
+        case 'CallExpression':
+        case 'NewExpression': {
+          const name = this.calleeName(node.callee);
+          const short = name.replace(/^(window|self|globalThis)\./, '');
+          const args = node.arguments || [];
+
+          if (short === 'eval') features.evalCalls++;
+          else if (short === 'Function') features.functionConstructorCalls++;
+          else if ((short === 'setTimeout' || short === 'setInterval') && this.staticString(args[0]) !== null) {
+            features.stringTimerCalls++;
+          } else if (short === 'document.write' || short === 'document.writeln') {
+            features.documentWriteCalls++;
+            const written = args.map(a => this.collectStrings(a).join('')).join('');
+            if (/<\s*script/i.test(written)) features.documentWriteScript++;
+          } else if (short === 'atob') features.atobCalls++;
+          else if (short === 'unescape') features.unescapeCalls++;
+          else if (short === 'String.fromCharCode' || short === 'String.fromCodePoint') {
+            features.fromCharCodeCalls++;
+          } else if (short === 'WebSocket' || short === 'fetch' || short === 'navigator.sendBeacon' || short === 'EventSource') {
+            checkEndpoint(args[0]);
+          } else if (/\.open$/.test(short) && args.length >= 2) {
+            // XMLHttpRequest.open(method, url)
+            checkEndpoint(args[1]);
+          }
+          break;
+        }
+        case 'BinaryExpression': {
+          // Only measure the outermost '+' of a chain
+          if (node.operator !== '+' || (parent && parent.type === 'BinaryExpression' && parent.operator === '+')) break;
+          const chain = this.concatChain(node);
+          if (!chain.hasString) break;
+          if (chain.count > features.maxConcatChain) features.maxConcatChain = chain.count;
+          if (chain.count >= this.config.longConcatChain) features.longConcatChains++;
+          break;
+        }
+        case 'Literal': {
+          if (typeof node.value !== 'string') break;
+          if (node.value.length > features.maxStringLength) features.maxStringLength = node.value.length;
+          if (/(\\x[0-9a-f]{2}|\\u[0-9a-f]{4}){4,}/i.test(node.raw || '')) features.hexEscapedStrings++;
+          checkMiner(node.value);
+          break;
+        }
+        case 'Identifier': {
+          // obfuscator.io style names: _0x1a2b3c
+          if (/^_0x[0-9a-f]{4,}$/i.test(node.name)) features.hexIdentifiers++;
+          checkMiner(node.name);
+          break;
+        }
+      }
+    });
+
+    features.minerIndicators = Array.from(miners);
+    features.rawIpEndpoints = Array.from(endpoints);
+    return { success: true, features };
   }
 };
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FeatureExtractor;
+}
@@ -0,0 +1,183 @@
+// Fuzzy hash - per-segment MinHash fingerprints over 5-token shingles of the acorn token stream.
+// Local identifiers and numbers are normalized, so re-minified or slightly edited variants
+// (rotated C2 host, renamed variables, different whitespace) keep most of their shingles.
+//
+// A script is cut into segments where a top-level statement starts and at content-defined points of
+// the token stream, so a segment is found again whatever is prepended or appended to
+// it. SimilarityDB matches by containment: every segment of a known sample must be present in the
+// script. A clean library copy does not contain the payload segments of a skimmer built on it.
+const FuzzyHash = {
+  config: {
+    // b-bit MinHash: 24 16-bit values per segment
+    numHashes: 24,
+    shingleSize: 5,
+    // Too few tokens make every fingerprint look alike
+    minTokens: 30,
+    maxTokens: 200000,
+    // Segment length in tokens; a content-defined cut happens on average every boundaryMask + 1 tokens
+    minSegmentTokens: 24,
+    maxSegmentTokens: 256,
+    boundaryMask: 63,
+    // String literals are kept (URL paths, payload markers) but truncated
+    maxStringToken: 32
+  },
+
+  _seeds: null,
+
+  // ScriptSource from the background page global, or require() it under Node
+  getScriptSource() {
+    return typeof ScriptSource !== 'undefined' ? ScriptSource : require('./script-source.js');
+  },
+
+  // Normalized token strings of a ScriptSource; falls back to a regex split when acorn cannot tokenize it
+  tokenize(source) {
+    const acornTokens = this.getScriptSource().tokens(source);
+    const tokens = [];
+    if (acornTokens) {
+      let prev = null;
+      for (const t of acornTokens) {
+        const label = t.type.label;
+        let tok;
+        // Property names survive minification, other identifiers do not
+        if (label === 'name') tok = prev === '.' || prev === '?.' ? t.value : '$';
+        else if (label === 'string' || label === 'template') tok = 's:' + this.normalizeString(String(t.value));
+        else if (label === 'num') tok = '0';
+        else if (label === 'regexp') tok = 'r';
+        else tok = label;
+        tokens.push(tok);
+        prev = label;
+        if (tokens.length >= this.config.maxTokens) break;
+      }
+      return tokens;
+    }
+    const re = /[A-Za-z_$][\w$]*|\d+|"[^"]*"|'[^']*'|[^\s\w]/g;
+    let m;
+    while ((m = re.exec(source.text)) !== null && tokens.length < this.config.maxTokens) tokens.push(m[0]);
+    return tokens;
+  },
+
+  // URL hosts are dropped (a rotated C2 host keeps the token), then the literal is truncated
+  normalizeString(value) {
+    return value.replace(/^([a-z][\w+.-]*:)?\/\/[^/?#'"]*/i, '$1//*').slice(0, this.config.maxStringToken);
+  },
+
+  // Indexes of tokens that start a top-level statement (after a ';' or a closing '}' at depth 0)
+  statementStarts(tokens) {
+    const starts = new Set();
+    let depth = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const t = tokens[i];
+      if (t === '{' || t === '(' || t === '[' || t === '${') depth++;
+      else if (t === '}' || t === ')' || t === ']') depth = Math.max(0, depth - 1);
+      if (depth === 0 && (t === ';' || t === '}') && i + 1 < tokens.length) starts.add(i + 1);
+    }
+    return starts;
+  },
+
+  // FNV-1a over a string
+  hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  },
+
+  // murmur3 finalizer, used as the family of MinHash permutations
+  mix(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  },
+
+  seeds() {
+    if (!this._seeds || this._seeds.length !== this.config.numHashes) {
+      this._seeds = new Uint32Array(this.config.numHashes);
+      for (let i = 0; i < this._seeds.length; i++) this._seeds[i] = this.mix(0x9e3779b9 + i);
+    }
+    return this._seeds;
+  },
+
+  // Shingle hash of tokens[from, to)
+  shingle(hashes, from, to) {
+    let h = 0x811c9dc5;
+    for (let j = from; j < to; j++) h = Math.imul(h ^ hashes[j], 0x01000193);
+    return h >>> 0;
+  },
+
+  // [start, end) token ranges of the segments
+  segmentRanges(tokens, hashes) {
+    const { minSegmentTokens, maxSegmentTokens, boundaryMask, shingleSize } = this.config;
+    const starts = this.statementStarts(tokens);
+    const ranges = [];
+    let start = 0;
+    for (let i = 1; i < tokens.length; i++) {
+      const len = i - start;
+      // Always cut before a new top-level statement, so code prepended or appended as whole statements
+      // never shares a segment with the sample; inside a statement cut where the shingle ending here
+      // hits the mask, or at the cap
+      const content = len >= minSegmentTokens && (this.mix(this.shingle(hashes, i - shingleSize, i)) & boundaryMask) === 0;
+      if (starts.has(i) || content || len >= maxSegmentTokens) {
+        ranges.push([start, i]);
+        start = i;
+      }
+    }
+    ranges.push([start, tokens.length]);
+    return ranges;
+  },
+
+  // MinHash (16-bit values) of the shingles that lie entirely inside [start, end)
+  segmentSignature(hashes, start, end) {
+    const k = Math.min(this.config.shingleSize, end - start);
+    const seeds = this.seeds();
+    const sig = new Uint16Array(seeds.length).fill(0xffff);
+    const shingles = new Set();
+    for (let i = start; i + k <= end; i++) shingles.add(this.shingle(hashes, i, i + k));
+    for (const s of shingles) {
+      for (let i = 0; i < seeds.length; i++) {
+        const v = this.mix(s ^ seeds[i]) >>> 16;
+        if (v < sig[i]) sig[i] = v;
+      }
+    }
+    return sig;
+  },
+
+  // Segment signatures (array of Uint16Array) of script text or a ScriptSource, or null when it is too
+  // short to compare
+  fingerprint(content) {
+    const source = this.getScriptSource().from(content);
+    if (!source) return null;
+    const tokens = this.tokenize(source);
+    if (tokens.length < Math.max(this.config.minTokens, this.config.shingleSize)) return null;
+    const hashes = tokens.map(t => this.hashString(t));
+    return this.segmentRanges(tokens, hashes).map(([start, end]) => this.segmentSignature(hashes, start, end));
+  },
+
+  // Estimated Jaccard similarity of two segments' shingle sets (0..1)
+  similarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let same = 0;
+    for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+    return same / a.length;
+  },
+
+  toHex(sig) {
+    return Array.from(sig, v => v.toString(16).padStart(4, '0')).join('');
+  },
+
+  fromHex(hex) {
+    if (typeof hex !== 'string' || hex.length !== this.config.numHashes * 4 || !/^[0-9a-f]+$/i.test(hex)) return null;
+    const sig = new Uint16Array(this.config.numHashes);
+    for (let i = 0; i < sig.length; i++) sig[i] = parseInt(hex.substr(i * 4, 4), 16);
+    return sig;
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FuzzyHash;
+}
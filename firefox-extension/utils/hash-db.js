@@ -1,17 +1,77 @@
-// Hash database - Simple SHA256 only
+// Hash database - SHA256, SHA1 and MD5 (algorithm is inferred from the digest length)
 const HashDB = {
   customHashes: [],
   useTempico: true,
 
-  // local packaged hashes (Set for O(1) lookup)
-  localHashes: new Set(),
-  // Shard cache: prefix (eg 'ab') -> Set of hashes
+  // Digest length -> algorithm name used in match results
+  HASH_TYPES: { 32: 'MD5', 40: 'SHA1', 64: 'SHA256' },
+
+  // Packaged list files and the cached remote list, one Set per algorithm (O(1) lookup).
+  // Per-prefix shards below are SHA256 only.
+  localHashes: { MD5: new Set(), SHA1: new Set(), SHA256: new Set() },
+  // SHA256 of NormalizedHash canonical forms: packaged SHA256/normalized.txt, plus hashes learned
+  // from scripts that matched a listed digest (normalized hash -> that digest, persisted under
+  // normalizedStorageKey and dropped again when the digest leaves the DB, see forgetSources)
+  normalizedHashes: new Set(),
+  learnedNormalized: new Map(),
+  normalizedStorageKey: 'learnedNormalizedHashes',
+  // Learned hashes of older versions, stored without their source digest; dropped on load
+  legacyNormalizedStorageKey: 'normalizedHashes',
+  _normalizedSaveTimer: null,
+  // Shard cache: prefix (eg 'ab') -> sorted binary shard (Uint8Array of 32-byte entries, see BinaryHashStore)
   shardCache: {},
   // Ongoing shard load promises to coalesce concurrent requests
   shardPromises: {},
+  // Content each shard comes from: 'packaged:<version>' or 'remote:<sha256>'
+  shardSources: {},
+
+  // Bloom prefilter over all shards; bloomSources[prefix] is the shard source it was filled from
+  bloom: null,
+  bloomSources: {},
+  bloomCapacity: 1000000,
+  bloomFalsePositiveRate: 0.01,
+  // Rebuild at startup when more prefixes than this are not covered by the stored filter
+  bloomMaxStale: 16,
+  bloomSaveDelayMs: 5000,
+  _bloomSaveTimer: null,
+  _bloomBuilding: null,
 
   addCustomHashes(hashes) {
+    const previous = this.customHashes.map(c => String(c.hash || '').toLowerCase().trim());
     this.customHashes = hashes || [];
+    const current = new Set(this.customHashes.map(c => String(c.hash || '').toLowerCase().trim()));
+    const removed = previous.filter(h => h && !current.has(h));
+    if (removed.length) this.forgetSources(removed);
+  },
+
+  // 'MD5' / 'SHA1' / 'SHA256' for a lowercase hex digest, else null
+  hashType(hex) {
+    return typeof hex === 'string' && /^[a-f0-9]+$/.test(hex) ? this.HASH_TYPES[hex.length] || null : null;
+  },
+
+  // Index every valid digest line of a hash list (only the given algorithms, if any); returns how many were added
+  indexHashText(text, types = null) {
+    let count = 0;
+    for (let l of (text || '').split(/\r?\n/)) {
+      l = l.trim().toLowerCase();
+      const type = this.hashType(l);
+      if (type && (!types || types.includes(type))) { this.localHashes[type].add(l); count++; }
+    }
+    return count;
+  },
+
+  // Digests to look up, keyed by algorithm. Accepts a single hex string or { md5, sha1, sha256 }
+  // (the 'normalized' key is matched separately, see checkHash).
+  normalizeDigests(input) {
+    const values = typeof input === 'string' ? [input] : [input && input.md5, input && input.sha1, input && input.sha256];
+    const digests = {};
+    for (const v of values) {
+      if (typeof v !== 'string') continue;
+      const clean = v.toLowerCase().trim();
+      const type = this.hashType(clean);
+      if (type) digests[type] = clean;
+    }
+    return digests;
   },
 
   async setPreferences(preferences) {
@@ -27,7 +87,8 @@ const HashDB = {
     this.useTempico = prefs.useTempico !== false;
   },
 
-  // Load local SHA256 files bundled in the extension
+  // Load the MD5 / SHA-1 digests of the hash lists bundled in the extension (listed in SHA256/index.json).
+  // Their SHA-256 lines are in the packaged shards (tools/build-db.js), so they are not kept in memory twice.
   async loadLocalHashes() {
     try {
       const idxUrl = browser.runtime.getURL('SHA256/index.json');
@@ -40,15 +101,9 @@ const HashDB = {
           const url = browser.runtime.getURL(`SHA256/${fname}`);
           const resp = await fetch(url);
           if (!resp.ok) continue;
-          const text = await resp.text();
-          const lines = text.split(/\r?\n/);
-          for (let l of lines) {
-            if (!l) continue;
-            l = l.trim().toLowerCase();
-            if (/^[a-f0-9]{64}$/.test(l)) this.localHashes.add(l);
-          }
+          this.indexHashText(await resp.text(), ['MD5', 'SHA1']);
         } catch (e) {
-          console.warn('[HashDB] failed to load local SHA256 file', fname, e);
+          console.warn('[HashDB] failed to load local hash file', fname, e);
         }
       }
 
@@ -57,74 +112,159 @@ const HashDB = {
     }
   },
 
+  // Load packaged and learned normalized-content hashes
+  async loadNormalizedHashes() {
+    try {
+      const resp = await fetch(browser.runtime.getURL('SHA256/normalized.txt'));
+      if (resp.ok) {
+        for (let l of (await resp.text()).split(/\r?\n/)) {
+          l = l.trim().toLowerCase();
+          if (/^[a-f0-9]{64}$/.test(l)) this.normalizedHashes.add(l);
+        }
+      }
+    } catch (e) {
+      console.warn('[HashDB] failed to load packaged normalized hashes', e);
+    }
+    try {
+      const stored = await browser.storage.local.get([this.normalizedStorageKey, this.legacyNormalizedStorageKey]);
+      for (const [hash, source] of Object.entries(stored[this.normalizedStorageKey] || {})) {
+        if (!this.learnedNormalized.has(hash)) this.learnedNormalized.set(hash, source);
+      }
+      if (stored[this.legacyNormalizedStorageKey]) await browser.storage.local.remove(this.legacyNormalizedStorageKey);
+    } catch (e) {
+      console.warn('[HashDB] failed to load learned normalized hashes', e);
+    }
+  },
+
+  // Remember the normalized hash of a script confirmed by a listed digest (source), so reformatted
+  // copies match too for as long as that digest stays listed
+  addNormalizedHash(hex, source) {
+    if (typeof hex !== 'string' || !/^[a-f0-9]{64}$/.test(hex) || !this.hashType(source)) return;
+    if (this.normalizedHashes.has(hex) || this.learnedNormalized.has(hex)) return;
+    this.learnedNormalized.set(hex, source);
+    this.scheduleNormalizedSave();
+  },
+
+  scheduleNormalizedSave() {
+    if (this._normalizedSaveTimer) return;
+    this._normalizedSaveTimer = setTimeout(() => {
+      this._normalizedSaveTimer = null;
+      browser.storage.local.set({ [this.normalizedStorageKey]: Object.fromEntries(this.learnedNormalized) })
+        .catch(e => console.warn('[HashDB] failed to save learned normalized hashes', e));
+    }, 2000);
+  },
+
+  // Listed digest a match rests on: the matched digest, or the source of a learned normalized hash
+  matchSource(result) {
+    if (!result || !result.found || !result.matchedHash) return null;
+    if (result.type === 'SHA256-normalized') return this.learnedNormalized.get(result.matchedHash) || null;
+    return result.matchedHash;
+  },
+
+  // Digests that left the DB (delta removal, full shard replacement, custom hash edit): forget what
+  // was learned from them here and in SimilarityDB
+  forgetSources(digests) {
+    const gone = new Set(Array.from(digests || [], h => String(h).toLowerCase()));
+    if (!gone.size) return;
+    let changed = false;
+    for (const [hash, source] of this.learnedNormalized) {
+      if (gone.has(source)) {
+        this.learnedNormalized.delete(hash);
+        changed = true;
+      }
+    }
+    if (changed) this.scheduleNormalizedSave();
+    if (typeof SimilarityDB !== 'undefined') {
+      SimilarityDB.forgetSources(gone).catch(e => console.warn('[HashDB] failed to prune learned fingerprints', e));
+    }
+  },
+
   // Load cached remote text from storage.local (if DBUpdater saved it)
   async loadCachedRemote() {
     try {
       const stored = await browser.storage.local.get(['sha256_remote_text']);
       const text = stored && stored.sha256_remote_text;
       if (!text) return;
-      const lines = text.split(/\r?\n/);
-      let count = 0;
-      for (let l of lines) {
-        if (!l) continue;
-        l = l.trim().toLowerCase();
-        if (/^[a-f0-9]{64}$/.test(l)) { this.localHashes.add(l); count++; }
-      }
+      this.indexHashText(text);
     } catch (e) {
       console.warn('[HashDB] loadCachedRemote failed', e);
     }
   },
 
+  packagedSource() {
+    return `packaged:${browser.runtime.getManifest().version}`;
+  },
+
+  allPrefixes() {
+    return Array.from({ length: 256 }, (_, i) => i.toString(16).padStart(2, '0'));
+  },
+
+  // Source of the shard content in effect for a prefix: 'remote:<sha256>' (DBUpdater) or 'packaged:<version>'
+  async resolveShardSource(prefix) {
+    const metaKey = `sha256_shard_meta_${prefix}`;
+    const stored = await browser.storage.local.get([metaKey]);
+    const meta = stored && stored[metaKey];
+    const source = meta && meta.sha256 ? `remote:${meta.sha256}` : this.packagedSource();
+    this.shardSources[prefix] = source;
+    return source;
+  },
+
+  // Read a shard as binary: the IndexedDB copy if it was built from the same source,
+  // else parse the cached remote text (DBUpdater) or the packaged SHA256/shards/<prefix>.txt
+  async readShard(prefix, source) {
+    try {
+      const data = await BinaryHashStore.getShard(prefix, source);
+      if (data) return data;
+    } catch (e) {
+      console.warn('[HashDB] binary shard read failed for', prefix, e);
+    }
+
+    let text = '';
+    if (source.startsWith('remote:')) {
+      const key = `sha256_shard_${prefix}`;
+      const stored = await browser.storage.local.get([key]);
+      text = (stored && stored[key]) || '';
+    }
+    if (!text) {
+      try {
+        const resp = await fetch(browser.runtime.getURL(`SHA256/shards/${prefix}.txt`));
+        if (resp && resp.ok) {
+          text = await resp.text();
+        } else {
+          console.debug('[HashDB] packaged shard not found for prefix', prefix);
+        }
+      } catch (e) {
+        // ignore fetch errors; treat as empty shard
+      }
+    }
+
+    const data = BinaryHashStore.fromText(text, prefix);
+    if (text) {
+      BinaryHashStore.putShard(prefix, data, source)
+        .catch(e => console.warn('[HashDB] binary shard write failed for', prefix, e));
+    }
+    return data;
+  },
+
   // Load a per-prefix shard on-demand. Prefix should be hex string (e.g. 'ab')
   async loadShard(prefix) {
-    if (!prefix || typeof prefix !== 'string') return new Set();
+    if (!prefix || typeof prefix !== 'string') return new Uint8Array(0);
     prefix = prefix.toLowerCase();
 
+    // Already loaded
+    if (this.shardCache[prefix]) return this.shardCache[prefix];
+
     // If a load is already in progress, return the same promise
     if (this.shardPromises[prefix]) return this.shardPromises[prefix];
 
     const loadPromise = (async () => {
       try {
-        // Check storage.local for a cached shard saved by DBUpdater (keyed by sha256_shard_<prefix>)
-        const key = `sha256_shard_${prefix}`;
-        const stored = await browser.storage.local.get([key]);
-        const text = stored && stored[key];
-        const set = new Set();
-        if (text) {
-          const lines = text.split(/\r?\n/);
-          for (let l of lines) {
-            if (!l) continue;
-            l = l.trim().toLowerCase();
-            if (/^[a-f0-9]{64}$/.test(l)) set.add(l);
-          }
-          this.shardCache[prefix] = set;
-          return set;
-        }
-
-        // Try to load packaged shard: SHA256/shards/<prefix>.txt
-        try {
-          const url = browser.runtime.getURL(`SHA256/shards/${prefix}.txt`);
-          const resp = await fetch(url);
-          if (resp && resp.ok) {
-            const t = await resp.text();
-            const lines = t.split(/\r?\n/);
-            for (let l of lines) {
-              if (!l) continue;
-              l = l.trim().toLowerCase();
-              if (/^[a-f0-9]{64}$/.test(l)) set.add(l);
-            }
-            this.shardCache[prefix] = set;
-            return set;
-          } else {
-            console.debug('[HashDB] packaged shard not found for prefix', prefix);
-          }
-        } catch (e) {
-          // ignore fetch errors; treat as empty shard
-        }
-
-        // No shard available -> cache empty set to avoid repeated requests
-        this.shardCache[prefix] = set;
-        return set;
+        const source = await this.resolveShardSource(prefix);
+        const data = await this.readShard(prefix, source);
+        // Empty shards are cached too, to avoid repeated requests
+        this.shardCache[prefix] = data;
+        this.coverInBloom(prefix, data, source);
+        return data;
       } finally {
         // cleanup promise entry
         delete this.shardPromises[prefix];
@@ -135,57 +275,181 @@ const HashDB = {
     return loadPromise;
   },
 
-  // Check SHA256 hash only
-  async checkHash(sha256) {
-    // Normalize
-    if (!sha256 || typeof sha256 !== 'string') return { found: false, source: 'none' };
-    const clean = sha256.toLowerCase().trim();
+  // Apply a shard delta (DBUpdater). Loaded shards are merged in place; others pick the new
+  // content up from storage on first use. sha256 is the digest of the updated shard text.
+  applyShardDelta(prefix, added, removed, sha256) {
+    const previous = this.shardSources[prefix];
+    const source = sha256 ? `remote:${sha256}` : null;
+    if (source) this.shardSources[prefix] = source;
 
-    // 1) Check local packaged hashes first (legacy small files)
-    if (this.localHashes.has(clean)) {
-      return {
-        found: true,
-        type: 'SHA256',
-        source: 'local',
-        description: 'Matched local SHA256 DB',
-        severity: 10,
-        riskLevel: 'high'
-      };
+    if (removed && removed.length) this.forgetSources(removed);
+
+    // A Bloom filter cannot drop entries; removed hashes just become false positives
+    if (this.bloom && source && previous && this.bloomSources[prefix] === previous) {
+      for (const h of added || []) BloomFilter.add(this.bloom, BinaryHashStore.hexToBytes(h));
+      this.bloomSources[prefix] = source;
+      this.scheduleBloomSave();
+    }
+
+    const data = this.shardCache[prefix];
+    if (!data) return;
+    const merged = BinaryHashStore.merge(data, added, removed);
+    this.shardCache[prefix] = merged;
+    if (source) {
+      BinaryHashStore.putShard(prefix, merged, source)
+        .catch(e => console.warn('[HashDB] binary shard write failed for', prefix, e));
+    }
+  },
+
+  // Drop a cached shard so the next lookup reloads it (after a full shard download).
+  // The Bloom filter stops covering the prefix until that reload adds the new hashes.
+  invalidateShard(prefix, sha256) {
+    delete this.shardCache[prefix];
+    if (sha256) this.shardSources[prefix] = `remote:${sha256}`;
+    else delete this.shardSources[prefix];
+  },
+
+  // --- Bloom prefilter -------------------------------------------------------
+  // Consulted before loading a shard: a negative answer means the hash is in no shard.
+  // It is only trusted for prefixes whose current source matches the one it was built from,
+  // so it never causes a missed match.
+
+  bloomCovers(prefix) {
+    return !!(this.bloom && this.shardSources[prefix] && this.bloomSources[prefix] === this.shardSources[prefix]);
+  },
+
+  // Add a freshly loaded shard to the filter if the filter does not cover its source yet
+  coverInBloom(prefix, data, source) {
+    if (!this.bloom || this.bloomSources[prefix] === source) return;
+    for (let off = 0; off < data.length; off += BinaryHashStore.ENTRY_SIZE) {
+      BloomFilter.add(this.bloom, data, off);
+    }
+    this.bloomSources[prefix] = source;
+    this.scheduleBloomSave();
+  },
+
+  // Resolve every shard source, restore the persisted filter and rebuild it in the
+  // background when it is missing or mostly stale (e.g. after an extension update)
+  async initShardIndex() {
+    const prefixes = this.allPrefixes();
+    const stored = await browser.storage.local.get(prefixes.map(p => `sha256_shard_meta_${p}`));
+    const packaged = this.packagedSource();
+    for (const p of prefixes) {
+      const meta = stored[`sha256_shard_meta_${p}`];
+      if (!this.shardSources[p]) this.shardSources[p] = meta && meta.sha256 ? `remote:${meta.sha256}` : packaged;
     }
 
-    // 2) Try per-prefix shard lookup (on-demand load)
     try {
-      const prefix = clean.slice(0, 2);
-      const shard = await this.loadShard(prefix);
-      if (shard && shard.has(clean)) {
-        return {
-          found: true,
-          type: 'SHA256',
-          source: `shard:${prefix}`,
-          description: `Matched packaged shard ${prefix}`,
-          severity: 10,
-          riskLevel: 'high'
-        };
+      const rec = await BinaryHashStore.getFilter('sha256');
+      const filter = BloomFilter.restore(rec);
+      if (filter) {
+        this.bloom = filter;
+        this.bloomSources = rec.sources || {};
       }
     } catch (e) {
-      // If shard loading fails, continue to next checks
-      console.warn('[HashDB] shard load failed', e);
+      console.warn('[HashDB] Bloom filter restore failed', e);
+    }
+
+    const stale = prefixes.filter(p => !this.bloomCovers(p)).length;
+    if (!this.bloom || stale > this.bloomMaxStale) {
+      this.buildBloom().catch(e => console.warn('[HashDB] Bloom filter build failed', e));
+    }
+  },
+
+  // Build the filter over all shards, one shard at a time (also converts them to binary in IndexedDB)
+  async buildBloom() {
+    if (this._bloomBuilding) return this._bloomBuilding;
+    this._bloomBuilding = (async () => {
+      const started = Date.now();
+      const capacity = Math.max(this.bloomCapacity, Math.ceil((this.bloom ? this.bloom.count : 0) * 1.25));
+      const filter = BloomFilter.create(capacity, this.bloomFalsePositiveRate);
+      const sources = {};
+      for (const prefix of this.allPrefixes()) {
+        const source = this.shardSources[prefix] || await this.resolveShardSource(prefix);
+        const data = this.shardCache[prefix] || await this.readShard(prefix, source);
+        for (let off = 0; off < data.length; off += BinaryHashStore.ENTRY_SIZE) {
+          BloomFilter.add(filter, data, off);
+        }
+        sources[prefix] = source;
+      }
+      this.bloom = filter;
+      this.bloomSources = sources;
+      await this.saveBloom();
+      console.log('[HashDB] Bloom filter built:', filter.count, 'hashes in', Date.now() - started, 'ms');
+    })();
+    try {
+      await this._bloomBuilding;
+    } finally {
+      this._bloomBuilding = null;
+    }
+  },
+
+  scheduleBloomSave() {
+    if (this._bloomSaveTimer) return;
+    this._bloomSaveTimer = setTimeout(() => {
+      this._bloomSaveTimer = null;
+      this.saveBloom().catch(e => console.warn('[HashDB] Bloom filter save failed', e));
+    }, this.bloomSaveDelayMs);
+  },
+
+  async saveBloom() {
+    if (!this.bloom) return;
+    await BinaryHashStore.putFilter('sha256', { ...BloomFilter.serialize(this.bloom), sources: { ...this.bloomSources } });
+  },
+
+  matchResult(type, source, description) {
+    return { found: true, type, source, description, severity: 10, riskLevel: 'high' };
+  },
+
+  // Check a digest (hex string) or all digests of a script ({ md5, sha1, sha256, normalized })
+  async checkHash(hashes) {
+    const digests = this.normalizeDigests(hashes);
+    const normalized = hashes && typeof hashes === 'object' && typeof hashes.normalized === 'string'
+      ? hashes.normalized.toLowerCase() : null;
+    if (!Object.keys(digests).length && !normalized) return { found: false, source: 'none' };
+
+    // 1) Packaged hash lists and the cached remote list
+    for (const [type, hex] of Object.entries(digests)) {
+      if (this.localHashes[type].has(hex)) {
+        return { ...this.matchResult(type, 'local', `Matched local ${type} DB`), matchedHash: hex };
+      }
     }
 
-    // Check custom hashes next
+    // 2) Per-prefix SHA256 shard lookup (on-demand load), skipped when the Bloom filter rules the hash out
+    const sha256 = digests.SHA256;
+    if (sha256) {
+      try {
+        const prefix = sha256.slice(0, 2);
+        const key = BinaryHashStore.hexToBytes(sha256);
+        const maybe = !this.bloomCovers(prefix) || BloomFilter.mightContain(this.bloom, key);
+        const shard = maybe ? await this.loadShard(prefix) : null;
+        if (shard && BinaryHashStore.contains(shard, key)) {
+          return { ...this.matchResult('SHA256', `shard:${prefix}`, `Matched packaged shard ${prefix}`), matchedHash: sha256 };
+        }
+      } catch (e) {
+        // If shard loading fails, continue to next checks
+        console.warn('[HashDB] shard load failed', e);
+      }
+    }
+
+    // 3) Custom hashes (options page / submitHash), matched against the digest of the same algorithm
     for (const custom of this.customHashes) {
-      if (custom.hash === clean) {
-        return { 
-          found: true, 
-          type: 'SHA256',
-          source: 'custom',
-          description: custom.description,
-          severity: 10,
-          riskLevel: 'high'
-        };
+      const hex = String(custom.hash || '').toLowerCase().trim();
+      const type = this.hashType(hex);
+      if (type && digests[type] === hex) {
+        return { ...this.matchResult(type, 'custom', custom.description), matchedHash: hex };
       }
     }
 
+    // 4) Normalized-content hash (same code, different whitespace / comments / local names)
+    if (normalized && (this.normalizedHashes.has(normalized) || this.learnedNormalized.has(normalized))) {
+      const source = this.normalizedHashes.has(normalized) ? 'normalized' : 'normalized:learned';
+      return {
+        ...this.matchResult('SHA256-normalized', source, 'Matched normalized SHA256 (formatting-insensitive)'),
+        matchedHash: normalized
+      };
+    }
+
     // No remote API calls (Tempico) — rely on local and cached remote DBs only
     return { 
       found: false, 
@@ -0,0 +1,16 @@
+// HTML helpers for the extension pages (popup, options, history, blocking page). Script URLs, feed
+// metadata and stored settings are page- or feed-controlled: escape them before they go into innerHTML.
+const HtmlUtils = {
+  escape(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HtmlUtils;
+}
@@ -1,16 +1,53 @@
 // IP DB loader and lookup (loads CSV files packaged in the extension)
+// Feed rows may hold a single IP, a CIDR range (IPv4 / IPv6) or an ASN ('AS14061') in the IP column.
+// Daily files ('2025-11-14.csv') are merged into per-IP first / last-seen dates; IPs not seen within
+// expiryDays of the newest feed date are expired (kept for stats, no longer matched).
 const IpDB = {
-  ipMap: new Map(), // ip -> metadata object
+  ipMap: new Map(), // ip -> metadata object (active, i.e. not expired)
+  sightings: new Map(), // ip -> { meta (latest row), firstSeen, lastSeen, rows }
+  dailyRows: new Map(), // 'YYYY-MM-DD' -> number of feed rows for that day
+  expiryDays: 30, // 0 = never expire
+  expiredCount: 0,
+  window: { from: null, to: null },
+  // Binary prefix tries per IP version for CIDR entries (longest prefix wins)
+  cidrTrie: { 4: {}, 6: {} },
+  cidrCount: 0,
+  asnBlocklist: new Map(), // asn number -> metadata object
+  // Optional local ASN table (network -> { asn, org }) used to tag IPs and match ASN entries. The extension
+  // ships none: until a Network,ASN,Organization CSV is placed at asnTablePath, IPs are not tagged and ASN
+  // feed entries (AS64500) never match.
+  asnTrie: { 4: {}, 6: {} },
+  asnTableSize: 0,
+  asnTablePath: 'IP/asn.csv',
   loaded: false,
 
+  // Severity grading from the feed's Score(Inbound/Outbound) and Scan Time columns
+  severityConfig: {
+    levels: { critical: 1, dangerous: 0.85, high: 0.85, moderate: 0.5, medium: 0.5, low: 0.25, safe: 0 },
+    // Rows without a score column (custom lists, ranges, ASNs) count as high
+    unscoredBase: 0.85,
+    // Age is measured from the newest feed date (like expiry), not the clock. Sightings within freshDays
+    // keep their full weight, then lose half of it every halfLifeDays, but never drop below minAgeFactor
+    freshDays: 7,
+    halfLifeDays: 90,
+    minAgeFactor: 0.5,
+    thresholds: { critical: 0.8, high: 0.6, medium: 0.35 },
+    families: {
+      mythic: 'Mythic', havoc: 'Havoc', metasploit: 'Metasploit', meshagent: 'MeshAgent',
+      covenant: 'Covenant', darkcomet: 'DarkComet', posh: 'PoshC2', cobaltstrike: 'Cobalt Strike', sliver: 'Sliver'
+    }
+  },
+
   // Load index.json then load each CSV listed
   async loadAll() {
+    await this.loadAsnTable();
     try {
       // Prefer cached remote text if present
       try {
         const stored = await browser.storage.local.get(['ip_remote_text']);
         if (stored && stored.ip_remote_text) {
           this.parseCsv(stored.ip_remote_text);
+          this.applyExpiry();
           this.loaded = true;
           console.log('[IpDB] loaded from cached remote text', this.ipMap.size);
           return;
@@ -34,14 +71,15 @@ const IpDB = {
           const resp = await fetch(url);
           if (!resp.ok) continue;
           const text = await resp.text();
-          this.parseCsv(text);
+          this.parseCsv(text, this.fileDate(fname));
         } catch (e) {
           console.warn('[IpDB] failed to load', fname, e);
         }
       }
 
+      this.applyExpiry();
       this.loaded = true;
-      console.log('[IpDB] loaded', this.ipMap.size, 'IPs');
+      console.log('[IpDB] loaded', this.ipMap.size, 'active IPs (', this.expiredCount, 'expired ),', this.cidrCount, 'ranges,', this.asnBlocklist.size, 'ASNs');
     } catch (error) {
       console.error('[IpDB] loadAll error:', error);
       this.loaded = true;
@@ -52,7 +90,13 @@ const IpDB = {
   loadFromText(text) {
     try {
       this.ipMap.clear();
+      this.sightings.clear();
+      this.dailyRows.clear();
+      this.cidrTrie = { 4: {}, 6: {} };
+      this.cidrCount = 0;
+      this.asnBlocklist.clear();
       this.parseCsv(text);
+      this.applyExpiry();
       this.loaded = true;
       console.log('[IpDB] loaded from provided text', this.ipMap.size);
     } catch (e) {
@@ -60,8 +104,9 @@ const IpDB = {
     }
   },
 
-  // Parse a CSV text; expects header with IP in first column or column named "IP"
-  parseCsv(text) {
+  // Parse a CSV text; expects header with IP in first column or column named "IP".
+  // feedDate ('YYYY-MM-DD', from the file name) dates every row; otherwise each row's Scan Time is used.
+  parseCsv(text, feedDate = null) {
     const lines = text.split(/\r?\n/).filter(Boolean);
     if (lines.length === 0) return;
     // Determine header columns
@@ -77,7 +122,11 @@ const IpDB = {
       if (cols.length === 0) continue;
       const ip = cols[0];
       if (!ip) continue;
-      if (!this.isValidIpString(ip)) continue;
+      const asn = this.parseAsn(ip);
+      const range = !asn && ip.includes('/') ? IpUtils.parseCidr(ip) : null;
+      // Exact entries are keyed by canonical form (compressed IPv6, IPv4-mapped -> IPv4)
+      const key = asn || range ? null : IpUtils.normalize(ip);
+      if (!asn && !range && !key) continue;
       const meta = {};
       if (headers.length) {
         headers.forEach((h, i) => { meta[h] = cols[i] || ''; });
@@ -86,44 +135,287 @@ const IpDB = {
         meta.ip = ip;
         meta.source = cols[1] || '';
       }
+      const date = feedDate || this.rowDate(meta);
+      if (date) this.dailyRows.set(date, (this.dailyRows.get(date) || 0) + 1);
+      if (asn) this.asnBlocklist.set(asn, meta);
+      else if (range) this.addCidr(range, meta);
+      else this.recordSighting(key, meta, date);
+    }
+  },
+
+  // '2025-11-14.csv' -> '2025-11-14', else null
+  fileDate(fname) {
+    const m = /(\d{4}-\d{2}-\d{2})/.exec(String(fname));
+    return m ? m[1] : null;
+  },
+
+  // Date part of a row's Scan Time, or null
+  rowDate(meta) {
+    const t = this.parseScanTime(meta['Scan Time'] || meta.scanTime);
+    return t === null ? null : new Date(t).toISOString().slice(0, 10);
+  },
+
+  // Merge one row into the per-IP history; the most recent row's metadata wins
+  recordSighting(ip, meta, date) {
+    const s = this.sightings.get(ip);
+    if (!s) {
+      this.sightings.set(ip, { meta, firstSeen: date, lastSeen: date, rows: 1 });
       this.ipMap.set(ip, meta);
+      return;
+    }
+    s.rows++;
+    if (date && (!s.firstSeen || date < s.firstSeen)) s.firstSeen = date;
+    if (!date || !s.lastSeen || date >= s.lastSeen) {
+      s.meta = meta;
+      if (date) s.lastSeen = date;
+    }
+    this.ipMap.set(ip, s.meta);
+  },
+
+  // Rebuild the active set: IPs last seen more than expiryDays before the newest feed date are dropped.
+  // The window is anchored on the feed, not the clock, so a packaged snapshot does not expire wholesale.
+  applyExpiry() {
+    let newest = null;
+    for (const s of this.sightings.values()) if (s.lastSeen && (!newest || s.lastSeen > newest)) newest = s.lastSeen;
+    const from = newest && this.expiryDays > 0
+      ? new Date(Date.parse(newest) - (this.expiryDays - 1) * 86400000).toISOString().slice(0, 10)
+      : null;
+
+    this.ipMap.clear();
+    this.expiredCount = 0;
+    for (const [ip, s] of this.sightings) {
+      if (from && s.lastSeen && s.lastSeen < from) {
+        this.expiredCount++;
+        continue;
+      }
+      this.ipMap.set(ip, { ...s.meta, firstSeen: s.firstSeen, lastSeen: s.lastSeen, sightings: s.rows });
+    }
+    this.window = { from, to: newest };
+  },
+
+  setExpiryDays(days) {
+    const n = Number(days);
+    if (!Number.isFinite(n) || n < 0) {
+      console.warn('[IpDB] ignoring invalid expiry window', days);
+      return;
+    }
+    this.expiryDays = Math.floor(n);
+    this.applyExpiry();
+  },
+
+  async ensureLoaded() {
+    if (this.loaded) return;
+    if (typeof this._loading === 'undefined') {
+      console.debug('[IpDB] starting background load');
+      this._loading = this.loadAll();
+    }
+    try { await this._loading; } catch (e) { console.warn('[IpDB] background load failed during check', e); }
+  },
+
+  // Counts for the options page: totals, rows / new IPs per day, active / total IPs per C2 family
+  getStats() {
+    const perDay = new Map();
+    for (const [date, rows] of this.dailyRows) perDay.set(date, { date, rows, newIps: 0 });
+    const perFamily = new Map();
+    for (const [ip, s] of this.sightings) {
+      if (s.firstSeen && perDay.has(s.firstSeen)) perDay.get(s.firstSeen).newIps++;
+      const family = this.c2Family(s.meta['Target C2']) || 'unknown';
+      if (!perFamily.has(family)) perFamily.set(family, { family, active: 0, total: 0 });
+      const f = perFamily.get(family);
+      f.total++;
+      if (this.ipMap.has(ip)) f.active++;
+    }
+    return {
+      total: this.sightings.size,
+      active: this.ipMap.size,
+      expired: this.expiredCount,
+      ranges: this.cidrCount,
+      asns: this.asnBlocklist.size,
+      expiryDays: this.expiryDays,
+      window: this.window,
+      perDay: Array.from(perDay.values()).sort((a, b) => a.date.localeCompare(b.date)),
+      perFamily: Array.from(perFamily.values()).sort((a, b) => b.total - a.total)
+    };
+  },
+
+  // 'AS14061' / 'as14061' -> 14061, else null
+  parseAsn(s) {
+    const m = /^AS(\d{1,10})$/i.exec(String(s || '').trim());
+    return m ? Number(m[1]) : null;
+  },
+
+  bitAt(bytes, i) {
+    return (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+  },
+
+  trieInsert(root, range, value) {
+    let node = root;
+    for (let i = 0; i < range.prefix; i++) {
+      const bit = this.bitAt(range.bytes, i);
+      node = node[bit] || (node[bit] = {});
+    }
+    const added = !node.value;
+    node.value = value;
+    return added;
+  },
+
+  // Value of the longest prefix containing the address, or null
+  trieLookup(root, bytes) {
+    let node = root;
+    let best = node.value || null;
+    for (let i = 0; i < bytes.length * 8 && node; i++) {
+      node = node[this.bitAt(bytes, i)];
+      if (node && node.value) best = node.value;
     }
+    return best;
+  },
+
+  addCidr(range, meta) {
+    if (this.trieInsert(this.cidrTrie[range.version], range, { range: IpUtils.formatCidr(range), meta })) this.cidrCount++;
+  },
+
+  // Load the optional ASN table: CSV with a header naming Network, ASN and Organization columns (absent
+  // from the package by default)
+  async loadAsnTable() {
+    try {
+      const resp = await fetch(browser.runtime.getURL(this.asnTablePath));
+      if (!resp.ok) return;
+      this.asnTrie = { 4: {}, 6: {} };
+      this.asnTableSize = 0;
+      this.parseAsnTable(await resp.text());
+      if (this.asnTableSize) console.log('[IpDB] loaded ASN table', this.asnTableSize, 'networks');
+    } catch (e) {
+      console.debug('[IpDB] no ASN table', e);
+    }
+  },
+
+  parseAsnTable(text) {
+    const lines = text.split(/\r?\n/).filter(Boolean);
+    let cols = { network: 0, asn: 1, org: 2 };
+    if (lines.length && /network/i.test(lines[0])) {
+      const headers = lines.shift().split(',').map(h => h.trim().toLowerCase());
+      cols = {
+        network: headers.findIndex(h => h === 'network' || h === 'cidr'),
+        asn: headers.findIndex(h => h === 'asn'),
+        org: headers.findIndex(h => h === 'organization' || h === 'org' || h === 'name')
+      };
+    }
+    for (const line of lines) {
+      const parts = line.split(',').map(c => c.trim());
+      const range = IpUtils.parseCidr(parts[cols.network] || '');
+      const asn = this.parseAsn(parts[cols.asn]) || (/^\d+$/.test(parts[cols.asn] || '') ? Number(parts[cols.asn]) : null);
+      if (!range || !asn) continue;
+      const added = this.trieInsert(this.asnTrie[range.version], range, {
+        asn,
+        org: cols.org >= 0 ? parts[cols.org] || '' : '',
+        network: IpUtils.formatCidr(range)
+      });
+      if (added) this.asnTableSize++;
+    }
+  },
+
+  // ASN tag for an address from the local table: { asn, org, network } or null
+  lookupAsn(ip) {
+    const addr = IpUtils.parse(ip);
+    return addr ? this.trieLookup(this.asnTrie[addr.version], addr.bytes) : null;
   },
 
   isValidIpString(s) {
-    if (!s || typeof s !== 'string') return false;
-    const v4 = /^\d{1,3}(?:\.\d{1,3}){3}$/;
-    const v6 = /:/;
-    return v4.test(s) || v6.test(s);
+    return !!IpUtils.parse(s);
   },
 
-  // Check if an IP string is blacklisted (exact match only)
+  // Check if an IP string is blacklisted: exact entry, then CIDR range, then blocklisted ASN.
+  // Range / ASN matches carry the matched range in meta.matchedRange; every match carries its severity.
   async isIpBlacklisted(ip) {
+    ip = IpUtils.normalize(ip) || ip;
     console.debug('[IpDB] isIpBlacklisted called for', ip, 'loaded=', this.loaded, 'mapSize=', this.ipMap.size);
-    // Ensure loaded (but don't block long)
-    if (!this.loaded) {
-      // fire-and-forget load (but await once if not started)
-      if (typeof this._loading === 'undefined') {
-        console.debug('[IpDB] starting background load');
-        this._loading = this.loadAll();
-      }
-      try { await this._loading; } catch (e) { console.warn('[IpDB] background load failed during check', e); }
-    }
+    await this.ensureLoaded();
+
+    const asnTag = this.lookupAsn(ip);
+    const tag = asnTag ? { asn: asnTag.asn, asOrg: asnTag.org } : {};
 
     const found = this.ipMap.has(ip);
     if (found) {
       console.info('[IpDB] IP matched blacklist:', ip, 'meta=', this.ipMap.get(ip));
-      return { found: true, ip, meta: this.ipMap.get(ip) };
+      const meta = { ...this.ipMap.get(ip), ...tag };
+      return { found: true, ip, meta, severity: this.severity(meta) };
+    }
+
+    const addr = IpUtils.parse(ip);
+    const cidr = addr && this.trieLookup(this.cidrTrie[addr.version], addr.bytes);
+    if (cidr) {
+      console.info('[IpDB] IP matched blacklisted range:', ip, cidr.range);
+      const meta = { ...cidr.meta, ...tag, matchedRange: cidr.range };
+      return { found: true, ip, meta, severity: this.severity(meta) };
+    }
+
+    if (asnTag && this.asnBlocklist.has(asnTag.asn)) {
+      console.info('[IpDB] IP matched blacklisted ASN:', ip, 'AS' + asnTag.asn);
+      const meta = { ...this.asnBlocklist.get(asnTag.asn), ...tag, matchedRange: asnTag.network, matchedAsn: 'AS' + asnTag.asn };
+      return { found: true, ip, meta, severity: this.severity(meta) };
     }
 
     console.debug('[IpDB] IP not found in blacklist:', ip);
     return { found: false };
   },
 
+  // 'c2_mythic' -> 'Mythic'; a bare 'C2' (family not identified) -> null
+  c2Family(value) {
+    const key = String(value || '').trim().toLowerCase().replace(/^c2_/, '');
+    if (!key || key === 'c2') return null;
+    return this.severityConfig.families[key] || key;
+  },
+
+  // 'Scan Time' ('2025-11-13 18:41:24', UTC) -> epoch ms, or null
+  parseScanTime(value) {
+    if (!value) return null;
+    const t = Date.parse(String(value).trim().replace(' ', 'T') + (/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? '' : 'Z'));
+    return Number.isFinite(t) ? t : null;
+  },
+
+  // End of the newest feed day (epoch ms), the clock when no dated feed file is loaded
+  referenceTime() {
+    const t = this.window.to ? Date.parse(this.window.to + 'T00:00:00Z') + 86400000 : NaN;
+    return Number.isFinite(t) ? t : Date.now();
+  },
+
+  // Grade a feed row: { level: 'critical' | 'high' | 'medium' | 'low' | 'none', score (0..1), inbound,
+  // outbound, family, ports, country, scanTime, ageDays (before the newest feed date) }
+  severity(meta, now = this.referenceTime()) {
+    const cfg = this.severityConfig;
+    meta = meta || {};
+    const scoreField = meta['Score(Inbound/Outbound)'] || meta.Score || meta.score || '';
+    const [inbound = '', outbound = ''] = String(scoreField).split('/').map(v => v.trim());
+    const known = [inbound, outbound].map(v => cfg.levels[v.toLowerCase()]).filter(v => v !== undefined);
+    const base = known.length ? known.reduce((a, b) => a + b, 0) / known.length : cfg.unscoredBase;
+
+    const scanTime = this.parseScanTime(meta['Scan Time'] || meta.scanTime);
+    const ageDays = scanTime === null ? null : Math.max(0, (now - scanTime) / 86400000);
+    const decayDays = ageDays === null ? 0 : Math.max(0, ageDays - cfg.freshDays);
+    const ageFactor = Math.max(cfg.minAgeFactor, Math.pow(0.5, decayDays / cfg.halfLifeDays));
+
+    const score = Math.round(base * ageFactor * 100) / 100;
+    const t = cfg.thresholds;
+    const level = score >= t.critical ? 'critical' : score >= t.high ? 'high' : score >= t.medium ? 'medium' : score > 0 ? 'low' : 'none';
+    const ports = String(meta.OpenPorts || meta.ports || '').split(/[;| ]+/).filter(Boolean);
+
+    return {
+      level,
+      score,
+      inbound: inbound || null,
+      outbound: outbound || null,
+      family: this.c2Family(meta['Target C2']),
+      ports,
+      country: meta.Country ? meta.Country.toUpperCase() : null,
+      scanTime: scanTime === null ? null : new Date(scanTime).toISOString(),
+      ageDays: ageDays === null ? null : Math.floor(ageDays)
+    };
+  },
+
   getAll() {
     return Array.from(this.ipMap.keys());
   }
 };
 
 // Kick off load in background
-try { IpDB.loadAll().catch(e => console.warn('[IpDB] background load failed', e)); } catch (e) {}
+try { IpDB._loading = IpDB.loadAll().catch(e => console.warn('[IpDB] background load failed', e)); } catch (e) {}
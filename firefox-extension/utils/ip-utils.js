@@ -0,0 +1,215 @@
+// IP utilities - parse / format / canonicalize IPv4 and IPv6 addresses and CIDR ranges as byte
+// arrays, and extract IP candidates from script text
+const IpUtils = {
+  // Strict dotted-decimal IPv4 -> Uint8Array(4), or null
+  parseIPv4(s) {
+    if (typeof s !== 'string') return null;
+    const parts = s.split('.');
+    if (parts.length !== 4) return null;
+    const bytes = new Uint8Array(4);
+    for (let i = 0; i < 4; i++) {
+      if (!/^\d{1,3}$/.test(parts[i])) return null;
+      const n = Number(parts[i]);
+      if (n > 255) return null;
+      bytes[i] = n;
+    }
+    return bytes;
+  },
+
+  // IPv6 (full, '::' compressed, optional dotted IPv4 tail) -> Uint8Array(16), or null
+  parseIPv6(s) {
+    if (typeof s !== 'string' || !s.includes(':')) return null;
+    s = s.toLowerCase();
+    // Zone index (fe80::1%eth0) does not identify a different address
+    const zone = s.indexOf('%');
+    if (zone !== -1) s = s.slice(0, zone);
+
+    let tail = null;
+    const lastColon = s.lastIndexOf(':');
+    if (s.slice(lastColon + 1).includes('.')) {
+      tail = this.parseIPv4(s.slice(lastColon + 1));
+      if (!tail) return null;
+      s = s.slice(0, lastColon + 1) + '0:0';
+    }
+
+    const halves = s.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - rest.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+    const bytes = new Uint8Array(16);
+    for (let i = 0; i < 8; i++) {
+      if (!/^[0-9a-f]{1,4}$/.test(groups[i])) return null;
+      const v = parseInt(groups[i], 16);
+      bytes[i * 2] = v >> 8;
+      bytes[i * 2 + 1] = v & 0xff;
+    }
+    if (tail) bytes.set(tail, 12);
+    return bytes;
+  },
+
+  // One IPv4 part as URL parsers read it: 0x.. hex, 0.. octal, else decimal; null if not numeric
+  parseIPv4Number(part) {
+    if (/^0x[0-9a-f]*$/i.test(part)) return part.length === 2 ? 0 : parseInt(part.slice(2), 16);
+    if (/^0[0-7]+$/.test(part)) return parseInt(part.slice(1), 8);
+    if (/^(0|[1-9]\d*)$/.test(part)) return Number(part);
+    return null;
+  },
+
+  // IPv4 host forms browsers accept in URLs: 3232235777, 0xC0A80101, 0300.0250.1.1, 192.168.257
+  parseIPv4Loose(s) {
+    if (typeof s !== 'string' || !s) return null;
+    const parts = s.split('.');
+    if (parts.length > 1 && parts[parts.length - 1] === '') parts.pop();
+    if (parts.length > 4 || parts.some(p => p === '')) return null;
+    const nums = parts.map(p => this.parseIPv4Number(p));
+    if (nums.some(n => n === null || !Number.isFinite(n))) return null;
+    const last = nums.pop();
+    if (nums.some(n => n > 255) || last >= Math.pow(256, 4 - nums.length)) return null;
+
+    let value = last;
+    nums.forEach((n, i) => { value += n * Math.pow(256, 3 - i); });
+    return new Uint8Array([value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]);
+  },
+
+  // A URL host: '[2001:db8::1]', '[::1]:8080', '10.0.0.1:80', '0x7f000001' -> { version, bytes } or null
+  parseHost(host) {
+    if (typeof host !== 'string') return null;
+    host = host.trim().toLowerCase();
+    const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(host);
+    if (bracketed) {
+      const v6 = this.parseIPv6(bracketed[1]);
+      return v6 ? { version: 6, bytes: v6 } : null;
+    }
+    if (/^[^:]+:\d+$/.test(host)) host = host.slice(0, host.lastIndexOf(':'));
+    const v4 = this.parseIPv4Loose(host);
+    if (v4) return { version: 4, bytes: v4 };
+    return this.parse(host);
+  },
+
+  isIPv4Mapped(addr) {
+    if (!addr || addr.version !== 6) return false;
+    for (let i = 0; i < 10; i++) if (addr.bytes[i] !== 0) return false;
+    return addr.bytes[10] === 0xff && addr.bytes[11] === 0xff;
+  },
+
+  // Lookup key for an address: IPv4-mapped IPv6 becomes plain IPv4, everything else format()
+  canonical(addr) {
+    if (!addr) return null;
+    if (this.isIPv4Mapped(addr)) return Array.from(addr.bytes.slice(12)).join('.');
+    return this.format(addr);
+  },
+
+  // Canonical form of a textual address (feed rows, lookups), or null if it is not an IP
+  normalize(s) {
+    return this.canonical(this.parse(s));
+  },
+
+  // { version: 4 | 6, bytes } or null (strict textual forms; brackets allowed around IPv6)
+  parse(s) {
+    if (typeof s !== 'string') return null;
+    s = s.trim();
+    if (s.startsWith('[') && s.endsWith(']')) s = s.slice(1, -1);
+    const v4 = this.parseIPv4(s);
+    if (v4) return { version: 4, bytes: v4 };
+    const v6 = this.parseIPv6(s);
+    if (v6) return { version: 6, bytes: v6 };
+    return null;
+  },
+
+  // Canonical text: dotted IPv4, RFC 5952 IPv6 (lowercase, longest zero run compressed)
+  format(addr) {
+    if (!addr) return null;
+    const b = addr.bytes;
+    if (addr.version === 4) return Array.from(b).join('.');
+
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) groups.push((b[i] << 8) | b[i + 1]);
+    let bestStart = -1;
+    let bestLen = 0;
+    for (let i = 0; i < 8;) {
+      if (groups[i] !== 0) { i++; continue; }
+      let j = i;
+      while (j < 8 && groups[j] === 0) j++;
+      if (j - i > bestLen) { bestStart = i; bestLen = j - i; }
+      i = j;
+    }
+    if (this.isIPv4Mapped(addr)) return '::ffff:' + Array.from(b.slice(12)).join('.');
+    const hex = groups.map(g => g.toString(16));
+    if (bestLen < 2) return hex.join(':');
+    return hex.slice(0, bestStart).join(':') + '::' + hex.slice(bestStart + bestLen).join(':');
+  },
+
+  // '203.0.113.0/24' or '2001:db8::/32' -> { version, bytes (host bits cleared), prefix }, or null.
+  // A bare address is a /32 or /128.
+  parseCidr(s) {
+    if (typeof s !== 'string') return null;
+    const [ip, len, extra] = s.trim().split('/');
+    if (extra !== undefined) return null;
+    const addr = this.parse(ip);
+    if (!addr) return null;
+    const max = addr.version === 4 ? 32 : 128;
+    const prefix = len === undefined ? max : /^\d{1,3}$/.test(len) ? Number(len) : NaN;
+    if (!(prefix >= 0 && prefix <= max)) return null;
+
+    const bytes = addr.bytes.slice();
+    for (let i = 0; i < bytes.length; i++) {
+      const keep = Math.max(0, Math.min(8, prefix - i * 8));
+      bytes[i] &= keep === 0 ? 0 : (0xff << (8 - keep)) & 0xff;
+    }
+    return { version: addr.version, bytes, prefix };
+  },
+
+  formatCidr(range) {
+    return `${this.format(range)}/${range.prefix}`;
+  },
+
+  // Canonical IP candidates found in script text:
+  //  - dotted IPv4 with valid octets, not part of a longer dotted run or a version string
+  //  - IPv6 literals with at least three groups (or bracketed)
+  //  - URL hosts, including bracketed IPv6 and integer / hex / octal IPv4 forms
+  extractIps(text) {
+    if (typeof text !== 'string' || !text) return [];
+    const found = new Set();
+    const add = (addr) => { const c = this.canonical(addr); if (c) found.add(c); };
+    let m;
+
+    const v4Re = /\b\d{1,3}(?:\.\d{1,3}){3}\b/g;
+    while ((m = v4Re.exec(text)) !== null) {
+      const before = text.slice(Math.max(0, m.index - 12), m.index);
+      const after = text.slice(m.index + m[0].length, m.index + m[0].length + 2);
+      if (/[.@]$/.test(before) || /^\.\d/.test(after)) continue;
+      if (/\bv(?:er(?:sion)?)?\s*[:=]?\s*["']?$/i.test(before)) continue;
+      const bytes = this.parseIPv4(m[0]);
+      if (bytes) add({ version: 4, bytes });
+    }
+
+    const v6Re = /\[?(?:[0-9a-f]{0,4}:){2,7}(?:[0-9a-f]{1,4}|\d{1,3}(?:\.\d{1,3}){3})?\]?/gi;
+    while ((m = v6Re.exec(text)) !== null) {
+      const prev = text[m.index - 1];
+      const next = text[m.index + m[0].length];
+      if ((prev && /[\w:.]/.test(prev)) || (next && /[\w:]/.test(next))) continue;
+      const bracketed = m[0].startsWith('[') && m[0].endsWith(']');
+      const literal = m[0].replace(/^\[|\]$/g, '');
+      if (!bracketed && literal.split(':').filter(Boolean).length < 3) continue;
+      const bytes = this.parseIPv6(literal);
+      if (bytes) add({ version: 6, bytes });
+    }
+
+    const urlRe = /\b(?:https?|wss?|ftp):\/\/(?:[^\s\/@'"`]*@)?(\[[0-9a-f:.]+\]|[^\s\/?#'"`:\\]+)/gi;
+    while ((m = urlRe.exec(text)) !== null) {
+      const addr = this.parseHost(m[1]);
+      if (addr) add(addr);
+    }
+
+    return Array.from(found);
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IpUtils;
+}
@@ -0,0 +1,146 @@
+// ML dataset - one persisted record per analyzed script (url + sha256), used by the "Export ML" option.
+// Records live in IndexedDB like ScanHistory, so recording a script writes that one record.
+const MLDataset = {
+  config: {
+    dbName: 'malware-checker-ml',
+    dbVersion: 1,
+    storeName: 'records',
+    // Oldest records beyond this are pruned
+    maxRecords: 5000,
+    // Prune after this many writes
+    pruneEvery: 200,
+    // Earlier versions kept the whole dataset as one storage.local array; moved into IndexedDB once
+    legacyStorageKey: 'mlDataset'
+  },
+
+  _dbPromise: null,
+  _writesSincePrune: 0,
+
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+    this._dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(this.config.dbName, this.config.dbVersion);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(this.config.storeName)) {
+          const store = db.createObjectStore(this.config.storeName, { keyPath: ['url', 'sha256'] });
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('url', 'url');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).then(async db => {
+      await this.migrate(db);
+      return db;
+    });
+    // Allow a retry if opening failed
+    this._dbPromise.catch(() => { this._dbPromise = null; });
+    return this._dbPromise;
+  },
+
+  // Move records saved in storage.local by earlier versions into the store, then drop the old key
+  async migrate(db) {
+    const key = this.config.legacyStorageKey;
+    try {
+      const list = (await browser.storage.local.get([key]))[key];
+      if (!Array.isArray(list)) return;
+      const store = db.transaction(this.config.storeName, 'readwrite').objectStore(this.config.storeName);
+      await Promise.all(list.filter(rec => rec && rec.url && rec.sha256).map(rec => this.request(store.put(rec))));
+      await browser.storage.local.remove(key);
+    } catch (e) {
+      console.warn('[MLDataset] migration from storage.local failed', e);
+    }
+  },
+
+  // Wrap an IDBRequest in a promise
+  request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  },
+
+  async store(mode) {
+    const db = await this.open();
+    return db.transaction(this.config.storeName, mode).objectStore(this.config.storeName);
+  },
+
+  // Store (or refresh) the record for an analyzed script; a user override given earlier is kept
+  async record(url, analysis, extra = {}) {
+    if (!url || !analysis || !analysis.sha256) return;
+    const store = await this.store('readwrite');
+    await new Promise((resolve, reject) => {
+      // get and put in one transaction, chained in the callbacks so it stays active
+      const get = store.get([url, analysis.sha256]);
+      get.onerror = () => reject(get.error);
+      get.onsuccess = () => {
+        const previous = get.result;
+        const put = store.put({
+          url,
+          sha256: analysis.sha256,
+          ipMatches: (analysis.ipMatches || []).map(m => m.ip).filter(Boolean),
+          domainMatches: (analysis.domainMatches || []).map(m => m.indicator).filter(Boolean),
+          features: analysis.features || {},
+          riskScore: analysis.riskScore || 0,
+          verdict: analysis.status,
+          override: previous ? previous.override : null,
+          timestamp: Date.now(),
+          ...extra
+        });
+        put.onerror = () => reject(put.error);
+        put.onsuccess = () => resolve();
+      };
+    });
+
+    if (++this._writesSincePrune >= this.config.pruneEvery) {
+      this._writesSincePrune = 0;
+      this.prune().catch(e => console.warn('[MLDataset] prune failed', e));
+    }
+  },
+
+  // Record the user's decision on the blocking page ('allow' or 'block') for a script
+  async setOverride(url, decision) {
+    const store = await this.store('readwrite');
+    let changed = false;
+    await new Promise((resolve, reject) => {
+      const req = store.index('url').openCursor(IDBKeyRange.only(url));
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve();
+        cursor.update({ ...cursor.value, override: decision });
+        changed = true;
+        cursor.continue();
+      };
+    });
+    return changed;
+  },
+
+  // Every record, oldest first
+  async getAll() {
+    const store = await this.store('readonly');
+    return this.request(store.index('timestamp').getAll());
+  },
+
+  // Delete the oldest records beyond maxRecords
+  async prune() {
+    const store = await this.store('readwrite');
+    let excess = Math.max(0, (await this.request(store.count())) - this.config.maxRecords);
+    if (!excess) return 0;
+    const removed = excess;
+
+    await new Promise((resolve, reject) => {
+      const req = store.index('timestamp').openCursor(null, 'next');
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || excess <= 0) return resolve();
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    });
+    return removed;
+  }
+};
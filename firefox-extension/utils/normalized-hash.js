@@ -0,0 +1,130 @@
+// Normalized hash - SHA-256 over a canonical token form of a script, so the same payload with
+// different whitespace, comments, line endings, quote style or (optionally) local names hashes the same
+const NormalizedHash = {
+  config: {
+    // Rename locally bound identifiers (declared variables, functions, classes, parameters) to _0, _1, ...
+    // in order of first use; globals such as eval, document or window keep their names
+    renameIdentifiers: true,
+    // Very short scripts normalize to near-identical forms; skip them
+    minTokens: 20,
+    maxLength: 2 * 1024 * 1024
+  },
+
+  // ScriptSource from the background page global, or require() it under Node
+  getScriptSource() {
+    return typeof ScriptSource !== 'undefined' ? ScriptSource : require('./script-source.js');
+  },
+
+  // Names declared anywhere in the script by a declaration, parameter, catch clause or import
+  boundNames(ast) {
+    const names = new Set();
+    const addPattern = p => {
+      if (!p) return;
+      if (p.type === 'Identifier') names.add(p.name);
+      else if (p.type === 'ObjectPattern') p.properties.forEach(prop => addPattern(prop.type === 'RestElement' ? prop.argument : prop.value));
+      else if (p.type === 'ArrayPattern') p.elements.forEach(addPattern);
+      else if (p.type === 'RestElement') addPattern(p.argument);
+      else if (p.type === 'AssignmentPattern') addPattern(p.left);
+    };
+    this.walk(ast, node => {
+      switch (node.type) {
+        case 'VariableDeclarator': addPattern(node.id); break;
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression': addPattern(node.id); node.params.forEach(addPattern); break;
+        case 'ClassDeclaration':
+        case 'ClassExpression': addPattern(node.id); break;
+        case 'CatchClause': addPattern(node.param); break;
+        case 'ImportSpecifier':
+        case 'ImportDefaultSpecifier':
+        case 'ImportNamespaceSpecifier': addPattern(node.local); break;
+      }
+    });
+    return names;
+  },
+
+  // Start offsets of identifier tokens that refer to a locally bound name (not property keys or
+  // labels), or null when the script does not parse
+  localIdentifiers(source) {
+    const ast = this.getScriptSource().ast(source);
+    if (!ast) return null;
+    const bound = this.boundNames(ast);
+    const starts = new Set();
+    this.walk(ast, node => {
+      if (node.type === 'Identifier' && bound.has(node.name)) starts.add(node.start);
+    });
+    return starts;
+  },
+
+  // Depth-first visit of every AST node, skipping non-computed property keys and labels
+  walk(node, visit) {
+    visit(node);
+    for (const key of Object.keys(node)) {
+      if (key === 'label' || (key === 'key' && !node.computed) || (key === 'property' && node.type === 'MemberExpression' && !node.computed)) continue;
+      if ((key === 'exported' || key === 'imported' || key === 'meta') || (key === 'property' && node.type === 'MetaProperty')) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        for (const c of child) if (c && typeof c.type === 'string') this.walk(c, visit);
+      } else if (child && typeof child.type === 'string') {
+        this.walk(child, visit);
+      }
+    }
+  },
+
+  // Canonical text (tokens joined by single spaces) of script text or a ScriptSource, or null if the
+  // script cannot be tokenized
+  canonicalize(content, options = {}) {
+    const rename = options.renameIdentifiers !== undefined ? options.renameIdentifiers : this.config.renameIdentifiers;
+    const sources = this.getScriptSource();
+    const source = sources.from(content);
+    if (!source || source.text.length > this.config.maxLength) return null;
+    // Comments, whitespace and line endings never become tokens
+    const tokens = sources.tokens(source);
+    if (!tokens) return null;
+
+    const local = rename ? this.localIdentifiers(source) : null;
+    const names = new Map();
+    const out = [];
+    for (const t of tokens) {
+      const label = t.type.label;
+      let tok;
+      if (label === 'name') {
+        if (!local || !local.has(t.start)) {
+          tok = t.value;
+        } else {
+          if (!names.has(t.value)) names.set(t.value, `_${names.size}`);
+          tok = names.get(t.value);
+        }
+      } else if (label === 'string' || label === 'template') {
+        tok = JSON.stringify(t.value);
+      } else if (label === 'num' || label === 'bigint') {
+        tok = String(t.value);
+      } else if (label === 'regexp') {
+        tok = `/${t.value.pattern}/${t.value.flags}`;
+      } else if (label === 'privateId') {
+        tok = `#${t.value}`;
+      } else if (label === ';') {
+        // Minifiers and ASI-style code differ only in optional semicolons
+        continue;
+      } else {
+        // Operators carry their exact text in value ('+' for the '+/-' token type)
+        tok = t.value !== undefined ? String(t.value) : label;
+      }
+      out.push(tok);
+    }
+    return out.length >= this.config.minTokens ? out.join(' ') : null;
+  },
+
+  // Lowercase hex SHA-256 of the canonical form, or null
+  async calculate(content, options = {}) {
+    const canonical = this.canonicalize(content, options);
+    if (canonical === null) return null;
+    const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+    return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NormalizedHash;
+}
@@ -0,0 +1,170 @@
+// Scan history - persists scan results in IndexedDB so they survive background restarts
+const ScanHistory = {
+  config: {
+    dbName: 'malware-checker-history',
+    dbVersion: 1,
+    storeName: 'scans',
+    // Retention limits: oldest entries beyond maxEntries or older than maxAgeDays are pruned
+    maxEntries: 20000,
+    maxAgeDays: 30,
+    // Prune after this many inserts (and once at startup)
+    pruneEvery: 200
+  },
+
+  _dbPromise: null,
+  _insertsSincePrune: 0,
+
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+    this._dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(this.config.dbName, this.config.dbVersion);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(this.config.storeName)) {
+          const store = db.createObjectStore(this.config.storeName, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('status', 'status');
+          store.createIndex('host', 'host');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Allow a retry if opening failed
+    this._dbPromise.catch(() => { this._dbPromise = null; });
+    return this._dbPromise;
+  },
+
+  // Wrap an IDBRequest in a promise
+  request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  },
+
+  async store(mode) {
+    const db = await this.open();
+    return db.transaction(this.config.storeName, mode).objectStore(this.config.storeName);
+  },
+
+  hostOf(url) {
+    try { return new URL(url).hostname; } catch (e) { return ''; }
+  },
+
+  // Add one scan result; returns the new entry id
+  async add(url, data) {
+    const entry = {
+      url,
+      host: this.hostOf(url),
+      sha256: data.sha256 || null,
+      md5: data.md5 || null,
+      sha1: data.sha1 || null,
+      normalizedSha256: data.normalizedSha256 || null,
+      status: data.status,
+      matchType: data.matchType || 'SHA256',
+      hashSource: data.hashSource || 'none',
+      ipMatches: data.ipMatches || [],
+      domainMatches: data.domainMatches || [],
+      similarity: data.similarity || null,
+      riskScore: data.riskScore || 0,
+      scoreBreakdown: data.scoreBreakdown || {},
+      features: data.features || {},
+      pageUrl: data.pageUrl || null,
+      inline: !!data.inline,
+      inlineIndex: data.inlineIndex,
+      dynamic: !!data.dynamic,
+      kind: data.kind || null,
+      live: !!data.live,
+      timestamp: data.timestamp || Date.now()
+    };
+    const store = await this.store('readwrite');
+    const id = await this.request(store.add(entry));
+
+    if (++this._insertsSincePrune >= this.config.pruneEvery) {
+      this._insertsSincePrune = 0;
+      this.prune().catch(e => console.warn('[ScanHistory] prune failed', e));
+    }
+    return id;
+  },
+
+  async get(id) {
+    const store = await this.store('readonly');
+    return this.request(store.get(id));
+  },
+
+  // Totals for the popup counters
+  async stats() {
+    const store = await this.store('readonly');
+    const [total, malware, suspect] = await Promise.all([
+      this.request(store.count()),
+      this.request(store.index('status').count('malware')),
+      this.request(store.index('status').count('suspect'))
+    ]);
+    return { total, malware, suspect };
+  },
+
+  // Does an entry's hash source match a filter ('shard' matches any 'shard:xx')
+  matchesHashSource(source, filter) {
+    return source === filter || String(source).startsWith(filter + ':');
+  },
+
+  // Newest-first query. filters: { verdict, host, from, to (ms timestamps), hashSource, limit }
+  async query(filters = {}) {
+    const limit = filters.limit || 500;
+    const host = (filters.host || '').trim().toLowerCase();
+    const store = await this.store('readonly');
+    const range = (filters.from || filters.to)
+      ? IDBKeyRange.bound(filters.from || 0, filters.to || Number.MAX_SAFE_INTEGER)
+      : null;
+
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const req = store.index('timestamp').openCursor(range, 'prev');
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || results.length >= limit) {
+          resolve(results);
+          return;
+        }
+        const e = cursor.value;
+        if ((!filters.verdict || e.status === filters.verdict) &&
+            (!host || e.host.includes(host)) &&
+            (!filters.hashSource || this.matchesHashSource(e.hashSource, filters.hashSource))) {
+          results.push(e);
+        }
+        cursor.continue();
+      };
+    });
+  },
+
+  // Apply retention limits: delete entries older than maxAgeDays, then the oldest beyond maxEntries
+  async prune() {
+    const cutoff = Date.now() - this.config.maxAgeDays * 24 * 60 * 60 * 1000;
+    const store = await this.store('readwrite');
+    const total = await this.request(store.count());
+    let excess = Math.max(0, total - this.config.maxEntries);
+    let removed = 0;
+
+    await new Promise((resolve, reject) => {
+      const req = store.index('timestamp').openCursor(null, 'next');
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve();
+        if (cursor.value.timestamp < cutoff || excess > 0) {
+          cursor.delete();
+          removed++;
+          if (excess > 0) excess--;
+          cursor.continue();
+        } else {
+          resolve();
+        }
+      };
+    });
+
+    if (removed) console.log('[ScanHistory] pruned', removed, 'entries');
+    return removed;
+  }
+};
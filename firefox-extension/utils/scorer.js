@@ -1,8 +1,147 @@
-// Scorer removed. Extension no longer performs multi-factor scoring.
-// Keep a minimal stub to avoid runtime errors if referenced.
+// Scorer - combines hash match, IP / domain matches, fuzzy similarity, heuristic features and source reputation into a 0-100 risk score
 const Scorer = {
-  calculateScore() {
-    return { score: 0, riskLevel: 'low', action: 'allow', breakdown: {} };
+  config: {
+    // score >= malware -> 'malware', score >= suspect -> 'suspect', else 'clean'
+    thresholds: { suspect: 30, malware: 70 },
+    weights: {
+      hashMatch: 100,
+      // Scaled by the worst match's feed severity (IpDB.severity score, 0..1)
+      ipMatch: 70,
+      // Script URL, main-frame URL or a host / URL referenced by the script is listed in DomainDB
+      domainMatch: 70,
+      // Contains (a variant of) every segment of a known-bad sample (SimilarityDB); also lifts the verdict to at least 'suspect'
+      similarityMatch: 40,
+      // Heuristics alone are capped below the default malware threshold
+      heuristicCap: 60,
+      reputationCap: 20
+    }
   },
-  exportForML() { return null; }
+
+  setThresholds(thresholds) {
+    if (!thresholds) return;
+    const suspect = Number(thresholds.suspect);
+    const malware = Number(thresholds.malware);
+    if (Number.isFinite(suspect) && Number.isFinite(malware) && suspect > 0 && suspect <= malware && malware <= 100) {
+      this.config.thresholds = { suspect, malware };
+    } else {
+      console.warn('[Scorer] ignoring invalid thresholds', thresholds);
+    }
+  },
+
+  // Heuristic points per feature: [points per hit, max hits counted]
+  heuristicRules: {
+    evalCalls: [5, 3],
+    functionConstructorCalls: [5, 3],
+    stringTimerCalls: [3, 3],
+    documentWriteScript: [15, 1],
+    longConcatChains: [5, 3],
+    atobCalls: [4, 3],
+    unescapeCalls: [4, 3],
+    fromCharCodeCalls: [2, 5],
+    hexEscapedStrings: [3, 5]
+  },
+
+  scoreFeatures(features) {
+    const breakdown = {};
+    if (!features) return breakdown;
+    for (const [name, [points, maxHits]] of Object.entries(this.heuristicRules)) {
+      const hits = Math.min(Number(features[name]) || 0, maxHits);
+      if (hits > 0) breakdown[name] = hits * points;
+    }
+    // obfuscator.io style identifiers appear in bulk
+    if ((features.hexIdentifiers || 0) >= 10) breakdown.hexIdentifiers = 15;
+    if (features.minerIndicators && features.minerIndicators.length) breakdown.minerIndicators = 40;
+    if (features.rawIpEndpoints && features.rawIpEndpoints.length) breakdown.rawIpEndpoints = 20;
+    return breakdown;
+  },
+
+  // Reputation of where the script came from (inline / eval code has no URL of its own)
+  scoreSource(url) {
+    const breakdown = {};
+    let u;
+    try { u = new URL(url); } catch (e) { return breakdown; }
+    if (u.hash && /^#(dynamic-)?(inline|eval|function)-\d+$/.test(u.hash)) return breakdown;
+    if (u.protocol === 'http:') breakdown.insecureTransport = 5;
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(u.hostname) || u.hostname.startsWith('[')) breakdown.rawIpHost = 15;
+    if (/\.(xyz|top|tk|gq|ml|cf|ga|click|su)$/i.test(u.hostname)) breakdown.suspiciousTld = 10;
+    return breakdown;
+  },
+
+  sum(obj) {
+    return Object.values(obj).reduce((a, b) => a + b, 0);
+  },
+
+  // Highest severity score among IP matches (1 for matches without one), 0 without matches
+  ipSeverity(ipMatches) {
+    return ipMatches.reduce((max, m) => {
+      const score = m && m.severity && Number.isFinite(m.severity.score) ? m.severity.score : 1;
+      return Math.max(max, score);
+    }, 0);
+  },
+
+  // input: { hashResult, ipMatches, domainMatches, features, url, similarity }
+  calculateScore(input = {}) {
+    const { hashResult, ipMatches = [], domainMatches = [], features, url, similarity } = input;
+    const w = this.config.weights;
+
+    const heuristics = this.scoreFeatures(features);
+    const reputation = this.scoreSource(url);
+    const breakdown = {
+      hash: hashResult && hashResult.found ? w.hashMatch : 0,
+      ip: Math.round(w.ipMatch * this.ipSeverity(ipMatches)),
+      domain: domainMatches.length > 0 ? w.domainMatch : 0,
+      similarity: similarity ? w.similarityMatch : 0,
+      heuristics: Math.min(this.sum(heuristics), w.heuristicCap),
+      reputation: Math.min(this.sum(reputation), w.reputationCap),
+      details: { ...heuristics, ...reputation }
+    };
+
+    const { suspect, malware } = this.config.thresholds;
+    let score = Math.min(100, breakdown.hash + breakdown.ip + breakdown.domain + breakdown.similarity + breakdown.heuristics + breakdown.reputation);
+    if (similarity) score = Math.max(score, suspect);
+    const verdict = score >= malware ? 'malware' : score >= suspect ? 'suspect' : 'clean';
+
+    return {
+      score,
+      verdict,
+      riskLevel: verdict === 'malware' ? 'high' : verdict === 'suspect' ? 'medium' : 'low',
+      action: verdict === 'malware' ? 'block' : verdict === 'suspect' ? 'warn' : 'allow',
+      breakdown
+    };
+  },
+
+  // Serialize ML dataset records (see MLDataset) as 'jsonl' (default) or 'csv'
+  exportForML(records, format = 'jsonl') {
+    records = records || [];
+    if (format !== 'csv') {
+      return records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+    }
+
+    // One column per feature, in first-seen order across all records
+    const featureKeys = [];
+    for (const r of records) {
+      for (const k of Object.keys(r.features || {})) {
+        if (!featureKeys.includes(k)) featureKeys.push(k);
+      }
+    }
+    const escape = (v) => {
+      if (v === null || v === undefined) return '';
+      let str = Array.isArray(v) ? v.join(';') : typeof v === 'object' ? JSON.stringify(v) : String(v);
+      // Spreadsheets run cells starting with = + - @ as formulas; script URLs come from web pages
+      if (typeof v !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const header = ['url', 'sha256', 'verdict', 'override', 'riskScore', 'ipMatches', 'domainMatches', 'timestamp', ...featureKeys];
+    const rows = records.map(r => [
+      r.url, r.sha256, r.verdict, r.override, r.riskScore, r.ipMatches, r.domainMatches, r.timestamp,
+      ...featureKeys.map(k => (r.features || {})[k])
+    ].map(escape).join(','));
+    return [header.join(','), ...rows].join('\n') + '\n';
+  }
 };
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Scorer;
+}
@@ -0,0 +1,88 @@
+// Script source shared by the analyzers (FeatureExtractor, NormalizedHash, FuzzyHash). One acorn parse
+// gives both the AST and the token stream; a script that does not parse is only tokenized. Both are
+// computed on first use and kept on the source object, so analyzeScript parses each script once.
+const ScriptSource = {
+  config: {
+    // Larger bundles are not parsed (parsing runs on the background thread), only tokenized
+    maxParseLength: 2 * 1024 * 1024,
+    // Token limit for a script that is not parsed
+    maxTokens: 200000
+  },
+
+  // Resolve acorn from the background page global, or require() it under Node
+  getParser() {
+    if (typeof acorn !== 'undefined') return acorn;
+    if (typeof require === 'function') {
+      try { return require('../lib/acorn.min.js'); } catch (e) { /* not available */ }
+    }
+    return null;
+  },
+
+  // Source object for script text: { text, ast, tokens, parseError }, ast / tokens undefined until
+  // first asked for. A source object is returned as is, anything else but a string gives null.
+  from(content) {
+    if (content && typeof content === 'object' && typeof content.text === 'string' && 'parseError' in content) return content;
+    if (typeof content !== 'string') return null;
+    return { text: content, ast: undefined, tokens: undefined, parseError: null };
+  },
+
+  // Program node, or null when the script is too large or does not parse (parseError says why)
+  ast(source) {
+    if (source.ast === undefined) this.parse(source);
+    return source.ast;
+  },
+
+  // acorn tokens of the script (no end-of-file token), or null when it cannot be tokenized
+  tokens(source) {
+    if (source.tokens === undefined && source.ast === undefined) this.parse(source);
+    if (source.tokens === undefined) source.tokens = this.tokenize(source.text);
+    return source.tokens;
+  },
+
+  // Parse as a classic script first, then as a module (import/export syntax), collecting the tokens
+  parse(source) {
+    const parser = this.getParser();
+    source.ast = null;
+    if (!parser) {
+      source.parseError = 'acorn parser not loaded';
+      return;
+    }
+    if (source.text.length > this.config.maxParseLength) {
+      source.parseError = 'Script too large for AST analysis';
+      return;
+    }
+    const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+    for (const sourceType of ['script', 'module']) {
+      const tokens = [];
+      try {
+        source.ast = parser.parse(source.text, { ...options, sourceType, onToken: tokens });
+        source.tokens = tokens.filter(t => t.type.label !== 'eof');
+        source.parseError = null;
+        return;
+      } catch (e) {
+        source.parseError = `Parse error: ${e.message}`;
+      }
+    }
+  },
+
+  // Token stream without a parse (scripts that do not parse or are too large)
+  tokenize(text) {
+    const parser = this.getParser();
+    if (!parser) return null;
+    const tokens = [];
+    try {
+      for (const t of parser.tokenizer(text, { ecmaVersion: 'latest', allowHashBang: true })) {
+        tokens.push(t);
+        if (text.length > this.config.maxParseLength && tokens.length >= this.config.maxTokens) break;
+      }
+    } catch (e) {
+      return null;
+    }
+    return tokens;
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScriptSource;
+}
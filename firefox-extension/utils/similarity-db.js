@@ -0,0 +1,185 @@
+// Similarity DB - known-bad script fingerprints (FuzzyHash segments) with an LSH band index over segments.
+// Samples come from the packaged fingerprints/index.json (built by tools/build-fingerprints.js) and from
+// scripts confirmed by an exact hash match ("learned"), which are persisted in storage.local together with
+// the listed digest that confirmed them and forgotten when that digest leaves HashDB.
+//
+// A sample matches a script only when EVERY one of its segments has a similar segment in the script
+// (containment), so a learned "library + skimmer" sample does not match the clean library.
+const SimilarityDB = {
+  config: {
+    // Minimum estimated similarity of each sample segment to its best script segment
+    threshold: 0.7,
+    // bands * rows must equal FuzzyHash.config.numHashes; 8 x 3 makes a segment pair at the threshold a candidate with ~97% probability
+    bands: 8,
+    rows: 3,
+    maxLearned: 200,
+    // Larger scripts are not learned (storage size, and mostly library code)
+    maxSegments: 256,
+    storageKey: 'similaritySegments',
+    // Whole-file signatures of older versions, dropped on load
+    legacyStorageKey: 'similaritySamples',
+    packagedPath: 'fingerprints/index.json',
+    saveDelayMs: 2000
+  },
+
+  samples: new Map(), // id -> { id, label, segments: [Uint16Array], source, sourceHash, addedAt }
+  buckets: new Map(), // `${band}:${rowsKey}` -> Set of `${id}#${segment index}`
+  loaded: false,
+  _loading: null,
+  _saveTimer: null,
+
+  async load() {
+    if (this.loaded) return;
+    if (!this._loading) {
+      this._loading = (async () => {
+        // Packaged list: [{ id, label, segments: [hex] }]
+        try {
+          const resp = await fetch(browser.runtime.getURL(this.config.packagedPath));
+          const list = resp.ok ? await resp.json() : [];
+          for (const s of Array.isArray(list) ? list : []) this.insert({ ...s, source: 'packaged' });
+        } catch (e) {
+          console.warn('[SimilarityDB] packaged fingerprints not loaded', e);
+        }
+        try {
+          const stored = await browser.storage.local.get([this.config.storageKey, this.config.legacyStorageKey]);
+          for (const s of stored[this.config.storageKey] || []) this.insert({ ...s, source: 'learned' });
+          if (stored[this.config.legacyStorageKey]) await browser.storage.local.remove(this.config.legacyStorageKey);
+        } catch (e) {
+          console.warn('[SimilarityDB] load failed', e);
+        }
+        this.loaded = true;
+      })();
+    }
+    await this._loading;
+  },
+
+  bandKeys(sig) {
+    const keys = [];
+    const { bands, rows } = this.config;
+    for (let b = 0; b < bands; b++) {
+      keys.push(`${b}:${Array.prototype.slice.call(sig, b * rows, (b + 1) * rows).join(',')}`);
+    }
+    return keys;
+  },
+
+  // Index one sample; segments may be hex strings or signature arrays
+  insert(sample) {
+    if (!sample.id || !Array.isArray(sample.segments) || !sample.segments.length || this.samples.has(sample.id)) return false;
+    const segments = sample.segments.map(s => (typeof s === 'string' ? FuzzyHash.fromHex(s) : s));
+    if (segments.some(s => !s)) return false;
+    this.samples.set(sample.id, {
+      id: sample.id,
+      label: sample.label || sample.id,
+      segments,
+      source: sample.source,
+      sourceHash: sample.sourceHash || null,
+      addedAt: sample.addedAt || Date.now()
+    });
+    segments.forEach((sig, i) => {
+      for (const key of this.bandKeys(sig)) {
+        if (!this.buckets.has(key)) this.buckets.set(key, new Set());
+        this.buckets.get(key).add(`${sample.id}#${i}`);
+      }
+    });
+    return true;
+  },
+
+  remove(id) {
+    const sample = this.samples.get(id);
+    if (!sample) return false;
+    sample.segments.forEach((sig, i) => {
+      for (const key of this.bandKeys(sig)) {
+        const bucket = this.buckets.get(key);
+        if (bucket) {
+          bucket.delete(`${id}#${i}`);
+          if (!bucket.size) this.buckets.delete(key);
+        }
+      }
+    });
+    this.samples.delete(id);
+    return true;
+  },
+
+  // Remember a confirmed-malicious script (id: its sha256; sourceHash: the listed digest that
+  // confirmed it, HashDB.matchSource) so variants of it are caught later
+  async addKnownBad(id, segments, label, sourceHash) {
+    if (!id || !sourceHash || !Array.isArray(segments) || !segments.length || segments.length > this.config.maxSegments) return;
+    await this.load();
+    if (!this.insert({ id, label, segments, source: 'learned', sourceHash })) return;
+
+    // Drop the oldest learned samples beyond the limit
+    const learned = Array.from(this.samples.values()).filter(s => s.source === 'learned');
+    for (let i = 0; i < learned.length - this.config.maxLearned; i++) this.remove(learned[i].id);
+    this.scheduleSave();
+  },
+
+  scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      const learned = Array.from(this.samples.values())
+        .filter(s => s.source === 'learned')
+        .map(s => ({
+          id: s.id,
+          label: s.label,
+          segments: s.segments.map(sig => FuzzyHash.toHex(sig)),
+          sourceHash: s.sourceHash,
+          addedAt: s.addedAt
+        }));
+      browser.storage.local.set({ [this.config.storageKey]: learned })
+        .catch(e => console.warn('[SimilarityDB] save failed', e));
+    }, this.config.saveDelayMs);
+  },
+
+  // Drop learned samples confirmed by digests that left HashDB (Set of lowercase digests)
+  async forgetSources(digests) {
+    await this.load();
+    let changed = false;
+    for (const s of Array.from(this.samples.values())) {
+      if (s.source === 'learned' && digests.has(s.sourceHash)) changed = this.remove(s.id) || changed;
+    }
+    if (changed) this.scheduleSave();
+  },
+
+  // Known sample whose segments are all contained in the script, best mean similarity first:
+  // { id, label, similarity, segments, source } or null
+  async findSimilar(segments, excludeId) {
+    if (!Array.isArray(segments) || !segments.length) return null;
+    await this.load();
+
+    // id -> best similarity per sample segment, filled only through LSH candidates
+    const covered = new Map();
+    for (const sig of segments) {
+      const seen = new Set();
+      for (const key of this.bandKeys(sig)) {
+        const bucket = this.buckets.get(key);
+        if (!bucket) continue;
+        for (const ref of bucket) {
+          if (seen.has(ref)) continue;
+          seen.add(ref);
+          const cut = ref.lastIndexOf('#');
+          const id = ref.slice(0, cut);
+          if (id === excludeId) continue;
+          const index = Number(ref.slice(cut + 1));
+          const sample = this.samples.get(id);
+          const similarity = FuzzyHash.similarity(sig, sample.segments[index]);
+          if (similarity < this.config.threshold) continue;
+          if (!covered.has(id)) covered.set(id, new Array(sample.segments.length).fill(0));
+          const best = covered.get(id);
+          if (similarity > best[index]) best[index] = similarity;
+        }
+      }
+    }
+
+    let best = null;
+    for (const [id, scores] of covered) {
+      if (scores.some(s => s === 0)) continue;
+      const sample = this.samples.get(id);
+      const similarity = scores.reduce((a, b) => a + b, 0) / scores.length;
+      if (!best || similarity > best.similarity) {
+        best = { id, label: sample.label, similarity, segments: scores.length, source: sample.source };
+      }
+    }
+    return best;
+  }
+};